@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+/**
+ * longshot 命令行工具：不打开浏览器，批量将长截图转换为PDF
+ * 与网页和 /api/convert 使用同一套像素运算（sharp解码），分割、裁剪、增强的结果一致。
+ *
+ * 用法: longshot convert <图片|目录|通配符...> [选项]
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  decodeImage,
+  detectPixelsLayout,
+  sliceImageBuffer,
+  createPdfFromSlicesBuffer,
+  imageBufferToDataUrl
+} from '../utils/serverProcessor.js';
+import { normalizeOcrLanguage } from '../utils/ocrShared.js';
+import { REDACTION_MODES, normalizeRedactions } from '../utils/pixelOps.js';
+import { WATERMARK_MODES, WATERMARK_POSITIONS } from '../utils/pageDecorations.js';
+import { ENCRYPTION_METHODS } from '../utils/pdfEncryption.js';
+import { IMAGE_EXTENSIONS } from '../utils/imageFiles.js';
+
+// 去除区域的名称
+const STRIP_BANDS = {
+  statusBar: 'stripStatusBar',
+  header: 'stripHeader',
+  footer: 'stripFooter'
+};
+
+const HELP = `用法: longshot convert <图片|目录|通配符...> [选项]
+
+将长截图切割为PDF，目录会读取其中的 ${IMAGE_EXTENSIONS.join(' ')} 文件，
+通配符支持 *、? 和 **（例如 "shots/**/*.png"，请加引号以免被shell展开）。
+
+选项:
+  -o, --output <路径>      输出目录（默认与图片相同）；--combine 时为PDF文件路径
+      --combine            所有图片合并为一个PDF（默认每张图片一个PDF）
+      --sharpen            应用图像增强（默认）
+      --no-sharpen         不应用图像增强
+      --margin <点>        页面边距，默认 0
+      --sensitivity <值>   黑线检测灵敏度，默认 50
+      --min-line-width <像素>   分割线的最小线宽，默认 2
+      --min-line-percent <值>   分割线像素在一行中的最小百分比，默认 60
+      --min-gap <像素>     相邻分割线的最小距离，默认 50
+      --split-mode <方式>  both（默认）、lines、whitespace、none
+      --page-size <大小>   auto、A4（默认）、A5、Letter
+      --orientation <方向> portrait（默认）或 landscape
+      --dpi <值>           打印分辨率，默认 150
+      --trim <方式>        each（默认）、uniform、none
+      --strip <区域>       去除的区域，逗号分隔: statusBar,header,footer
+      --redact <区域>      打码区域 "x,y,宽,高[,方式]"（原图像素），方式为 ${Object.keys(REDACTION_MODES).join('、')}，
+                           默认 fill；可重复指定，对所有输入图片生效
+      --image-format <格式> png（默认）或 jpeg
+      --jpeg-quality <值>  JPEG质量（0.1-1），默认 0.85
+      --color-mode <模式>  color（默认）、grayscale、bw
+      --ocr <语言>         识别文字并写入文字层，例如 chi_sim+eng
+      --bookmarks          为每个切片添加书签
+      --header <模板>      页眉，可用 {title} {page} {pages} {date} {file}，例如 "{title}"
+      --footer <模板>      页脚，例如 "{page}/{pages}"
+      --header-align <方式> 页眉页脚对齐: center（默认）、left、right
+      --header-size <点>   页眉页脚字号，默认 9
+      --watermark <文字>   文字水印，例如 "Internal"
+      --watermark-mode <方式>   ${Object.keys(WATERMARK_MODES).join('、')}，默认 diagonal
+      --watermark-opacity <值>  文字水印不透明度（0-1），默认 0.15
+      --watermark-image <路径>  图片水印（logo）
+      --watermark-image-opacity <值>   图片水印不透明度（0-1），默认 0.15
+      --watermark-image-position <位置> ${Object.keys(WATERMARK_POSITIONS).join('、')}，默认 center
+      --watermark-image-width <值>     图片水印占内容宽度的百分比，默认 40
+      --encrypt <方式>     加密PDF: ${Object.keys(ENCRYPTION_METHODS).join('、')}
+      --user-password <密码>    打开PDF需要的密码，默认不需要
+      --owner-password <密码>   解除权限限制需要的密码
+      --no-print           加密时禁止打印
+      --no-copy            加密时禁止复制
+      --no-modify          加密时禁止修改
+      --json               以JSON输出检测到的分割点、候选分割线和生成的文件
+  -h, --help               显示帮助
+`;
+
+/**
+ * 解析数字选项
+ * @param {string|undefined} value - 选项值
+ * @param {number} defaultValue - 默认值
+ * @param {string} name - 选项名称
+ * @returns {number}
+ */
+const parseNumberOption = (value, defaultValue, name) => {
+  if (value === undefined) return defaultValue;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`选项 --${name} 应为数字`);
+  }
+  return number;
+};
+
+/**
+ * 解析枚举选项
+ * @param {string|undefined} value - 选项值
+ * @param {Array<string>} choices - 允许的值，第一个为默认值
+ * @param {string} name - 选项名称
+ * @returns {string}
+ */
+const parseChoiceOption = (value, choices, name) => {
+  if (value === undefined) return choices[0];
+  if (!choices.includes(value)) {
+    throw new Error(`选项 --${name} 只能是 ${choices.join('、')}`);
+  }
+  return value;
+};
+
+/**
+ * 将命令行选项转换为切割和PDF生成选项
+ * @param {Object} values - parseArgs 解析出的选项
+ * @returns {Object}
+ */
+const getConvertOptions = (values) => {
+  const options = {
+    sharpenImage: !values['no-sharpen'],
+    margin: parseNumberOption(values.margin, 0, 'margin'),
+    splitSensitivity: parseNumberOption(values.sensitivity, 50, 'sensitivity'),
+    minLineWidth: parseNumberOption(values['min-line-width'], 2, 'min-line-width'),
+    minLinePercent: parseNumberOption(values['min-line-percent'], 60, 'min-line-percent'),
+    minSplitGap: parseNumberOption(values['min-gap'], 50, 'min-gap'),
+    autoDetectSplits: parseChoiceOption(values['split-mode'], ['both', 'lines', 'whitespace', 'none'], 'split-mode'),
+    pageSize: parseChoiceOption(values['page-size'], ['A4', 'auto', 'A5', 'Letter'], 'page-size'),
+    orientation: parseChoiceOption(values.orientation, ['portrait', 'landscape'], 'orientation'),
+    dpi: parseNumberOption(values.dpi, 150, 'dpi'),
+    trimMode: parseChoiceOption(values.trim, ['each', 'uniform', 'none'], 'trim'),
+    imageFormat: parseChoiceOption(values['image-format'], ['png', 'jpeg'], 'image-format'),
+    jpegQuality: Math.max(0.1, Math.min(1, parseNumberOption(values['jpeg-quality'], 0.85, 'jpeg-quality'))),
+    colorMode: parseChoiceOption(values['color-mode'], ['color', 'grayscale', 'bw'], 'color-mode'),
+    ocrLanguage: values.ocr ? normalizeOcrLanguage(values.ocr) : '',
+    bookmarks: Boolean(values.bookmarks),
+    header: values.header || '',
+    footer: values.footer || '',
+    headerFooterAlign: parseChoiceOption(values['header-align'], ['center', 'left', 'right'], 'header-align'),
+    headerFooterSize: parseNumberOption(values['header-size'], 9, 'header-size')
+  };
+
+  if (values.watermark) {
+    options.textWatermark = {
+      text: values.watermark,
+      mode: parseChoiceOption(values['watermark-mode'], Object.keys(WATERMARK_MODES), 'watermark-mode'),
+      opacity: parseNumberOption(values['watermark-opacity'], 0.15, 'watermark-opacity')
+    };
+  }
+  if (values['watermark-image']) {
+    options.imageWatermark = {
+      opacity: parseNumberOption(values['watermark-image-opacity'], 0.15, 'watermark-image-opacity'),
+      position: parseChoiceOption(values['watermark-image-position'], Object.keys(WATERMARK_POSITIONS), 'watermark-image-position'),
+      width: parseNumberOption(values['watermark-image-width'], 40, 'watermark-image-width')
+    };
+  }
+
+  if (values.encrypt) {
+    options.encryption = {
+      method: parseChoiceOption(values.encrypt, Object.keys(ENCRYPTION_METHODS), 'encrypt'),
+      userPassword: values['user-password'] || '',
+      ownerPassword: values['owner-password'] || '',
+      permissions: {
+        printing: !values['no-print'],
+        copying: !values['no-copy'],
+        modifying: !values['no-modify']
+      }
+    };
+  } else if (values['user-password'] || values['owner-password'] || values['no-print'] || values['no-copy'] || values['no-modify']) {
+    throw new Error('密码和权限选项需要与 --encrypt 一起使用');
+  }
+
+  options.redactions = normalizeRedactions((values.redact || []).map((value) => {
+    const [x, y, width, height, mode] = value.split(',').map((item) => item.trim());
+    if (height === undefined) {
+      throw new Error(`选项 --redact 应为 "x,y,宽,高[,方式]"：${value}`);
+    }
+    return { x, y, width, height, mode };
+  }));
+
+  for (const name of (values.strip || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+    if (!STRIP_BANDS[name]) {
+      throw new Error(`选项 --strip 只能包含 ${Object.keys(STRIP_BANDS).join('、')}`);
+    }
+    options[STRIP_BANDS[name]] = true;
+  }
+  return options;
+};
+
+/**
+ * 将通配符转换为正则表达式（匹配以 / 分隔的相对路径）
+ * @param {string} pattern - 通配符
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" 匹配任意层目录（包括零层）
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * 列出目录下的文件（相对路径，以 / 分隔）
+ * @param {string} dir - 目录
+ * @param {number} depth - 最多进入的层数，Infinity 表示不限制
+ * @param {string} prefix - 相对路径前缀
+ * @returns {Array<string>}
+ */
+const listFiles = (dir, depth, prefix = '') => {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = `${prefix}${entry.name}`;
+    if (entry.isDirectory()) {
+      if (depth > 1 && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        files.push(...listFiles(path.join(dir, entry.name), depth - 1, `${relative}/`));
+      }
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+};
+
+// 按文件名中的数字顺序排序（截图文件名通常包含时间）
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// 是否为支持的图片文件
+const isImageFile = (file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+/**
+ * 展开输入：图片文件、目录或通配符
+ * @param {Array<string>} inputs - 命令行中的输入
+ * @returns {Array<string>} - 图片文件路径，去重并保持输入顺序
+ */
+const expandInputs = (inputs) => {
+  const files = [];
+  for (const input of inputs) {
+    if (/[*?]/.test(input)) {
+      const segments = input.split(/[\\/]/);
+      const globStart = segments.findIndex((segment) => /[*?]/.test(segment));
+      const baseDir = segments.slice(0, globStart).join('/') || '.';
+      const pattern = segments.slice(globStart).join('/');
+      const depth = pattern.includes('**') ? Infinity : segments.length - globStart;
+      const regex = globToRegExp(pattern);
+
+      if (fs.existsSync(baseDir)) {
+        files.push(...listFiles(baseDir, depth)
+          .filter((file) => regex.test(file) && isImageFile(file))
+          .sort(compareNames)
+          .map((file) => path.join(baseDir, file)));
+      }
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      files.push(...listFiles(input, 1)
+        .filter(isImageFile)
+        .sort(compareNames)
+        .map((file) => path.join(input, file)));
+    } else if (fs.existsSync(input)) {
+      files.push(input);
+    } else {
+      throw new Error(`找不到文件: ${input}`);
+    }
+  }
+  return [...new Set(files)];
+};
+
+/**
+ * 切割一张图片，返回切片和检测结果
+ * @param {string} file - 图片路径
+ * @param {Object} options - 切割选项
+ * @returns {Promise<{report: Object, slices: Array<Object>}>}
+ */
+const sliceFile = async (file, options) => {
+  const pixels = await decodeImage(fs.readFileSync(file));
+  const { splitPoints, bands, lines } = detectPixelsLayout(pixels, options);
+  const slices = await sliceImageBuffer(pixels, { ...options, splitPoints, bands });
+
+  // 书签标题使用文件名，多个切片时加上序号
+  const baseName = path.parse(file).name;
+  const titledSlices = slices.map((slice, index) => ({
+    ...slice,
+    title: slices.length > 1 ? `${baseName} - ${index + 1}` : baseName
+  }));
+
+  return {
+    report: {
+      input: file,
+      width: pixels.width,
+      height: pixels.height,
+      splitPoints,
+      bands,
+      candidates: lines ? lines.candidates : [],
+      slices: slices.map(({ width, height }) => ({ width, height }))
+    },
+    slices: titledSlices
+  };
+};
+
+/**
+ * 检查是否有多个图片会生成同一个PDF（不同目录中的同名图片输出到同一目录，或同一目录中只有扩展名不同的图片）
+ * @param {Array<string>} files - 图片路径
+ * @param {Array<string>} outputs - 对应的PDF路径
+ * @throws {Error} - 有冲突时列出冲突的图片，不覆盖任何文件
+ */
+const checkOutputConflicts = (files, outputs) => {
+  const inputsByOutput = new Map();
+  outputs.forEach((output, index) => {
+    const key = path.resolve(output);
+    inputsByOutput.set(key, [...(inputsByOutput.get(key) || []), files[index]]);
+  });
+  const conflicts = [...inputsByOutput].filter(([, inputs]) => inputs.length > 1);
+  if (conflicts.length > 0) {
+    const lines = conflicts.map(([output, inputs]) => `  ${path.relative('.', output)}: ${inputs.join('、')}`);
+    throw new Error(`以下图片会生成同一个PDF文件，请分别输出到不同目录或使用 --combine：\n${lines.join('\n')}`);
+  }
+};
+
+/**
+ * 生成PDF并写入文件
+ * @param {Array<Object>} slices - 切片数组
+ * @param {string} outputPath - PDF文件路径
+ * @param {Object} options - PDF生成选项
+ * @param {string} fileName - 页眉页脚中 {file} 的值
+ * @returns {Promise<number>} - 文件大小（字节）
+ */
+const writePdf = async (slices, outputPath, options, fileName) => {
+  const { pdfBytes } = await createPdfFromSlicesBuffer(slices, {
+    ...options,
+    title: path.basename(outputPath, '.pdf'),
+    fileName
+  });
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, pdfBytes);
+  return pdfBytes.length;
+};
+
+/**
+ * convert 子命令
+ * @param {Array<string>} inputs - 输入
+ * @param {Object} values - 选项
+ */
+const convert = async (inputs, values) => {
+  const options = getConvertOptions(values);
+  if (options.imageWatermark) {
+    const watermarkPath = values['watermark-image'];
+    if (!fs.existsSync(watermarkPath)) {
+      throw new Error(`找不到文件: ${watermarkPath}`);
+    }
+    options.imageWatermark.dataUrl = await imageBufferToDataUrl(fs.readFileSync(watermarkPath));
+  }
+  const files = expandInputs(inputs);
+  if (files.length === 0) {
+    throw new Error('没有找到图片文件');
+  }
+
+  // --json 时标准输出只输出JSON，进度信息写到标准错误
+  const log = values.json ? (message) => process.stderr.write(`${message}\n`) : (message) => console.log(message);
+  const reports = [];
+
+  // 一张图片失败（例如无法解码）时报告错误并继续处理其余图片，全部处理完后再以非零状态退出
+  const failures = [];
+  const reportFailure = (file, error) => {
+    console.error(`错误: ${file}: ${error.message}`);
+    failures.push(file);
+    reports.push({ input: file, error: error.message });
+  };
+  const checkFailures = () => {
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} 张图片转换失败: ${failures.join('、')}`);
+    }
+  };
+
+  if (values.combine) {
+    const output = values.output && values.output.toLowerCase().endsWith('.pdf')
+      ? values.output
+      : path.join(values.output || '.', 'longshot.pdf');
+    const allSlices = [];
+    for (const file of files) {
+      try {
+        const { report, slices } = await sliceFile(file, options);
+        log(`${file}: ${slices.length} 个切片`);
+        reports.push(report);
+        allSlices.push(...slices);
+      } catch (error) {
+        reportFailure(file, error);
+      }
+    }
+    if (allSlices.length > 0) {
+      // 合并时 {file} 为输出的PDF文件名
+      const size = await writePdf(allSlices, output, options, path.basename(output));
+      log(`已生成 ${output}（${allSlices.length} 个切片，${Math.ceil(size / 1024)} KB）`);
+    }
+
+    if (values.json) {
+      console.log(JSON.stringify({ output: allSlices.length > 0 ? output : null, images: reports }, null, 2));
+    }
+    checkFailures();
+    return;
+  }
+
+  const outputs = files.map((file) => path.join(values.output || path.dirname(file), `${path.parse(file).name}.pdf`));
+  checkOutputConflicts(files, outputs);
+
+  for (const [index, file] of files.entries()) {
+    try {
+      const { report, slices } = await sliceFile(file, options);
+      const output = outputs[index];
+      const size = await writePdf(slices, output, options, path.basename(file));
+      log(`${file} -> ${output}（${slices.length} 个切片，${Math.ceil(size / 1024)} KB）`);
+      reports.push({ ...report, output });
+    } catch (error) {
+      reportFailure(file, error);
+    }
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify({ images: reports }, null, 2));
+  }
+  checkFailures();
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      combine: { type: 'boolean' },
+      sharpen: { type: 'boolean' },
+      'no-sharpen': { type: 'boolean' },
+      margin: { type: 'string' },
+      sensitivity: { type: 'string' },
+      'min-line-width': { type: 'string' },
+      'min-line-percent': { type: 'string' },
+      'min-gap': { type: 'string' },
+      'split-mode': { type: 'string' },
+      'page-size': { type: 'string' },
+      orientation: { type: 'string' },
+      dpi: { type: 'string' },
+      trim: { type: 'string' },
+      strip: { type: 'string' },
+      redact: { type: 'string', multiple: true },
+      'image-format': { type: 'string' },
+      'jpeg-quality': { type: 'string' },
+      'color-mode': { type: 'string' },
+      ocr: { type: 'string' },
+      bookmarks: { type: 'boolean' },
+      header: { type: 'string' },
+      footer: { type: 'string' },
+      'header-align': { type: 'string' },
+      'header-size': { type: 'string' },
+      watermark: { type: 'string' },
+      'watermark-mode': { type: 'string' },
+      'watermark-opacity': { type: 'string' },
+      'watermark-image': { type: 'string' },
+      'watermark-image-opacity': { type: 'string' },
+      'watermark-image-position': { type: 'string' },
+      'watermark-image-width': { type: 'string' },
+      encrypt: { type: 'string' },
+      'user-password': { type: 'string' },
+      'owner-password': { type: 'string' },
+      'no-print': { type: 'boolean' },
+      'no-copy': { type: 'boolean' },
+      'no-modify': { type: 'boolean' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, ...inputs] = positionals;
+  if (values.help || !command) {
+    console.log(HELP);
+    return;
+  }
+  if (command !== 'convert') {
+    throw new Error(`未知的命令: ${command}`);
+  }
+  if (inputs.length === 0) {
+    throw new Error('请指定要转换的图片、目录或通配符');
+  }
+
+  await convert(inputs, values);
+};
+
+main().catch((error) => {
+  console.error(`错误: ${error.message}`);
+  process.exit(1);
+});
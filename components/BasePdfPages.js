@@ -0,0 +1,63 @@
+// 已有PDF的页面缩略图，点击页面之间的位置选择新页面插入的位置
+const BasePdfPages = ({ basePdf, insertAt, sliceCount = 0, onInsertAtChange }) => {
+  if (!basePdf) {
+    return null;
+  }
+
+  const items = [];
+  for (let index = 0; index <= basePdf.pageCount; index++) {
+    if (index === insertAt) {
+      items.push(
+        <div
+          key={`insert-${index}`}
+          className="flex items-center justify-center w-24 h-32 border-2 border-dashed border-blue-500 bg-blue-50 rounded-md text-xs text-blue-700 text-center"
+        >
+          新页面{sliceCount > 0 ? `（${sliceCount} 个切片）` : ''}
+        </div>
+      );
+    } else {
+      items.push(
+        <button
+          key={`insert-${index}`}
+          onClick={() => onInsertAtChange(index)}
+          className="w-2 h-32 rounded-md hover:bg-blue-300"
+          title={index === basePdf.pageCount ? '追加到末尾' : `插入到第 ${index + 1} 页之前`}
+        />
+      );
+    }
+
+    if (index < basePdf.pageCount) {
+      const thumbnail = basePdf.thumbnails[index];
+      items.push(
+        <div key={`page-${index}`} className="flex flex-col items-center">
+          {thumbnail ? (
+            <img
+              src={thumbnail.dataUrl}
+              alt={`第 ${index + 1} 页`}
+              className="h-32 w-auto border border-gray-300"
+            />
+          ) : (
+            <div className="flex items-center justify-center w-24 h-32 border border-gray-300 bg-gray-100 text-xs text-gray-500">
+              第 {index + 1} 页
+            </div>
+          )}
+          <span className="text-xs text-gray-500">{index + 1}</span>
+        </div>
+      );
+    }
+  }
+
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="flex justify-between items-center">
+        <h3 className="text-sm font-medium text-gray-700">已有PDF页面 ({basePdf.pageCount})</h3>
+        <span className="text-sm text-gray-500">点击页面之间的空隙选择插入位置</span>
+      </div>
+      <div className="flex flex-wrap items-start gap-1 p-2 max-h-[400px] overflow-auto border border-gray-200 rounded-md">
+        {items}
+      </div>
+    </div>
+  );
+};
+
+export default BasePdfPages;
@@ -0,0 +1,46 @@
+// 选择要追加到的已有PDF（例如长期记录的聊天记录、项目日记）
+const BasePdfPicker = ({ basePdf, onSelect, onRemove, disabled = false }) => {
+  const handleChange = (e) => {
+    const file = e.target.files[0];
+    // 清空选择，以便再次选择同一个文件
+    e.target.value = '';
+    if (file) {
+      onSelect(file);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">追加到已有PDF</span>
+        {basePdf ? (
+          <button
+            onClick={onRemove}
+            disabled={disabled}
+            className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+          >
+            移除
+          </button>
+        ) : (
+          <label className={`px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 ${disabled ? 'opacity-50' : 'cursor-pointer'}`}>
+            选择PDF
+            <input
+              type="file"
+              accept="application/pdf,.pdf"
+              onChange={handleChange}
+              disabled={disabled}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+      <p className="mt-1 text-sm text-gray-500">
+        {basePdf
+          ? `${basePdf.name}（${basePdf.pageCount} 页），新页面的位置可在预览中选择`
+          : '不选择时生成新的PDF；选择后新页面追加到该PDF中'}
+      </p>
+    </div>
+  );
+};
+
+export default BasePdfPicker;
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { previewEnhancement } from '../utils/imageProcessor';
+
+// 对比区域的高度（原图像素）
+const REGION_HEIGHT = 600;
+
+// 图像增强前后对比：拖动滑块在原图和增强后的效果之间切换
+const EnhancementCompare = ({ image, imageHeight, filters, redactions = [] }) => {
+  const [top, setTop] = useState(0);
+  const [divider, setDivider] = useState(50);
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const maxTop = Math.max(0, imageHeight - REGION_HEIGHT);
+
+  useEffect(() => {
+    if (!filters) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    previewEnhancement(image.dataUrl, {
+      filters,
+      top,
+      height: REGION_HEIGHT,
+      redactions,
+      signal: controller.signal
+    })
+      .then((result) => {
+        setPreview(result);
+        setIsLoading(false);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('增强效果预览出错:', error);
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [image.dataUrl, filters, top, redactions]);
+
+  if (!filters) {
+    return (
+      <p className="p-4 text-sm text-gray-500">图像增强已关闭，在设置中启用后可对比效果</p>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-3">
+      <div className="grid grid-cols-2 gap-4 text-sm text-gray-700">
+        <label>
+          对比位置：{top}px
+          <input
+            type="range"
+            min="0"
+            max={maxTop}
+            step="10"
+            value={top}
+            onChange={(e) => setTop(Number(e.target.value))}
+            disabled={maxTop === 0}
+            className="w-full"
+          />
+        </label>
+        <label>
+          左侧原图 / 右侧增强后
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={divider}
+            onChange={(e) => setDivider(Number(e.target.value))}
+            className="w-full"
+          />
+        </label>
+      </div>
+
+      {preview ? (
+        <div className={`relative inline-block ${isLoading ? 'opacity-50' : ''}`}>
+          <img
+            src={preview.after}
+            alt="增强后"
+            className="block max-w-full h-auto"
+          />
+          <img
+            src={preview.before}
+            alt="原图"
+            className="absolute inset-0 block max-w-full h-auto"
+            style={{ clipPath: `inset(0 ${100 - divider}% 0 0)` }}
+          />
+          <div
+            className="absolute top-0 bottom-0 border-l-2 border-blue-600 pointer-events-none"
+            style={{ left: `${divider}%` }}
+          />
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">正在生成对比...</p>
+      )}
+    </div>
+  );
+};
+
+export default EnhancementCompare;
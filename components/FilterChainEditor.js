@@ -0,0 +1,83 @@
+import { FILTER_DEFINITIONS } from '../utils/pixelOps';
+
+// 增强滤镜链编辑器：启用/关闭滤镜、调整参数和应用顺序
+const FilterChainEditor = ({ filters, onChange }) => {
+  const updateFilter = (index, changes) => {
+    onChange(filters.map((filter, i) => (i === index ? { ...filter, ...changes } : filter)));
+  };
+
+  const handleParamChange = (index, name, value) => {
+    updateFilter(index, { params: { ...filters[index].params, [name]: Number(value) } });
+  };
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= filters.length) return;
+
+    const newFilters = [...filters];
+    [newFilters[index], newFilters[target]] = [newFilters[target], newFilters[index]];
+    onChange(newFilters);
+  };
+
+  return (
+    <div className="space-y-2">
+      {filters.map((filter, index) => {
+        const definition = FILTER_DEFINITIONS[filter.type];
+        return (
+          <div key={filter.type} className="p-2 border border-gray-200 rounded-md">
+            <div className="flex items-center space-x-2">
+              <input
+                id={`filter-${filter.type}`}
+                type="checkbox"
+                checked={filter.enabled}
+                onChange={(e) => updateFilter(index, { enabled: e.target.checked })}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <label htmlFor={`filter-${filter.type}`} className="flex-1 text-sm">
+                <span className="font-medium text-gray-700">{index + 1}. {definition.label}</span>
+                <span className="ml-2 text-gray-500">{definition.description}</span>
+              </label>
+              <button
+                onClick={() => handleMove(index, -1)}
+                disabled={index === 0}
+                className="px-2 py-1 rounded-md text-xs bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+                title="提前应用"
+              >
+                上移
+              </button>
+              <button
+                onClick={() => handleMove(index, 1)}
+                disabled={index === filters.length - 1}
+                className="px-2 py-1 rounded-md text-xs bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+                title="推后应用"
+              >
+                下移
+              </button>
+            </div>
+
+            {filter.enabled && Object.keys(definition.params).length > 0 && (
+              <div className="mt-2 grid grid-cols-3 gap-2">
+                {Object.entries(definition.params).map(([name, param]) => (
+                  <label key={name} className="text-xs text-gray-600">
+                    {param.label}
+                    <input
+                      type="number"
+                      value={filter.params[name]}
+                      onChange={(e) => handleParamChange(index, name, e.target.value)}
+                      min={param.min}
+                      max={param.max}
+                      step={param.step}
+                      className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FilterChainEditor;
@@ -0,0 +1,61 @@
+const FrameList = ({ frames, seams = [], onMoveFrame, onOverlapChange }) => {
+  if (frames.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 space-y-2">
+      <h3 className="text-sm font-medium text-gray-700">拼接帧 ({frames.length})</h3>
+      {frames.map((frame, index) => (
+        <div key={`${frame.name}-${index}`}>
+          <div className="flex items-center space-x-3 p-2 border border-gray-200 rounded-md">
+            <img
+              src={frame.dataUrl}
+              alt={`帧 ${index + 1}`}
+              className="h-16 w-auto border border-gray-300"
+            />
+            <span className="flex-1 text-sm text-gray-700 truncate">
+              {index + 1}. {frame.name}
+            </span>
+            <button
+              onClick={() => onMoveFrame(index, -1)}
+              disabled={index === 0}
+              className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+            >
+              上移
+            </button>
+            <button
+              onClick={() => onMoveFrame(index, 1)}
+              disabled={index === frames.length - 1}
+              className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+            >
+              下移
+            </button>
+          </div>
+
+          {seams[index] && (
+            <div className="flex items-center space-x-2 py-1 pl-4 text-sm text-gray-500">
+              <span>重叠</span>
+              <input
+                type="number"
+                min="0"
+                value={seams[index].overlap}
+                onChange={(e) => onOverlapChange(index, Number(e.target.value))}
+                className="w-24 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <span>像素</span>
+              <button
+                onClick={() => onOverlapChange(index, null)}
+                className="text-blue-600 hover:underline"
+              >
+                自动检测
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FrameList;
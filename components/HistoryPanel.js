@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listJobs, deleteJob, clearHistory, getHistoryQuota, setHistoryQuota } from '../utils/historyStore';
+
+// 格式化历史记录的大小
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// 转换历史：重新打开、删除记录，清空历史，设置容量上限
+const HistoryPanel = ({ refreshKey = 0, disabled = false, onOpen }) => {
+  const [jobs, setJobs] = useState([]);
+  const [quota, setQuota] = useState(0);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setJobs(await listJobs());
+      setErrorMessage('');
+    } catch (error) {
+      console.error('读取历史记录出错:', error);
+      setErrorMessage('历史记录不可用');
+    }
+  }, []);
+
+  // 每次生成文件后（refreshKey 变化）重新读取列表
+  useEffect(() => {
+    setQuota(getHistoryQuota());
+    refresh();
+  }, [refreshKey, refresh]);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteJob(id);
+      await refresh();
+    } catch (error) {
+      console.error('删除历史记录出错:', error);
+      setErrorMessage('删除失败，请重试');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('确定清空所有历史记录吗？')) return;
+    try {
+      await clearHistory();
+      await refresh();
+    } catch (error) {
+      console.error('清空历史记录出错:', error);
+      setErrorMessage('清空失败，请重试');
+    }
+  };
+
+  // 输入完成后才应用容量上限，避免输入过程中误删记录
+  const handleQuotaCommit = async () => {
+    try {
+      await setHistoryQuota(quota);
+      await refresh();
+    } catch (error) {
+      console.error('设置历史容量出错:', error);
+      setErrorMessage('设置失败，请重试');
+    }
+  };
+
+  const totalSize = jobs.reduce((sum, job) => sum + job.size, 0);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">转换历史</h2>
+        <button
+          onClick={handleClear}
+          disabled={jobs.length === 0}
+          className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+        >
+          清空
+        </button>
+      </div>
+
+      {jobs.length === 0 ? (
+        <p className="text-sm text-gray-500">{errorMessage || '生成的PDF和导出文件会保存在这里，可以重新打开修改'}</p>
+      ) : (
+        <ul className="space-y-2 max-h-64 overflow-auto">
+          {jobs.map((job) => (
+            <li key={job.id} className="flex items-center space-x-3 p-2 border border-gray-200 rounded-md">
+              <img src={job.thumbnail} alt={job.name} className="h-12 w-auto border border-gray-300" />
+              <div className="flex-1 min-w-0 text-sm">
+                <p className="text-gray-700 truncate">{job.outputName}</p>
+                <p className="text-gray-500">
+                  {new Date(job.createdAt).toLocaleString()} · {formatSize(job.size)}
+                </p>
+              </div>
+              <button
+                onClick={() => onOpen(job.id)}
+                disabled={disabled}
+                className="px-2 py-1 rounded-md text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                打开
+              </button>
+              <button
+                onClick={() => handleDelete(job.id)}
+                className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300"
+              >
+                删除
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {jobs.length > 0 && errorMessage && (
+        <p className="mt-2 text-sm text-red-600">{errorMessage}</p>
+      )}
+
+      <div className="mt-3 flex items-center space-x-2 text-sm text-gray-700">
+        <span>已用 {formatSize(totalSize)}，上限</span>
+        <input
+          type="number"
+          min="0"
+          value={quota}
+          onChange={(e) => setQuota(Math.max(0, Number(e.target.value)))}
+          onBlur={handleQuotaCommit}
+          className="w-24 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <span>MB（0 表示不保存）</span>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -1,7 +1,58 @@
 import { useState, useEffect } from 'react';
+import FrameList from './FrameList';
+import SplitLineEditor from './SplitLineEditor';
+import EnhancementCompare from './EnhancementCompare';
+import BasePdfPages from './BasePdfPages';
+import SliceManager from './SliceManager';
+import LineProfileGraph from './LineProfileGraph';
+import SplitCandidateList from './SplitCandidateList';
+import RedactionEditor from './RedactionEditor';
+import { REDACTION_MODES } from '../utils/pixelOps';
 
-const ImagePreview = ({ image, slices = [] }) => {
+// 去除区域的显示名称
+const BAND_LABELS = {
+  statusBar: '状态栏',
+  header: '顶部导航栏',
+  footer: '底部标签栏'
+};
+
+const ImagePreview = ({
+  image,
+  slices = [],
+  frames = [],
+  seams = [],
+  splitPoints = null,
+  bands = [],
+  lineAnalysis = null,
+  minLinePercent = 60,
+  redactions = [],
+  filters = null,
+  onMoveFrame,
+  onOverlapChange,
+  onSplitPointsChange,
+  onRedetectSplits,
+  onRedactionsChange,
+  onSliceTitleChange = null,
+  isProcessing = false,
+  canUndoSlices = false,
+  canRedoSlices = false,
+  onMoveSlice,
+  onDeleteSlice,
+  onRotateSlice,
+  onDuplicateSlice,
+  onMergeSlice,
+  onUndoSlices,
+  onRedoSlices,
+  basePdf = null,
+  insertAt = 0,
+  onInsertAtChange
+}) => {
   const [previewMode, setPreviewMode] = useState('original');
+  const [naturalHeight, setNaturalHeight] = useState(0);
+  const [naturalWidth, setNaturalWidth] = useState(0);
+  const [showProfile, setShowProfile] = useState(false);
+  const [isRedacting, setIsRedacting] = useState(false);
+  const [redactionMode, setRedactionMode] = useState('fill');
   
   if (!image) {
     return null;
@@ -33,38 +84,178 @@ const ImagePreview = ({ image, slices = [] }) => {
           >
             切片预览 ({slices.length})
           </button>
+          <button
+            onClick={() => setPreviewMode('enhance')}
+            className={`px-3 py-1 rounded-md text-sm ${
+              previewMode === 'enhance'
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            增强对比
+          </button>
         </div>
       </div>
 
+      {previewMode === 'original' && (
+        <div className="flex justify-between items-center mb-2 text-sm text-gray-500">
+          <span>
+            {isRedacting
+              ? '拖动框选手机号、头像等要遮盖的区域，点击区域上的标签切换方式'
+              : `打码区域 ${redactions.length} 个：生成前在原图上遮盖，不会留在PDF中`}
+          </span>
+          <div className="flex items-center space-x-2">
+            {isRedacting && (
+              <select
+                value={redactionMode}
+                onChange={(e) => setRedactionMode(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                title="新区域的打码方式"
+              >
+                {Object.entries(REDACTION_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={() => setIsRedacting(!isRedacting)}
+              className={`px-3 py-1 rounded-md text-sm ${
+                isRedacting
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {isRedacting ? '完成打码' : '打码'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {previewMode === 'original' && splitPoints && !isRedacting && (
+        <div className="flex justify-between items-center text-sm text-gray-500">
+          <span>分割线 {splitPoints.length} 条：点击图片添加，拖动调整，点击 × 删除</span>
+          <div className="flex space-x-4">
+            {lineAnalysis && (
+              <button
+                onClick={() => setShowProfile(!showProfile)}
+                className="text-blue-600 hover:underline"
+              >
+                {showProfile ? '隐藏检测曲线' : '检测曲线'}
+              </button>
+            )}
+            <button
+              onClick={onRedetectSplits}
+              className="text-blue-600 hover:underline"
+            >
+              重新检测
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="mt-4 overflow-auto max-h-[600px] border border-gray-200 rounded-lg">
         {previewMode === 'original' ? (
           <div className="flex justify-center">
-            <img 
-              src={image.dataUrl} 
-              alt="原始图片" 
-              className="max-w-full h-auto"
-              style={{ maxHeight: '1000px' }}
-            />
-          </div>
-        ) : (
-          <div className="space-y-4 p-4">
-            {slices.map((slice, index) => (
-              <div key={index} className="border-b border-gray-200 pb-4 last:border-b-0">
-                <h3 className="text-sm font-medium text-gray-700 mb-2">
-                  切片 {index + 1} ({slice.width} x {slice.height})
-                </h3>
-                <div className="flex justify-center">
-                  <img 
-                    src={slice.dataUrl} 
-                    alt={`切片 ${index + 1}`}
-                    className="max-w-full h-auto border border-gray-300"
-                  />
+            <div className="relative">
+              <img 
+                src={image.dataUrl} 
+                alt="原始图片" 
+                className="block max-w-full h-auto"
+                style={{ maxHeight: '1000px' }}
+                onLoad={(e) => {
+                  setNaturalHeight(e.currentTarget.naturalHeight);
+                  setNaturalWidth(e.currentTarget.naturalWidth);
+                }}
+              />
+              {/* 标出多帧拼接的位置 */}
+              {naturalHeight > 0 && seams.map((seam, index) => (
+                <div
+                  key={index}
+                  className="absolute left-0 right-0 border-t-2 border-dashed border-red-500 pointer-events-none"
+                  style={{ top: `${(seam.y / naturalHeight) * 100}%` }}
+                  title={`拼接处 ${index + 1}，重叠 ${seam.overlap} 像素`}
+                />
+              ))}
+              {/* 标出将被去除的状态栏和导航栏 */}
+              {naturalHeight > 0 && bands.map((band, index) => (
+                <div
+                  key={`band-${index}`}
+                  className="absolute left-0 right-0 bg-orange-400 bg-opacity-40 border border-orange-500 pointer-events-none"
+                  style={{
+                    top: `${(band.startY / naturalHeight) * 100}%`,
+                    height: `${((band.endY - band.startY) / naturalHeight) * 100}%`
+                  }}
+                >
+                  <span className="absolute left-1 top-0 px-1 text-xs text-white bg-orange-500 rounded">
+                    {BAND_LABELS[band.kind]}（已去除）
+                  </span>
                 </div>
-              </div>
-            ))}
+              ))}
+              {splitPoints && (
+                <SplitLineEditor
+                  imageHeight={naturalHeight}
+                  splitPoints={splitPoints}
+                  onChange={onSplitPointsChange}
+                />
+              )}
+              {/* 打码时覆盖在分割线编辑层上方，其余时候只显示区域 */}
+              <RedactionEditor
+                imageWidth={naturalWidth}
+                imageHeight={naturalHeight}
+                redactions={redactions}
+                mode={redactionMode}
+                editable={isRedacting}
+                onChange={onRedactionsChange}
+              />
+            </div>
+            {showProfile && (
+              <LineProfileGraph
+                lines={lineAnalysis}
+                threshold={minLinePercent}
+                imageHeight={naturalHeight}
+              />
+            )}
           </div>
+        ) : previewMode === 'enhance' ? (
+          <EnhancementCompare
+            image={image}
+            imageHeight={naturalHeight}
+            filters={filters}
+            redactions={redactions}
+          />
+        ) : (
+          <SliceManager
+            slices={slices}
+            canUndo={canUndoSlices}
+            canRedo={canRedoSlices}
+            disabled={isProcessing}
+            onMove={onMoveSlice}
+            onDelete={onDeleteSlice}
+            onRotate={onRotateSlice}
+            onDuplicate={onDuplicateSlice}
+            onMergeNext={onMergeSlice}
+            onUndo={onUndoSlices}
+            onRedo={onRedoSlices}
+            onSliceTitleChange={onSliceTitleChange}
+          />
         )}
       </div>
+
+      {previewMode === 'original' && showProfile && <SplitCandidateList lines={lineAnalysis} />}
+
+      <FrameList
+        frames={frames}
+        seams={seams}
+        onMoveFrame={onMoveFrame}
+        onOverlapChange={onOverlapChange}
+      />
+
+      <BasePdfPages
+        basePdf={basePdf}
+        insertAt={insertAt}
+        sliceCount={slices.length}
+        onInsertAtChange={onInsertAtChange}
+      />
     </div>
   );
 };
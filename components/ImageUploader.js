@@ -1,32 +1,63 @@
-import { useCallback, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
+import { IMAGE_ACCEPT, readImageFile, sortImageFiles, getClipboardImages } from '../utils/imageFiles';
+import { isShareLaunch, takeSharedFiles } from '../utils/shareTarget';
 
-const ImageUploader = ({ onImageUpload }) => {
+const ImageUploader = ({ onImageUpload, onFramesUpload, onError = () => {} }) => {
   const [isDragging, setIsDragging] = useState(false);
+  const shareHandled = useRef(false);
 
-  const onDrop = useCallback((acceptedFiles) => {
-    const file = acceptedFiles[0];
-    if (file && file.type.startsWith('image/')) {
-      const reader = new FileReader();
-      reader.onload = () => {
-        onImageUpload({ 
-          file, 
-          dataUrl: reader.result,
-          name: file.name,
-          type: file.type,
-          size: file.size
-        });
-      };
-      reader.readAsDataURL(file);
+  // 选择、拖入、粘贴和分享的图片都经过这里；格式不受支持或无法解码时提示原因
+  const handleFiles = useCallback(async (files) => {
+    if (files.length === 0) return;
+
+    try {
+      // 多张截图按文件名排序（截图文件名通常包含时间），作为拼接的帧
+      if (files.length > 1 && onFramesUpload) {
+        const frames = await Promise.all(sortImageFiles(files).map(readImageFile));
+        onFramesUpload(frames);
+        return;
+      }
+
+      onImageUpload(await readImageFile(files[0]));
+    } catch (error) {
+      console.error('读取图片出错:', error);
+      onError(error.message);
     }
-  }, [onImageUpload]);
+  }, [onImageUpload, onFramesUpload, onError]);
+
+  // 类型不符的文件也交给 handleFiles，由它给出具体的提示
+  const onDrop = useCallback((acceptedFiles, rejections) => {
+    handleFiles([...acceptedFiles, ...rejections.map((rejection) => rejection.file)]);
+  }, [handleFiles]);
+
+  // 在页面任意位置按 Ctrl/Cmd+V 粘贴截图；剪贴板中没有图片时不影响输入框的正常粘贴
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const images = getClipboardImages(e.clipboardData);
+      if (images.length === 0) return;
+      e.preventDefault();
+      handleFiles(images);
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [handleFiles]);
+
+  // 从系统分享打开时，分享的截图与选择的文件一样处理（多张时拼接）
+  useEffect(() => {
+    if (shareHandled.current || !isShareLaunch()) return;
+    shareHandled.current = true;
+    takeSharedFiles()
+      .then(handleFiles)
+      .catch((error) => {
+        console.error('读取分享的图片出错:', error);
+      });
+  }, [handleFiles]);
 
   const { getRootProps, getInputProps } = useDropzone({
     onDrop,
-    accept: {
-      'image/*': ['.png', '.jpg', '.jpeg']
-    },
-    multiple: false,
+    accept: IMAGE_ACCEPT,
+    multiple: Boolean(onFramesUpload),
     onDragEnter: () => setIsDragging(true),
     onDragLeave: () => setIsDragging(false)
   });
@@ -53,8 +84,11 @@ const ImageUploader = ({ onImageUpload }) => {
             strokeLinejoin="round" 
           />
         </svg>
-        <p className="text-lg font-medium text-gray-700">拖拽长截图或点击选择文件</p>
-        <p className="text-sm text-gray-500">支持 PNG, JPG, JPEG 格式</p>
+        <p className="text-lg font-medium text-gray-700">拖拽长截图、点击选择文件或按 Ctrl+V 粘贴</p>
+        <p className="text-sm text-gray-500">支持 PNG、JPEG、WebP、AVIF、HEIC 格式，GIF 取第一帧</p>
+        {onFramesUpload && (
+          <p className="text-sm text-gray-500">可同时选择多张滚动截图，自动去除重叠部分拼接为长图</p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,79 @@
+import { useMemo } from 'react';
+import { LINE_REJECT_REASONS } from '../utils/pixelOps';
+
+// 曲线最多绘制的点数，长截图按区间取最大值，细线不会因缩小而消失
+const MAX_POINTS = 1000;
+
+/**
+ * 将每行的分割线像素百分比缩减为SVG路径，NaN（被去除的区域）处断开
+ * @param {Float32Array} profile - 每行的百分比
+ * @returns {string} - 路径数据，横坐标为百分比，纵坐标为原图行号
+ */
+const buildProfilePath = (profile) => {
+  const step = Math.max(1, Math.ceil(profile.length / MAX_POINTS));
+  let path = '';
+  let drawing = false;
+  for (let start = 0; start < profile.length; start += step) {
+    let value = NaN;
+    for (let y = start; y < Math.min(start + step, profile.length); y++) {
+      if (!Number.isNaN(profile[y]) && (Number.isNaN(value) || profile[y] > value)) value = profile[y];
+    }
+    if (Number.isNaN(value)) {
+      drawing = false;
+      continue;
+    }
+    path += `${drawing ? 'L' : 'M'}${value.toFixed(1)} ${start + step / 2} `;
+    drawing = true;
+  }
+  return path;
+};
+
+// 原图旁的检测曲线：每行分割线像素的百分比、最小占比阈值，以及各候选分割线（绿色采用，红色未采用）
+const LineProfileGraph = ({ lines, threshold, imageHeight }) => {
+  const path = useMemo(() => (lines ? buildProfilePath(lines.profile) : ''), [lines]);
+
+  if (!lines || !imageHeight) {
+    return null;
+  }
+
+  return (
+    <svg
+      className="w-20 shrink-0 self-stretch bg-gray-50 border-l border-gray-200"
+      viewBox={`0 0 100 ${imageHeight}`}
+      preserveAspectRatio="none"
+    >
+      <line
+        x1={threshold}
+        y1="0"
+        x2={threshold}
+        y2={imageHeight}
+        stroke="#f97316"
+        strokeDasharray="4 4"
+        vectorEffect="non-scaling-stroke"
+      >
+        <title>最小占比 {threshold}%</title>
+      </line>
+      <path d={path} fill="none" stroke="#4b5563" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+      {lines.candidates.map((candidate, index) => (
+        <line
+          key={index}
+          x1="0"
+          y1={candidate.y}
+          x2="100"
+          y2={candidate.y}
+          stroke={candidate.accepted ? '#16a34a' : '#dc2626'}
+          strokeWidth="3"
+          vectorEffect="non-scaling-stroke"
+        >
+          <title>
+            {candidate.accepted
+              ? `${candidate.y}px：采用`
+              : `${candidate.y}px：未采用，${LINE_REJECT_REASONS[candidate.reason]}`}
+          </title>
+        </line>
+      ))}
+    </svg>
+  );
+};
+
+export default LineProfileGraph;
@@ -0,0 +1,48 @@
+// 各处理阶段的显示名称
+const STAGE_LABELS = {
+  decode: '读取图像',
+  detect: '检测分割线',
+  sharpen: '图像增强',
+  trim: '裁剪空白',
+  encode: '编码切片',
+  ocr: '识别文字',
+  compress: '压缩图像',
+  pdf: '生成PDF页面',
+  merge: '合并到已有PDF',
+  save: '保存PDF',
+  package: '打包文件'
+};
+
+const ProgressBar = ({ progress, onCancel }) => {
+  if (!progress) {
+    return null;
+  }
+
+  const { stage, current = 0, total = 1 } = progress;
+  const percent = Math.round((Math.min(current, total) / total) * 100);
+
+  return (
+    <div className="p-3 bg-white border border-gray-200 rounded-md space-y-2">
+      <div className="flex items-center justify-between text-sm text-gray-700">
+        <span>
+          {STAGE_LABELS[stage] || '处理中'}
+          {total > 1 && ` (${Math.min(current + 1, total)}/${total})`}
+        </span>
+        <button
+          onClick={onCancel}
+          className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300"
+        >
+          取消
+        </button>
+      </div>
+      <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-blue-600 transition-all"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProgressBar;
@@ -0,0 +1,125 @@
+import { useRef, useState } from 'react';
+import { REDACTION_MODES } from '../utils/pixelOps';
+
+// 框选时小于该尺寸（像素）的区域视为误触
+const MIN_REDACTION_SIZE = 4;
+
+// 各打码方式在预览中的样式（预览只示意效果，实际打码在切割前应用于像素）
+const MODE_STYLES = {
+  fill: 'bg-black bg-opacity-90 border-gray-700',
+  blur: 'backdrop-blur-md bg-white bg-opacity-20 border-purple-500',
+  pixelate: 'backdrop-blur-sm bg-gray-400 bg-opacity-40 border-purple-500'
+};
+
+// 覆盖在原图上的打码编辑层：拖动框选新区域，点击区域标签切换打码方式，点击 × 删除
+// editable 为false时只显示已有的区域，不响应鼠标
+const RedactionEditor = ({ imageWidth, imageHeight, redactions = [], mode = 'fill', editable = false, onChange }) => {
+  const layerRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  if (!imageWidth || !imageHeight) {
+    return null;
+  }
+
+  // 将鼠标位置换算为原图中的坐标
+  const toImagePoint = (e) => {
+    const rect = layerRef.current.getBoundingClientRect();
+    return {
+      x: Math.round(Math.max(0, Math.min(imageWidth, ((e.clientX - rect.left) / rect.width) * imageWidth))),
+      y: Math.round(Math.max(0, Math.min(imageHeight, ((e.clientY - rect.top) / rect.height) * imageHeight)))
+    };
+  };
+
+  // 拖动起点和当前点围成的矩形
+  const toRect = ({ start, end }) => ({
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y)
+  });
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toImagePoint(e);
+    setDraft({ start: point, end: point });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    setDraft({ ...draft, end: toImagePoint(e) });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const rect = toRect(draft);
+    setDraft(null);
+    if (rect.width >= MIN_REDACTION_SIZE && rect.height >= MIN_REDACTION_SIZE) {
+      onChange([...redactions, { ...rect, mode }]);
+    }
+  };
+
+  // 依次切换为下一种打码方式
+  const handleCycleMode = (e, index) => {
+    e.stopPropagation();
+    const modes = Object.keys(REDACTION_MODES);
+    onChange(redactions.map((redaction, i) => (
+      i === index ? { ...redaction, mode: modes[(modes.indexOf(redaction.mode) + 1) % modes.length] } : redaction
+    )));
+  };
+
+  const handleDelete = (e, index) => {
+    e.stopPropagation();
+    onChange(redactions.filter((_, i) => i !== index));
+  };
+
+  // 以原图百分比定位，图片缩放时区域跟随
+  const toStyle = ({ x, y, width, height }) => ({
+    left: `${(x / imageWidth) * 100}%`,
+    top: `${(y / imageHeight) * 100}%`,
+    width: `${(width / imageWidth) * 100}%`,
+    height: `${(height / imageHeight) * 100}%`
+  });
+
+  return (
+    <div
+      ref={layerRef}
+      className={`absolute inset-0 ${editable ? 'cursor-crosshair touch-none' : 'pointer-events-none'}`}
+      onPointerDown={editable ? handlePointerDown : undefined}
+      onPointerMove={editable ? handlePointerMove : undefined}
+      onPointerUp={editable ? handlePointerUp : undefined}
+      title={editable ? '拖动框选要打码的区域' : undefined}
+    >
+      {redactions.map((redaction, index) => (
+        <div
+          key={index}
+          className={`absolute border ${MODE_STYLES[redaction.mode]}`}
+          style={toStyle(redaction)}
+        >
+          {editable && (
+            <div className="absolute left-0 -top-5 flex space-x-1" onPointerDown={(e) => e.stopPropagation()}>
+              <button
+                onClick={(e) => handleCycleMode(e, index)}
+                className="px-1 text-xs leading-5 text-white bg-purple-600 rounded hover:bg-purple-500"
+                title="切换打码方式"
+              >
+                {REDACTION_MODES[redaction.mode]}
+              </button>
+              <button
+                onClick={(e) => handleDelete(e, index)}
+                className="w-5 h-5 leading-5 rounded-full bg-purple-600 text-white text-xs text-center hover:bg-red-600"
+                title="删除打码区域"
+              >
+                ×
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+      {draft && (
+        <div className={`absolute border-2 border-dashed ${MODE_STYLES[mode]}`} style={toStyle(toRect(draft))} />
+      )}
+    </div>
+  );
+};
+
+export default RedactionEditor;
@@ -1,11 +1,18 @@
 import { useState } from 'react';
+import FilterChainEditor from './FilterChainEditor';
+import { TEMPLATE_VARIABLES, WATERMARK_MODES, WATERMARK_POSITIONS } from '../utils/pageDecorations';
+import { ENCRYPTION_METHODS } from '../utils/pdfEncryption';
 
-const SettingsForm = ({ defaultSettings, onSettingsChange }) => {
+// 图片水印嵌入每个PDF并随转换历史保存，限制文件大小
+const MAX_WATERMARK_IMAGE_SIZE = 512 * 1024;
+
+const SettingsForm = ({ defaultSettings, defaultTitle = '', onSettingsChange }) => {
   const [settings, setSettings] = useState(defaultSettings);
+  const [watermarkError, setWatermarkError] = useState('');
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
-    const newValue = type === 'checkbox' ? checked : type === 'number' ? Number(value) : value;
+    const newValue = type === 'checkbox' ? checked : type === 'number' || type === 'range' ? Number(value) : value;
     
     const updatedSettings = {
       ...settings,
@@ -16,26 +23,131 @@ const SettingsForm = ({ defaultSettings, onSettingsChange }) => {
     onSettingsChange(updatedSettings);
   };
 
+  const handleFiltersChange = (filters) => {
+    const updatedSettings = {
+      ...settings,
+      filters
+    };
+    
+    setSettings(updatedSettings);
+    onSettingsChange(updatedSettings);
+  };
+
+  // 读取图片水印为数据URL，清除时传入null
+  const handleWatermarkImage = (file) => {
+    setWatermarkError('');
+    const update = (watermarkImage) => {
+      const updatedSettings = {
+        ...settings,
+        watermarkImage
+      };
+      setSettings(updatedSettings);
+      onSettingsChange(updatedSettings);
+    };
+
+    if (!file) {
+      update('');
+      return;
+    }
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      setWatermarkError('图片水印只支持PNG或JPEG');
+      return;
+    }
+    if (file.size > MAX_WATERMARK_IMAGE_SIZE) {
+      setWatermarkError('图片水印不能超过512 KB');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => update(reader.result);
+    reader.onerror = () => {
+      console.error('读取图片水印出错:', reader.error);
+      setWatermarkError('读取图片失败，请重试');
+    };
+    reader.readAsDataURL(file);
+  };
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <h2 className="text-xl font-semibold mb-4">PDF设置</h2>
       
       <div className="space-y-4">
-        <div className="flex items-start">
-          <div className="flex items-center h-5">
-            <input
-              id="autoDetectSplits"
-              name="autoDetectSplits"
-              type="checkbox"
-              checked={settings.autoDetectSplits}
-              onChange={handleChange}
-              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-            />
-          </div>
-          <div className="ml-3 text-sm">
-            <label htmlFor="autoDetectSplits" className="font-medium text-gray-700">自动检测黑线分割</label>
-            <p className="text-gray-500">智能检测图片中的黑色水平线作为分割点</p>
+        <div>
+          <label htmlFor="autoDetectSplits" className="block text-sm font-medium text-gray-700 mb-1">
+            自动分割方式
+          </label>
+          <select
+            id="autoDetectSplits"
+            name="autoDetectSplits"
+            value={settings.autoDetectSplits}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="both">黑线 + 空白间隙</option>
+            <option value="lines">仅黑线</option>
+            <option value="whitespace">仅空白间隙</option>
+            <option value="none">不分割</option>
+          </select>
+          <p className="mt-1 text-sm text-gray-500">
+            黑线处总是分页；空白间隙模式在段落、气泡之间的空白处按页面高度分页，不会切断文字
+          </p>
+          {(settings.autoDetectSplits === 'both' || settings.autoDetectSplits === 'lines') && (
+            <details className="mt-2">
+              <summary className="text-sm text-blue-600 cursor-pointer">黑线检测参数</summary>
+              <div className="mt-2 space-y-2">
+                {[
+                  ['splitSensitivity', '灵敏度', 0, 100, 1, ''],
+                  ['minLineWidth', '最小线宽', 1, 20, 1, ' 像素'],
+                  ['minLinePercent', '最小占比', 10, 100, 1, '%'],
+                  ['minSplitGap', '最小间距', 0, 500, 10, ' 像素']
+                ].map(([name, label, min, max, step, unit]) => (
+                  <label key={name} className="flex items-center text-sm text-gray-700">
+                    <span className="w-20 shrink-0">{label}</span>
+                    <input
+                      type="range"
+                      name={name}
+                      value={settings[name]}
+                      onChange={handleChange}
+                      min={min}
+                      max={max}
+                      step={step}
+                      className="flex-1"
+                    />
+                    <span className="w-20 text-right text-gray-500">{settings[name]}{unit}</span>
+                  </label>
+                ))}
+                <p className="text-sm text-gray-500">
+                  灵敏度越高，颜色越浅的线也算作分割线；一行中分割线像素超过最小占比、连续行数不少于最小线宽时成为候选分割线，与上一条分割线的距离需大于最小间距。
+                  在预览中打开“检测曲线”可以查看每行的占比和各候选线是否采用
+                </p>
+              </div>
+            </details>
+          )}
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">去除固定栏</span>
+          <div className="flex flex-wrap gap-4">
+            {[
+              ['stripStatusBar', '状态栏'],
+              ['stripHeader', '顶部导航栏'],
+              ['stripFooter', '底部标签栏']
+            ].map(([name, label]) => (
+              <label key={name} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name={name}
+                  checked={settings[name]}
+                  onChange={handleChange}
+                  className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                {label}
+              </label>
+            ))}
           </div>
+          <p className="mt-1 text-sm text-gray-500">
+            切割前去除手机状态栏、吸顶导航栏和底部标签栏（包括重复出现的），去除的区域在预览中以橙色标出
+          </p>
         </div>
 
         <div className="flex items-start">
@@ -50,11 +162,168 @@ const SettingsForm = ({ defaultSettings, onSettingsChange }) => {
             />
           </div>
           <div className="ml-3 text-sm">
-            <label htmlFor="sharpenImage" className="font-medium text-gray-700">图像锐化</label>
-            <p className="text-gray-500">增强图像清晰度和边缘细节</p>
+            <label htmlFor="sharpenImage" className="font-medium text-gray-700">图像增强</label>
+            <p className="text-gray-500">按顺序应用下列滤镜，增强清晰度和边缘细节；可在预览中对比效果</p>
           </div>
         </div>
 
+        {settings.sharpenImage && (
+          <FilterChainEditor
+            filters={settings.filters}
+            onChange={handleFiltersChange}
+          />
+        )}
+
+        <div>
+          <label htmlFor="trimMode" className="block text-sm font-medium text-gray-700 mb-1">
+            裁剪空白
+          </label>
+          <select
+            id="trimMode"
+            name="trimMode"
+            value={settings.trimMode}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="each">逐页裁剪</option>
+            <option value="uniform">统一宽度</option>
+            <option value="none">不裁剪</option>
+          </select>
+          {settings.trimMode !== 'none' && (
+            <div className="mt-2 grid grid-cols-2 gap-4">
+              <label className="text-sm text-gray-700">
+                颜色容差 (0-255)
+                <input
+                  type="number"
+                  name="trimTolerance"
+                  value={settings.trimTolerance}
+                  onChange={handleChange}
+                  min="0"
+                  max="255"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                保留边距 (像素)
+                <input
+                  type="number"
+                  name="trimPadding"
+                  value={settings.trimPadding}
+                  onChange={handleChange}
+                  min="0"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+            </div>
+          )}
+          <p className="mt-1 text-sm text-gray-500">
+            去掉与背景色相同的边缘；统一宽度模式下所有页面使用相同的左右边界，页面宽度一致
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              页面大小
+            </label>
+            <select
+              name="pageSize"
+              value={settings.pageSize}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="auto">按图片尺寸</option>
+              <option value="A4">A4</option>
+              <option value="A5">A5</option>
+              <option value="Letter">Letter</option>
+              <option value="custom">自定义</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              页面方向
+            </label>
+            <select
+              name="orientation"
+              value={settings.orientation}
+              onChange={handleChange}
+              disabled={settings.pageSize === 'auto'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+            >
+              <option value="portrait">纵向</option>
+              <option value="landscape">横向</option>
+            </select>
+          </div>
+        </div>
+
+        {settings.pageSize === 'custom' && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                页面宽度 (毫米)
+              </label>
+              <input
+                type="number"
+                name="customPageWidth"
+                value={settings.customPageWidth}
+                onChange={handleChange}
+                min="10"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                页面高度 (毫米)
+              </label>
+              <input
+                type="number"
+                name="customPageHeight"
+                value={settings.customPageHeight}
+                onChange={handleChange}
+                min="10"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+        )}
+
+        {settings.pageSize !== 'auto' && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                打印分辨率 (DPI)
+              </label>
+              <input
+                type="number"
+                name="dpi"
+                value={settings.dpi}
+                onChange={handleChange}
+                min="72"
+                max="600"
+                step="1"
+                disabled={settings.imageWidth > 0}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                图片宽度 (毫米)
+              </label>
+              <input
+                type="number"
+                name="imageWidth"
+                value={settings.imageWidth}
+                onChange={handleChange}
+                min="0"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <p className="col-span-2 text-sm text-gray-500">
+              图片按分辨率换算物理尺寸，填写图片宽度时以宽度为准（0表示不指定）；超出页面的部分会缩小或延续到下一页
+            </p>
+          </div>
+        )}
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
             页面边距 (点)
@@ -73,6 +342,469 @@ const SettingsForm = ({ defaultSettings, onSettingsChange }) => {
             PDF页面边距，默认为0
           </p>
         </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">输出大小</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="imageFormat" className="block text-sm text-gray-700 mb-1">
+                图像格式
+              </label>
+              <select
+                id="imageFormat"
+                name="imageFormat"
+                value={settings.imageFormat}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="png">PNG（无损）</option>
+                <option value="jpeg">JPEG</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="jpegQuality" className="block text-sm text-gray-700 mb-1">
+                JPEG质量 (0.1-1)
+              </label>
+              <input
+                id="jpegQuality"
+                type="number"
+                name="jpegQuality"
+                value={settings.jpegQuality}
+                onChange={handleChange}
+                min="0.1"
+                max="1"
+                step="0.05"
+                disabled={settings.imageFormat !== 'jpeg'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+            <div>
+              <label htmlFor="colorMode" className="block text-sm text-gray-700 mb-1">
+                颜色
+              </label>
+              <select
+                id="colorMode"
+                name="colorMode"
+                value={settings.colorMode}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="color">彩色</option>
+                <option value="grayscale">灰度</option>
+                <option value="bw">黑白（1位）</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="maxImageWidth" className="block text-sm text-gray-700 mb-1">
+                最大宽度 (像素)
+              </label>
+              <input
+                id="maxImageWidth"
+                type="number"
+                name="maxImageWidth"
+                value={settings.maxImageWidth}
+                onChange={handleChange}
+                min="0"
+                step="10"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div className="col-span-2">
+              <label htmlFor="targetFileSize" className="block text-sm text-gray-700 mb-1">
+                目标文件大小 (KB)
+              </label>
+              <input
+                id="targetFileSize"
+                type="number"
+                name="targetFileSize"
+                value={settings.targetFileSize}
+                onChange={handleChange}
+                min="0"
+                step="100"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            缩小宽度只降低图像分辨率，不改变页面上的尺寸；黑白模式总是使用PNG。填写目标文件大小后会自动降低JPEG质量和分辨率，直到PDF不超过该大小（0表示不限制）
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="ocrLanguage" className="block text-sm font-medium text-gray-700 mb-1">
+            文字识别 (OCR)
+          </label>
+          <select
+            id="ocrLanguage"
+            name="ocrLanguage"
+            value={settings.ocrLanguage}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">关闭</option>
+            <option value="chi_sim+eng">中文 + 英文</option>
+            <option value="chi_sim">中文</option>
+            <option value="eng">英文</option>
+          </select>
+          <p className="mt-1 text-sm text-gray-500">
+            在本地识别文字并写入隐藏文字层，生成的PDF可以搜索和复制文字
+          </p>
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">文档信息</span>
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              标题
+              <input
+                type="text"
+                name="title"
+                value={settings.title}
+                onChange={handleChange}
+                placeholder={defaultTitle}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              作者
+              <input
+                type="text"
+                name="author"
+                value={settings.author}
+                onChange={handleChange}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              主题
+              <input
+                type="text"
+                name="subject"
+                value={settings.subject}
+                onChange={handleChange}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              关键词
+              <input
+                type="text"
+                name="keywords"
+                value={settings.keywords}
+                onChange={handleChange}
+                placeholder="用逗号分隔"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            写入PDF的文档属性，标题留空时使用上传的文件名
+          </p>
+        </div>
+
+        <div className="flex items-start">
+          <div className="flex items-center h-5">
+            <input
+              id="bookmarks"
+              name="bookmarks"
+              type="checkbox"
+              checked={settings.bookmarks}
+              onChange={handleChange}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+          </div>
+          <div className="ml-3 text-sm">
+            <label htmlFor="bookmarks" className="font-medium text-gray-700">添加书签</label>
+            <p className="text-gray-500">为每个切片添加一个书签，可在切片预览中修改书签名称</p>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="pageLabelStyle" className="block text-sm font-medium text-gray-700 mb-1">
+            页码标签
+          </label>
+          <select
+            id="pageLabelStyle"
+            name="pageLabelStyle"
+            value={settings.pageLabelStyle}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">默认</option>
+            <option value="decimal">1, 2, 3</option>
+            <option value="lowerRoman">i, ii, iii</option>
+            <option value="upperRoman">I, II, III</option>
+            <option value="lowerAlpha">a, b, c</option>
+            <option value="upperAlpha">A, B, C</option>
+            <option value="none">仅前缀</option>
+          </select>
+          {settings.pageLabelStyle && (
+            <div className="mt-2 grid grid-cols-2 gap-4">
+              <label className="text-sm text-gray-700">
+                前缀
+                <input
+                  type="text"
+                  name="pageLabelPrefix"
+                  value={settings.pageLabelPrefix}
+                  onChange={handleChange}
+                  placeholder="例如 P-"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                起始编号
+                <input
+                  type="number"
+                  name="pageLabelStart"
+                  value={settings.pageLabelStart}
+                  onChange={handleChange}
+                  min="1"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+            </div>
+          )}
+          <p className="mt-1 text-sm text-gray-500">
+            PDF阅读器中显示的页码，例如 P-1、P-2
+          </p>
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">页眉页脚</span>
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              页眉
+              <input
+                type="text"
+                name="headerTemplate"
+                value={settings.headerTemplate}
+                onChange={handleChange}
+                placeholder="例如 {title}"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              页脚
+              <input
+                type="text"
+                name="footerTemplate"
+                value={settings.footerTemplate}
+                onChange={handleChange}
+                placeholder="例如 {page}/{pages}"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              对齐
+              <select
+                name="headerFooterAlign"
+                value={settings.headerFooterAlign}
+                onChange={handleChange}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="center">居中</option>
+                <option value="left">左对齐</option>
+                <option value="right">右对齐</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              字号 (点)
+              <input
+                type="number"
+                name="headerFooterSize"
+                value={settings.headerFooterSize}
+                onChange={handleChange}
+                min="6"
+                max="24"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            可用变量：{Object.entries(TEMPLATE_VARIABLES).map(([name, label]) => `{${name}} ${label}`).join('、')}。
+            页眉页脚画在页边距中，边距不够时自动留出位置，文字不会盖住图片
+          </p>
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">水印</span>
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              文字水印
+              <input
+                type="text"
+                name="watermarkText"
+                value={settings.watermarkText}
+                onChange={handleChange}
+                placeholder="例如 Internal"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              排列
+              <select
+                name="watermarkMode"
+                value={settings.watermarkMode}
+                onChange={handleChange}
+                disabled={!settings.watermarkText}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              >
+                {Object.entries(WATERMARK_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {settings.watermarkText && (
+            <label className="mt-2 flex items-center text-sm text-gray-700">
+              <span className="w-20 shrink-0">不透明度</span>
+              <input
+                type="range"
+                name="watermarkOpacity"
+                value={settings.watermarkOpacity}
+                onChange={handleChange}
+                min="0.05"
+                max="1"
+                step="0.05"
+                className="flex-1"
+              />
+              <span className="w-20 text-right text-gray-500">{Math.round(settings.watermarkOpacity * 100)}%</span>
+            </label>
+          )}
+
+          <div className="mt-3 flex items-center gap-3 text-sm text-gray-700">
+            <span className="w-20 shrink-0">图片水印</span>
+            {settings.watermarkImage ? (
+              <>
+                <img src={settings.watermarkImage} alt="图片水印" className="h-10 max-w-[6rem] object-contain border border-gray-200" />
+                <button
+                  type="button"
+                  onClick={() => handleWatermarkImage(null)}
+                  className="text-blue-600 hover:underline"
+                >
+                  移除
+                </button>
+              </>
+            ) : (
+              <input
+                type="file"
+                accept="image/png,image/jpeg"
+                onChange={(e) => handleWatermarkImage(e.target.files[0])}
+                className="text-sm"
+              />
+            )}
+          </div>
+          {watermarkError && <p className="mt-1 text-sm text-red-600">{watermarkError}</p>}
+          {settings.watermarkImage && (
+            <div className="mt-2 space-y-2">
+              <label className="flex items-center text-sm text-gray-700">
+                <span className="w-20 shrink-0">位置</span>
+                <select
+                  name="watermarkImagePosition"
+                  value={settings.watermarkImagePosition}
+                  onChange={handleChange}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {Object.entries(WATERMARK_POSITIONS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {[
+                ['watermarkImageWidth', '宽度', 5, 100, 5, (value) => `${value}%`],
+                ['watermarkImageOpacity', '不透明度', 0.05, 1, 0.05, (value) => `${Math.round(value * 100)}%`]
+              ].map(([name, label, min, max, step, format]) => (
+                <label key={name} className="flex items-center text-sm text-gray-700">
+                  <span className="w-20 shrink-0">{label}</span>
+                  <input
+                    type="range"
+                    name={name}
+                    value={settings[name]}
+                    onChange={handleChange}
+                    min={min}
+                    max={max}
+                    step={step}
+                    className="flex-1"
+                  />
+                  <span className="w-20 text-right text-gray-500">{format(settings[name])}</span>
+                </label>
+              ))}
+            </div>
+          )}
+          <p className="mt-1 text-sm text-gray-500">
+            水印画在每一页上；图片水印（如logo）放在页边距以内，宽度为占内容宽度的百分比
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="encryption" className="block text-sm font-medium text-gray-700 mb-1">
+            加密
+          </label>
+          <select
+            id="encryption"
+            name="encryption"
+            value={settings.encryption}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">不加密</option>
+            {Object.entries(ENCRYPTION_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {settings.encryption && (
+            <>
+              <div className="mt-2 grid grid-cols-2 gap-4">
+                <label className="text-sm text-gray-700">
+                  打开密码
+                  <input
+                    type="password"
+                    name="userPassword"
+                    value={settings.userPassword}
+                    onChange={handleChange}
+                    placeholder="留空时打开不需要密码"
+                    autoComplete="new-password"
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  权限密码
+                  <input
+                    type="password"
+                    name="ownerPassword"
+                    value={settings.ownerPassword}
+                    onChange={handleChange}
+                    placeholder="解除下列限制需要的密码"
+                    autoComplete="new-password"
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+              </div>
+              <div className="mt-2 flex flex-wrap gap-4">
+                {[
+                  ['allowPrinting', '允许打印'],
+                  ['allowCopying', '允许复制'],
+                  ['allowModifying', '允许修改']
+                ].map(([name, label]) => (
+                  <label key={name} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      name={name}
+                      checked={settings[name]}
+                      onChange={handleChange}
+                      className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+          <p className="mt-1 text-sm text-gray-500">
+            加密方式和密码不会保存，每次打开页面后需要重新设置；AES-128的密码只能使用英文字母、数字和符号。权限限制由PDF阅读器执行，限制了权限而权限密码留空时，之后无法解除限制。
+            浏览器中加密需要通过HTTPS访问本页面
+          </p>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+
+// 切片操作按钮的样式
+const ACTION_CLASS = 'px-2 py-1 rounded-md text-xs bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50';
+
+// 切片管理：拖动调整顺序，删除、旋转、复制切片，合并相邻切片，支持撤销和重做
+const SliceManager = ({
+  slices,
+  canUndo = false,
+  canRedo = false,
+  disabled = false,
+  onMove,
+  onDelete,
+  onRotate,
+  onDuplicate,
+  onMergeNext,
+  onUndo,
+  onRedo,
+  onSliceTitleChange = null
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const handleDragStart = (e, index) => {
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  // 拖到切片的上半部分时放在它前面，下半部分时放在它后面
+  const handleDragOver = (e, index) => {
+    if (dragIndex === null) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (dragIndex !== null && dropIndex !== null) {
+      // 移除拖动的切片后，后面的位置前移一位
+      const target = dropIndex > dragIndex ? dropIndex - 1 : dropIndex;
+      if (target !== dragIndex) {
+        onMove(dragIndex, target);
+      }
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <div className="p-4 space-y-4">
+      <div className="flex items-center justify-between text-sm text-gray-500">
+        <span>拖动切片调整顺序</span>
+        <div className="flex space-x-2">
+          <button onClick={onUndo} disabled={disabled || !canUndo} className={ACTION_CLASS}>
+            撤销
+          </button>
+          <button onClick={onRedo} disabled={disabled || !canRedo} className={ACTION_CLASS}>
+            重做
+          </button>
+        </div>
+      </div>
+
+      {slices.map((slice, index) => (
+        <div
+          key={index}
+          draggable={!disabled}
+          onDragStart={(e) => handleDragStart(e, index)}
+          onDragOver={(e) => handleDragOver(e, index)}
+          onDrop={handleDrop}
+          onDragEnd={handleDragEnd}
+          className={`border-b border-gray-200 pb-4 last:border-b-0 ${dragIndex === index ? 'opacity-50' : ''} ${
+            dropIndex === index ? 'border-t-4 border-t-blue-500' : ''
+          } ${dropIndex === index + 1 && index === slices.length - 1 ? 'border-b-4 border-b-blue-500' : ''}`}
+        >
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-700 cursor-move">
+              切片 {index + 1} ({slice.width} x {slice.height})
+            </h3>
+            <div className="flex space-x-1">
+              <button onClick={() => onRotate(index, -1)} disabled={disabled} className={ACTION_CLASS} title="逆时针旋转90°">
+                左转
+              </button>
+              <button onClick={() => onRotate(index, 1)} disabled={disabled} className={ACTION_CLASS} title="顺时针旋转90°">
+                右转
+              </button>
+              <button onClick={() => onDuplicate(index)} disabled={disabled} className={ACTION_CLASS}>
+                复制
+              </button>
+              <button
+                onClick={() => onMergeNext(index)}
+                disabled={disabled || index === slices.length - 1}
+                className={ACTION_CLASS}
+                title="与下一个切片合并为一页"
+              >
+                合并下一页
+              </button>
+              <button
+                onClick={() => onDelete(index)}
+                disabled={disabled || slices.length === 1}
+                className={`${ACTION_CLASS} hover:text-red-600`}
+              >
+                删除
+              </button>
+            </div>
+          </div>
+          {onSliceTitleChange && (
+            <input
+              type="text"
+              value={slice.title || ''}
+              onChange={(e) => onSliceTitleChange(index, e.target.value)}
+              placeholder={`书签名称：切片 ${index + 1}`}
+              className="w-full mb-2 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+          )}
+          <div className="flex justify-center">
+            <img
+              src={slice.dataUrl}
+              alt={`切片 ${index + 1}`}
+              draggable={false}
+              className="max-w-full h-auto border border-gray-300"
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SliceManager;
@@ -0,0 +1,36 @@
+import { LINE_REJECT_REASONS } from '../utils/pixelOps';
+
+// 候选分割线列表：位置、线宽，以及是否采用和未采用的原因
+const SplitCandidateList = ({ lines }) => {
+  if (!lines) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-medium text-gray-700 mb-2">
+        候选分割线 {lines.candidates.length} 条，采用 {lines.splitPoints.length} 条
+      </h3>
+      {lines.candidates.length === 0 ? (
+        <p className="text-sm text-gray-500">没有找到占比超过阈值的行，可以提高灵敏度或降低最小占比</p>
+      ) : (
+        <ul className="max-h-40 overflow-auto text-sm divide-y divide-gray-100 border border-gray-200 rounded-md">
+          {lines.candidates.map((candidate, index) => (
+            <li key={index} className="flex justify-between px-3 py-1">
+              <span className="text-gray-700">
+                {candidate.y}px（线宽 {candidate.endY - candidate.startY} 像素）
+              </span>
+              {candidate.accepted ? (
+                <span className="text-green-600">采用</span>
+              ) : (
+                <span className="text-red-600">未采用：{LINE_REJECT_REASONS[candidate.reason]}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SplitCandidateList;
@@ -0,0 +1,91 @@
+import { useRef, useState } from 'react';
+
+// 覆盖在原图上的分割线编辑层：拖动调整位置，点击空白处添加，点击 × 删除
+const SplitLineEditor = ({ imageHeight, splitPoints = [], onChange }) => {
+  const layerRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(-1);
+  const [dragY, setDragY] = useState(0);
+
+  if (!imageHeight) {
+    return null;
+  }
+
+  // 将鼠标位置换算为原图中的Y坐标
+  const toImageY = (clientY) => {
+    const rect = layerRef.current.getBoundingClientRect();
+    const ratio = (clientY - rect.top) / rect.height;
+    return Math.round(Math.max(1, Math.min(imageHeight - 1, ratio * imageHeight)));
+  };
+
+  const commit = (points) => {
+    onChange([...new Set(points)].sort((a, b) => a - b));
+  };
+
+  const handleLayerClick = (e) => {
+    if (dragIndex !== -1) return;
+    commit([...splitPoints, toImageY(e.clientY)]);
+  };
+
+  const handlePointerDown = (e, index) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragIndex(index);
+    setDragY(splitPoints[index]);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragIndex === -1) return;
+    setDragY(toImageY(e.clientY));
+  };
+
+  const handlePointerUp = (e) => {
+    if (dragIndex === -1) return;
+    e.stopPropagation();
+    const points = [...splitPoints];
+    points[dragIndex] = dragY;
+    setDragIndex(-1);
+    commit(points);
+  };
+
+  const handleDelete = (e, index) => {
+    e.stopPropagation();
+    commit(splitPoints.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div
+      ref={layerRef}
+      className="absolute inset-0 cursor-crosshair"
+      onClick={handleLayerClick}
+      title="点击添加分割线"
+    >
+      {splitPoints.map((point, index) => {
+        const y = index === dragIndex ? dragY : point;
+        return (
+          <div
+            key={index}
+            className="absolute left-0 right-0 h-3 -translate-y-1/2 cursor-row-resize group"
+            style={{ top: `${(y / imageHeight) * 100}%` }}
+            onClick={(e) => e.stopPropagation()}
+            onPointerDown={(e) => handlePointerDown(e, index)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            title={`分割线 ${index + 1}：${y}px，拖动调整位置`}
+          >
+            <div className="absolute left-0 right-0 top-1/2 border-t-2 border-blue-600 group-hover:border-blue-400" />
+            <button
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={(e) => handleDelete(e, index)}
+              className="absolute right-1 top-1/2 -translate-y-1/2 w-5 h-5 leading-5 rounded-full bg-blue-600 text-white text-xs text-center hover:bg-red-600"
+              title="删除分割线"
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SplitLineEditor;
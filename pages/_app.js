@@ -1,6 +1,12 @@
+import { useEffect } from 'react'
 import '../styles/globals.css'
+import { registerServiceWorker } from '../utils/shareTarget'
 
 function MyApp({ Component, pageProps }) {
+  useEffect(() => {
+    registerServiceWorker()
+  }, [])
+
   return <Component {...pageProps} />
 }
 
@@ -0,0 +1,338 @@
+import { sliceImageBuffer, convertImageBuffer, imageBufferToDataUrl } from '../../utils/serverProcessor';
+import { recognizeSlices } from '../../utils/serverOcr';
+import { normalizeOcrLanguage } from '../../utils/ocrShared';
+import { normalizeFilters, normalizeRedactions } from '../../utils/pixelOps';
+import { PAGE_LABEL_STYLES, getPdfPageCount } from '../../utils/imageProcessor';
+import { WATERMARK_MODES, WATERMARK_POSITIONS } from '../../utils/pageDecorations';
+import { ENCRYPTION_METHODS } from '../../utils/pdfEncryption';
+
+// 关闭Next.js内置的请求体解析，直接读取上传的二进制数据
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+// 上传文件大小上限
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+/**
+ * 读取完整的请求体
+ * @param {import('http').IncomingMessage} req - 请求
+ * @returns {Promise<Buffer>} - 请求体内容
+ */
+const readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_SIZE) {
+        reject(new Error('上传文件过大'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+};
+
+/**
+ * 解析 multipart/form-data 请求体
+ * @param {Buffer} body - 请求体内容
+ * @param {string} contentType - Content-Type 请求头
+ * @returns {{fields: Object<string, string>, file: Buffer|null, filename: string, basePdf: Buffer|null, watermarkImage: Buffer|null}}
+ *   - 表单字段、第一个上传的图片及其文件名，basePdf 字段上传的已有PDF，以及 watermarkImage 字段上传的水印图片
+ */
+const parseMultipart = (body, contentType) => {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!match) {
+    throw new Error('缺少multipart边界');
+  }
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  let file = null;
+  let filename = '';
+  let basePdf = null;
+  let watermarkImage = null;
+
+  let start = body.indexOf(boundary);
+  while (start !== -1) {
+    const partStart = start + boundary.length + 2; // 跳过边界后的换行
+    const end = body.indexOf(boundary, partStart);
+    if (end === -1) break;
+
+    const part = body.subarray(partStart, end - 2); // 去掉边界前的换行
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const name = headers.match(/name="([^"]*)"/i);
+
+      const filenameMatch = headers.match(/filename="([^"]*)"/i);
+
+      if (filenameMatch && name && name[1] === 'basePdf') {
+        basePdf = content;
+      } else if (filenameMatch && name && name[1] === 'watermarkImage') {
+        watermarkImage = content;
+      } else if (filenameMatch) {
+        if (!file) {
+          file = content;
+          filename = filenameMatch[1];
+        }
+      } else if (name) {
+        fields[name[1]] = content.toString('utf8');
+      }
+    }
+
+    start = end;
+  }
+
+  return { fields, file, filename, basePdf, watermarkImage };
+};
+
+// 解析布尔参数
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined) return defaultValue;
+  return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+};
+
+// 解析逗号分隔的数字列表，未提供时返回undefined
+const parseNumberList = (value) => {
+  if (value === undefined) return undefined;
+  return String(value).split(',').map(Number).filter((number) => !Number.isNaN(number));
+};
+
+// 解析JSON格式的增强滤镜链，未提供时返回undefined（使用默认滤镜链）
+const parseFilters = (value) => {
+  if (value === undefined) return undefined;
+  let filters;
+  try {
+    filters = JSON.parse(value);
+  } catch (error) {
+    throw new Error('增强滤镜格式错误，应为JSON数组');
+  }
+  return normalizeFilters(filters);
+};
+
+// 解析JSON格式的打码区域，未提供时返回空数组
+const parseRedactions = (value) => {
+  if (value === undefined) return [];
+  let redactions;
+  try {
+    redactions = JSON.parse(value);
+  } catch (error) {
+    throw new Error('打码区域格式错误，应为JSON数组');
+  }
+  return normalizeRedactions(redactions);
+};
+
+// 解析JSON数组格式的书签标题，未提供时返回undefined（使用默认标题）
+const parseStringList = (value, name) => {
+  if (value === undefined) return undefined;
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (error) {
+    list = null;
+  }
+  if (!Array.isArray(list)) {
+    throw new Error(`参数 ${name} 应为JSON字符串数组`);
+  }
+  return list.map(String);
+};
+
+// 解析数字参数
+const parseNumber = (value, defaultValue) => {
+  const number = Number(value);
+  return value === undefined || Number.isNaN(number) ? defaultValue : number;
+};
+
+// 解析枚举参数，不在允许范围内时报错
+const parseChoice = (value, choices, name) => {
+  if (value === undefined) return choices[0];
+  if (!choices.includes(value)) {
+    throw new Error(`参数 ${name} 只能是 ${choices.join('、')}`);
+  }
+  return value;
+};
+
+/**
+ * 服务端转换接口
+ * POST /api/convert
+ * - 请求体为图片文件本身（Content-Type: image/*），或 multipart/form-data 中的文件字段
+ * - 选项可放在查询参数或表单字段中: splitPoints, autoDetectSplits, stripStatusBar, stripHeader, stripFooter, sharpenImage,
+ *   trimMode, trimTolerance, trimPadding, filters, redactions, splitSensitivity, minLineWidth, minLinePercent, minSplitGap, margin, pageSize, orientation,
+ *   customPageWidth, customPageHeight, dpi, imageWidth, ocrLanguage, imageFormat, jpegQuality, colorMode, maxImageWidth,
+ *   targetFileSize（KB）, title, author, subject, keywords, bookmarks, bookmarkTitles, pageLabelStyle, pageLabelPrefix,
+ *   pageLabelStart, header, footer, headerFooterAlign, headerFooterSize, watermarkText, watermarkMode, watermarkOpacity,
+ *   watermarkImageOpacity, watermarkImagePosition, watermarkImageWidth（占内容宽度的百分比）, encryption,
+ *   userPassword, ownerPassword, allowPrinting, allowCopying, allowModifying, format
+ * - 页眉页脚模板可用 {title} {page} {pages} {date} {file}，{file} 为上传的文件名
+ * - 表单中的 watermarkImage 文件字段为图片水印
+ * - redactions 为打码区域的JSON数组 [{ x, y, width, height, mode }]（原图像素坐标），mode 为 fill、blur 或 pixelate，切割前应用
+ * - encryption 为 aes128 或 aes256 时加密PDF，userPassword 为打开密码，ownerPassword 为解除权限限制的密码，
+ *   allowPrinting、allowCopying、allowModifying 默认为 true
+ * - title 默认为上传的文件名（去掉扩展名），追加到已有PDF时默认保留其标题
+ * - 表单中的 basePdf 文件字段为已有PDF时，新页面插入到该PDF的 insertAt 页之前（默认追加到末尾）
+ * - format=pdf（默认）返回PDF文件，format=json 返回切片列表（启用OCR时附带识别出的文字行）
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: '仅支持POST请求' });
+    return;
+  }
+
+  let image;
+  let filename = '';
+  let basePdf = null;
+  let watermarkImage = null;
+  let fields = {};
+  try {
+    const body = await readBody(req);
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.startsWith('multipart/form-data')) {
+      const parsed = parseMultipart(body, contentType);
+      image = parsed.file;
+      fields = parsed.fields;
+      filename = parsed.filename;
+      basePdf = parsed.basePdf;
+      watermarkImage = parsed.watermarkImage;
+    } else {
+      image = body;
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  if (!image || image.length === 0) {
+    res.status(400).json({ error: '请上传图片文件' });
+    return;
+  }
+
+  const params = { ...fields, ...req.query };
+  const options = {
+    splitPoints: parseNumberList(params.splitPoints),
+    sharpenImage: parseBoolean(params.sharpenImage, true),
+    stripStatusBar: parseBoolean(params.stripStatusBar, false),
+    stripHeader: parseBoolean(params.stripHeader, false),
+    stripFooter: parseBoolean(params.stripFooter, false),
+    trimTolerance: parseNumber(params.trimTolerance, 5),
+    trimPadding: parseNumber(params.trimPadding, 0),
+    splitSensitivity: parseNumber(params.splitSensitivity, 50),
+    minLineWidth: parseNumber(params.minLineWidth, 2),
+    minLinePercent: parseNumber(params.minLinePercent, 60),
+    minSplitGap: parseNumber(params.minSplitGap, 50),
+    margin: parseNumber(params.margin, 0),
+    customPageWidth: parseNumber(params.customPageWidth, 210),
+    customPageHeight: parseNumber(params.customPageHeight, 297),
+    dpi: parseNumber(params.dpi, 150),
+    imageWidth: parseNumber(params.imageWidth, 0),
+    ocrLanguage: params.ocrLanguage || '',
+    jpegQuality: Math.max(0.1, Math.min(1, parseNumber(params.jpegQuality, 0.85))),
+    maxImageWidth: parseNumber(params.maxImageWidth, 0),
+    targetFileSize: parseNumber(params.targetFileSize, 0) * 1024,
+    // 追加到已有PDF时默认保留其原有标题
+    title: params.title || (basePdf ? '' : filename.replace(/\.[^.]+$/, '')),
+    author: params.author || '',
+    subject: params.subject || '',
+    keywords: params.keywords || '',
+    bookmarks: parseBoolean(params.bookmarks, false),
+    header: params.header || '',
+    footer: params.footer || '',
+    headerFooterSize: parseNumber(params.headerFooterSize, 9),
+    fileName: filename,
+    insertAt: params.insertAt === undefined ? null : parseNumber(params.insertAt, null)
+  };
+
+  try {
+    options.filters = parseFilters(params.filters);
+    options.redactions = parseRedactions(params.redactions);
+    options.autoDetectSplits = parseChoice(params.autoDetectSplits, ['both', 'lines', 'whitespace', 'none'], 'autoDetectSplits');
+    options.pageSize = parseChoice(params.pageSize, ['A4', 'A5', 'Letter', 'custom', 'auto'], 'pageSize');
+    options.orientation = parseChoice(params.orientation, ['portrait', 'landscape'], 'orientation');
+    options.imageFormat = parseChoice(params.imageFormat, ['png', 'jpeg'], 'imageFormat');
+    options.colorMode = parseChoice(params.colorMode, ['color', 'grayscale', 'bw'], 'colorMode');
+    options.trimMode = parseChoice(params.trimMode, ['each', 'uniform', 'none'], 'trimMode');
+    options.bookmarkTitles = parseStringList(params.bookmarkTitles, 'bookmarkTitles');
+    options.headerFooterAlign = parseChoice(params.headerFooterAlign, ['center', 'left', 'right'], 'headerFooterAlign');
+    if (params.watermarkText) {
+      options.textWatermark = {
+        text: params.watermarkText,
+        mode: parseChoice(params.watermarkMode, Object.keys(WATERMARK_MODES), 'watermarkMode'),
+        opacity: parseNumber(params.watermarkOpacity, 0.15)
+      };
+    }
+    if (watermarkImage) {
+      options.imageWatermark = {
+        dataUrl: await imageBufferToDataUrl(watermarkImage),
+        opacity: parseNumber(params.watermarkImageOpacity, 0.15),
+        position: parseChoice(params.watermarkImagePosition, Object.keys(WATERMARK_POSITIONS), 'watermarkImagePosition'),
+        width: parseNumber(params.watermarkImageWidth, 40)
+      };
+    }
+    if (params.encryption) {
+      options.encryption = {
+        method: parseChoice(params.encryption, Object.keys(ENCRYPTION_METHODS), 'encryption'),
+        userPassword: params.userPassword || '',
+        ownerPassword: params.ownerPassword || '',
+        permissions: {
+          printing: parseBoolean(params.allowPrinting, true),
+          copying: parseBoolean(params.allowCopying, true),
+          modifying: parseBoolean(params.allowModifying, true)
+        }
+      };
+    }
+    if (params.pageLabelStyle) {
+      options.pageLabels = {
+        style: parseChoice(params.pageLabelStyle, Object.keys(PAGE_LABEL_STYLES), 'pageLabelStyle'),
+        prefix: params.pageLabelPrefix || '',
+        start: parseNumber(params.pageLabelStart, 1)
+      };
+    }
+    if (options.ocrLanguage) {
+      options.ocrLanguage = normalizeOcrLanguage(options.ocrLanguage);
+    }
+    if (basePdf) {
+      await getPdfPageCount(basePdf);
+      options.basePdf = basePdf;
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  try {
+    if (params.format === 'json') {
+      let slices = await sliceImageBuffer(image, options);
+      if (options.ocrLanguage) {
+        slices = await recognizeSlices(slices, { language: options.ocrLanguage });
+      }
+      res.status(200).json({ slices });
+      return;
+    }
+
+    const { pdfBytes, withinTarget } = await convertImageBuffer(image, options);
+    res.setHeader('Content-Type', 'application/pdf');
+    if (options.targetFileSize > 0) {
+      // 无法压缩到目标大小以内时仍返回最小的结果，由调用方决定是否使用
+      res.setHeader('X-Within-Target-Size', String(withinTarget));
+    }
+    res.setHeader('Content-Disposition', 'attachment; filename="longshot.pdf"');
+    res.status(200).send(Buffer.from(pdfBytes));
+  } catch (error) {
+    if (error.name === 'ImageDecodeError' || error.name === 'PdfEncryptionError') {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error('服务端转换出错:', error);
+    res.status(500).json({ error: '图片处理失败，请检查图片格式' });
+  }
+}
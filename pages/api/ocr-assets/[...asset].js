@@ -0,0 +1,36 @@
+import fs from 'fs';
+import { OCR_ASSET_FILES } from '../../../utils/ocrShared';
+import { resolveOcrAsset } from '../../../utils/serverOcr';
+
+// 资源类型
+const CONTENT_TYPES = {
+  '.js': 'application/javascript',
+  '.gz': 'application/gzip',
+  '.ttf': 'font/ttf'
+};
+
+/**
+ * OCR本地资源接口
+ * GET /api/ocr-assets/<资源名称>
+ * 提供tesseract.js的worker、核心、语言数据和文字层字体，浏览器端OCR无需访问外部网络
+ */
+export default function handler(req, res) {
+  const name = [].concat(req.query.asset).join('/');
+
+  if (!Object.prototype.hasOwnProperty.call(OCR_ASSET_FILES, name)) {
+    res.status(404).json({ error: '资源不存在' });
+    return;
+  }
+
+  const filePath = resolveOcrAsset(name);
+  const extension = name.slice(name.lastIndexOf('.'));
+
+  res.setHeader('Content-Type', CONTENT_TYPES[extension] || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+
+  fs.createReadStream(filePath)
+    .on('error', () => {
+      res.status(500).json({ error: '资源读取失败' });
+    })
+    .pipe(res);
+}
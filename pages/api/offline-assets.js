@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+
+// Next.js构建产物中的静态资源目录
+const STATIC_DIR = path.join(process.cwd(), '.next', 'static');
+
+/**
+ * 列出目录下的所有文件（相对路径，以 / 分隔）
+ * @param {string} dir - 目录
+ * @param {string} prefix - 相对路径前缀
+ * @returns {Array<string>}
+ */
+const listFiles = (dir, prefix = '') => {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const relative = `${prefix}${entry.name}`;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), `${relative}/`) : [relative];
+  });
+};
+
+/**
+ * 离线资源列表接口
+ * GET /api/offline-assets
+ * 返回当前构建的全部静态资源地址 { urls }，包括按需加载的脚本（图像处理Worker、OCR、HEIC解码、字体嵌入、PDF预览），
+ * 由Service Worker预先缓存，第一次离线使用这些功能时也不需要网络
+ */
+export default function handler(req, res) {
+  let urls;
+  try {
+    urls = listFiles(STATIC_DIR).map((file) => `/_next/static/${file}`);
+  } catch (error) {
+    console.error('读取静态资源列表出错:', error);
+    res.status(500).json({ error: '静态资源列表读取失败' });
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({ urls });
+}
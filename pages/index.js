@@ -1,36 +1,604 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Head from 'next/head';
 import ImageUploader from '../components/ImageUploader';
 import SettingsForm from '../components/SettingsForm';
 import ImagePreview from '../components/ImagePreview';
-import { sliceImage, createPdfFromImages, createDownloadLink } from '../utils/imageProcessor';
+import ProgressBar from '../components/ProgressBar';
+import BasePdfPicker from '../components/BasePdfPicker';
+import HistoryPanel from '../components/HistoryPanel';
+import {
+  sliceImage,
+  detectImageSplits,
+  stitchImages,
+  rotateSlice,
+  mergeSlices,
+  createThumbnail,
+  createOutputPdf,
+  encodeOutputSlices,
+  createDownloadLink,
+  getPageAspect,
+  getPdfPageCount
+} from '../utils/imageProcessor';
+import { EXPORT_FORMATS, createExportArchive } from '../utils/archiveExport';
+import { DEFAULT_FILTERS } from '../utils/pixelOps';
+import { recognizeSlices, loadTextLayerFont } from '../utils/ocr';
+import { renderPdfThumbnails } from '../utils/pdfPreview';
+import { loadSettings, saveSettings } from '../utils/settingsStore';
+import { needsEmbeddedFont } from '../utils/pageDecorations';
+import { saveJob, loadJob } from '../utils/historyStore';
 
 // 默认设置
 const defaultSettings = {
+  pageSize: 'A4',
+  orientation: 'portrait',
+  customPageWidth: 210,
+  customPageHeight: 297,
+  dpi: 150,
+  imageWidth: 0,
   margin: 0,
-  autoDetectSplits: true,  // 默认启用黑线检测
-  sharpenImage: true       // 默认启用锐化
+  autoDetectSplits: 'both',  // 默认按黑线分割，过高的部分再按空白间隙分页
+  splitSensitivity: 50,    // 黑线检测灵敏度
+  minLineWidth: 2,         // 分割线的最小线宽（像素）
+  minLinePercent: 60,      // 分割线像素在一行中的最小百分比
+  minSplitGap: 50,         // 相邻分割线的最小距离（像素）
+  stripStatusBar: false,   // 去除顶部的系统状态栏
+  stripHeader: false,      // 去除顶部导航栏
+  stripFooter: false,      // 去除底部标签栏
+  sharpenImage: true,      // 默认启用图像增强
+  filters: DEFAULT_FILTERS, // 图像增强滤镜链
+  trimMode: 'each',        // 逐页裁剪空白边缘
+  trimTolerance: 5,
+  trimPadding: 0,
+  ocrLanguage: '',         // 默认不识别文字
+  imageFormat: 'png',      // 默认无损输出
+  jpegQuality: 0.85,
+  colorMode: 'color',
+  maxImageWidth: 0,        // 0表示不缩小
+  targetFileSize: 0,       // 目标文件大小（KB），0表示不限制
+  title: '',               // 为空时使用上传的文件名
+  author: '',
+  subject: '',
+  keywords: '',            // 逗号分隔
+  bookmarks: false,        // 为每个切片添加书签
+  pageLabelStyle: '',      // 为空时不设置页码标签
+  pageLabelPrefix: '',
+  pageLabelStart: 1,
+  headerTemplate: '',      // 页眉模板，为空时不添加
+  footerTemplate: '',      // 页脚模板，例如 {page}/{pages}
+  headerFooterAlign: 'center',
+  headerFooterSize: 9,
+  watermarkText: '',       // 文字水印，为空时不添加
+  watermarkMode: 'diagonal',
+  watermarkOpacity: 0.15,
+  watermarkImage: '',      // 图片水印的数据URL
+  watermarkImagePosition: 'center',
+  watermarkImageWidth: 40, // 占内容宽度的百分比
+  watermarkImageOpacity: 0.15,
+  encryption: '',          // 加密方式（aes128、aes256），为空时不加密
+  userPassword: '',        // 打开PDF需要的密码
+  ownerPassword: '',       // 解除权限限制需要的密码
+  allowPrinting: true,
+  allowCopying: true,
+  allowModifying: true
 };
 
+// 去掉扩展名的文件名
+const getBaseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// 从设置中提取PDF生成选项
+const getPdfOptions = (settings) => ({
+  pageSize: settings.pageSize,
+  orientation: settings.orientation,
+  customPageWidth: settings.customPageWidth,
+  customPageHeight: settings.customPageHeight,
+  dpi: settings.dpi,
+  imageWidth: settings.imageWidth,
+  margin: settings.margin
+});
+
+// 从设置中提取输出大小选项
+const getOutputOptions = (settings) => ({
+  imageFormat: settings.imageFormat,
+  jpegQuality: settings.jpegQuality,
+  colorMode: settings.colorMode,
+  maxImageWidth: settings.maxImageWidth,
+  targetFileSize: settings.targetFileSize * 1024
+});
+
+// 从设置中提取文档信息、书签和页码标签选项
+const getDocumentOptions = (settings, fileName) => ({
+  title: settings.title || getBaseName(fileName),
+  author: settings.author,
+  subject: settings.subject,
+  keywords: settings.keywords,
+  bookmarks: settings.bookmarks,
+  pageLabels: settings.pageLabelStyle ? {
+    style: settings.pageLabelStyle,
+    prefix: settings.pageLabelPrefix,
+    start: settings.pageLabelStart
+  } : null
+});
+
+// 从设置中提取页眉页脚和水印选项，fileName 为模板中 {file} 的值
+const getDecorationOptions = (settings, fileName) => ({
+  header: settings.headerTemplate,
+  footer: settings.footerTemplate,
+  headerFooterAlign: settings.headerFooterAlign,
+  headerFooterSize: settings.headerFooterSize,
+  fileName,
+  textWatermark: settings.watermarkText.trim() ? {
+    text: settings.watermarkText,
+    mode: settings.watermarkMode,
+    opacity: settings.watermarkOpacity
+  } : null,
+  imageWatermark: settings.watermarkImage ? {
+    dataUrl: settings.watermarkImage,
+    position: settings.watermarkImagePosition,
+    width: settings.watermarkImageWidth,
+    opacity: settings.watermarkImageOpacity
+  } : null
+});
+
+// 从设置中提取加密选项，未启用加密时为 null
+const getEncryptionOptions = (settings) => ({
+  encryption: settings.encryption ? {
+    method: settings.encryption,
+    userPassword: settings.userPassword,
+    ownerPassword: settings.ownerPassword,
+    permissions: {
+      printing: settings.allowPrinting,
+      copying: settings.allowCopying,
+      modifying: settings.allowModifying
+    }
+  } : null
+});
+
+// 格式化文件大小
+const formatFileSize = (bytes) => {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+};
+
+// 从设置中提取切割选项
+const getSliceOptions = (settings) => ({
+  autoDetectSplits: settings.autoDetectSplits,
+  splitSensitivity: settings.splitSensitivity,
+  minLineWidth: settings.minLineWidth,
+  minLinePercent: settings.minLinePercent,
+  minSplitGap: settings.minSplitGap,
+  // 页眉页脚占用的位置不放图像，空白分页按剩下的内容区域计算
+  pageAspect: getPageAspect({
+    ...getPdfOptions(settings),
+    header: settings.headerTemplate,
+    footer: settings.footerTemplate,
+    headerFooterSize: settings.headerFooterSize
+  }),
+  stripStatusBar: settings.stripStatusBar,
+  stripHeader: settings.stripHeader,
+  stripFooter: settings.stripFooter,
+  sharpenImage: settings.sharpenImage,
+  filters: settings.filters,
+  trimMode: settings.trimMode,
+  trimTolerance: settings.trimTolerance,
+  trimPadding: settings.trimPadding
+});
+
+// 切片编辑历史最多保留的步数
+const MAX_SLICE_HISTORY = 50;
+
+// 判断错误是否由用户取消操作引起
+const isAbortError = (error) => error && error.name === 'AbortError';
+
+// 判断错误是否因图片无法解码引起（文件损坏、格式不受支持或尺寸过大），这类错误重试无效，直接显示原因
+const isImageDecodeError = (error) => error && error.name === 'ImageDecodeError';
+
+// 是否为PDF加密失败的错误（密码不符合要求或当前页面不支持加密）
+const isPdfEncryptionError = (error) => error && error.name === 'PdfEncryptionError';
+
 export default function Home() {
   const [uploadedImage, setUploadedImage] = useState(null);
+  const [frames, setFrames] = useState([]);
+  const [frameOverlaps, setFrameOverlaps] = useState([]);
+  const [seams, setSeams] = useState([]);
   const [settings, setSettings] = useState(defaultSettings);
+  const [settingsKey, setSettingsKey] = useState(0);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [splitPoints, setSplitPoints] = useState(null);
+  const [splitsEdited, setSplitsEdited] = useState(false);
+  const [bands, setBands] = useState([]);
+  const [lineAnalysis, setLineAnalysis] = useState(null);
+  const [redactions, setRedactions] = useState([]);
+  const [detectRequest, setDetectRequest] = useState(0);
   const [imageSlices, setImageSlices] = useState([]);
-  const [pdfUrl, setPdfUrl] = useState(null);
+  const [sliceHistory, setSliceHistory] = useState({ past: [], future: [] });
+  const [downloadUrl, setDownloadUrl] = useState(null);
+  const [downloadSize, setDownloadSize] = useState(0);
+  const [downloadName, setDownloadName] = useState('');
+  const [exportFormat, setExportFormat] = useState('pdf');
+  const [basePdf, setBasePdf] = useState(null);
+  const [insertAt, setInsertAt] = useState(0);
+  const [sizeWarning, setSizeWarning] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
+  const [progress, setProgress] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // 重新生成切片后，之前的编辑历史不再适用
+  const resetSlices = (slices) => {
+    setImageSlices(slices);
+    setSliceHistory({ past: [], future: [] });
+  };
+
+  // 读取上次保存的设置
+  useEffect(() => {
+    setSettings(loadSettings(defaultSettings));
+    setSettingsKey((key) => key + 1);
+  }, []);
 
   // 处理图片上传
   const handleImageUpload = (image) => {
     setUploadedImage(image);
-    setPdfUrl(null);
-    setImageSlices([]);
+    setFrames([]);
+    setFrameOverlaps([]);
+    setSeams([]);
+    setSplitPoints(null);
+    setBands([]);
+    setLineAnalysis(null);
+    setRedactions([]);
+    setSplitsEdited(false);
+    setDownloadUrl(null);
+    resetSlices([]);
     setErrorMessage('');
   };
 
+  // 将多帧截图拼接为一张长图
+  const stitchFrames = async (newFrames, overlaps) => {
+    try {
+      setIsProcessing(true);
+      setErrorMessage('');
+      
+      const stitched = await stitchImages(newFrames.map((frame) => frame.dataUrl), overlaps);
+      
+      setFrames(newFrames);
+      setFrameOverlaps(overlaps);
+      setSeams(stitched.seams);
+      setUploadedImage({
+        dataUrl: stitched.dataUrl,
+        name: newFrames[0].name,
+        type: 'image/png',
+        size: newFrames.reduce((sum, frame) => sum + frame.size, 0),
+        width: stitched.width,
+        height: stitched.height
+      });
+      setSplitPoints(null);
+      setBands([]);
+      setLineAnalysis(null);
+      setRedactions([]);
+      setSplitsEdited(false);
+      setDownloadUrl(null);
+      resetSlices([]);
+    } catch (error) {
+      console.error('截图拼接出错:', error);
+      setErrorMessage(`截图拼接失败：${error.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 处理多张截图上传
+  const handleFramesUpload = (newFrames) => {
+    stitchFrames(newFrames, []);
+  };
+
+  // 调整帧顺序，顺序变化后重新自动检测所有重叠
+  const handleMoveFrame = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= frames.length) return;
+    
+    const newFrames = [...frames];
+    [newFrames[index], newFrames[target]] = [newFrames[target], newFrames[index]];
+    stitchFrames(newFrames, []);
+  };
+
+  // 手动修正某个拼接处的重叠行数（null表示恢复自动检测）
+  const handleOverlapChange = (index, overlap) => {
+    const overlaps = [...frameOverlaps];
+    overlaps[index] = overlap;
+    stitchFrames(frames, overlaps);
+  };
+
+  // 自动检测分割线和要去除的状态栏等区域，手动调整过的分割线不会被覆盖
+  const {
+    autoDetectSplits,
+    splitSensitivity,
+    minLineWidth,
+    minLinePercent,
+    minSplitGap,
+    pageAspect,
+    stripStatusBar,
+    stripHeader,
+    stripFooter
+  } = getSliceOptions(settings);
+  useEffect(() => {
+    if (!uploadedImage) return;
+    
+    // 图片或设置变化时取消上一次尚未完成的检测
+    const controller = new AbortController();
+    detectImageSplits(uploadedImage.dataUrl, {
+      autoDetectSplits,
+      splitSensitivity,
+      minLineWidth,
+      minLinePercent,
+      minSplitGap,
+      pageAspect,
+      stripStatusBar,
+      stripHeader,
+      stripFooter,
+      signal: controller.signal
+    })
+      .then((layout) => {
+        setBands(layout.bands);
+        setLineAnalysis(layout.lines);
+        if (!splitsEdited) setSplitPoints(layout.splitPoints);
+      })
+      .catch((error) => {
+        if (!isAbortError(error)) {
+          console.error('分割线检测出错:', error);
+          if (isImageDecodeError(error)) setErrorMessage(error.message);
+        }
+      });
+    
+    return () => {
+      controller.abort();
+    };
+  }, [
+    uploadedImage,
+    splitsEdited,
+    detectRequest,
+    autoDetectSplits,
+    splitSensitivity,
+    minLineWidth,
+    minLinePercent,
+    minSplitGap,
+    pageAspect,
+    stripStatusBar,
+    stripHeader,
+    stripFooter
+  ]);
+
+  // 手动调整分割线后，已生成的切片和PDF失效
+  const handleSplitPointsChange = (points) => {
+    setSplitPoints(points);
+    setSplitsEdited(true);
+    resetSlices([]);
+    setDownloadUrl(null);
+  };
+
+  // 放弃手动调整，重新自动检测
+  const handleRedetectSplits = () => {
+    setSplitsEdited(false);
+    setDetectRequest((count) => count + 1);
+    resetSlices([]);
+    setDownloadUrl(null);
+  };
+
+  // 修改打码区域后，已生成的切片和PDF失效（打码在切割前应用）
+  const handleRedactionsChange = (newRedactions) => {
+    setRedactions(newRedactions);
+    resetSlices([]);
+    setDownloadUrl(null);
+  };
+
+  // 修改切片的书签标题，已生成的PDF失效
+  const handleSliceTitleChange = (index, title) => {
+    setImageSlices((slices) => slices.map((slice, i) => (i === index ? { ...slice, title } : slice)));
+    setDownloadUrl(null);
+  };
+
+  // 用编辑后的切片列表替换当前列表，当前列表记入撤销历史，已生成的PDF失效
+  const updateSlices = (slices) => {
+    setSliceHistory({
+      past: [...sliceHistory.past, imageSlices].slice(-MAX_SLICE_HISTORY),
+      future: []
+    });
+    setImageSlices(slices);
+    setDownloadUrl(null);
+  };
+
+  // 撤销上一次切片编辑
+  const handleUndoSlices = () => {
+    if (sliceHistory.past.length === 0) return;
+    setSliceHistory({
+      past: sliceHistory.past.slice(0, -1),
+      future: [imageSlices, ...sliceHistory.future]
+    });
+    setImageSlices(sliceHistory.past[sliceHistory.past.length - 1]);
+    setDownloadUrl(null);
+  };
+
+  // 重做撤销的切片编辑
+  const handleRedoSlices = () => {
+    if (sliceHistory.future.length === 0) return;
+    setSliceHistory({
+      past: [...sliceHistory.past, imageSlices],
+      future: sliceHistory.future.slice(1)
+    });
+    setImageSlices(sliceHistory.future[0]);
+    setDownloadUrl(null);
+  };
+
+  // 把切片移动到新位置
+  const handleMoveSlice = (from, to) => {
+    const slices = [...imageSlices];
+    const [moved] = slices.splice(from, 1);
+    slices.splice(to, 0, moved);
+    updateSlices(slices);
+  };
+
+  // 删除切片（例如只有广告的切片）
+  const handleDeleteSlice = (index) => {
+    updateSlices(imageSlices.filter((slice, i) => i !== index));
+  };
+
+  // 在切片后面插入一份副本
+  const handleDuplicateSlice = (index) => {
+    const slices = [...imageSlices];
+    slices.splice(index + 1, 0, { ...imageSlices[index] });
+    updateSlices(slices);
+  };
+
+  // 将切片旋转90度
+  const handleRotateSlice = async (index, direction) => {
+    try {
+      setIsProcessing(true);
+      setErrorMessage('');
+      
+      const rotated = await rotateSlice(imageSlices[index], direction);
+      updateSlices(imageSlices.map((slice, i) => (i === index ? rotated : slice)));
+    } catch (error) {
+      console.error('切片旋转出错:', error);
+      setErrorMessage('切片旋转失败，请重试');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 将切片与下一个切片合并为一页
+  const handleMergeSlice = async (index) => {
+    try {
+      setIsProcessing(true);
+      setErrorMessage('');
+      
+      const merged = await mergeSlices(imageSlices[index], imageSlices[index + 1]);
+      const slices = [...imageSlices];
+      slices.splice(index, 2, merged);
+      updateSlices(slices);
+    } catch (error) {
+      console.error('切片合并出错:', error);
+      setErrorMessage('切片合并失败，请重试');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 选择要追加到的已有PDF，读取页数并生成缩略图
+  const handleBasePdfSelect = async (file) => {
+    try {
+      setIsProcessing(true);
+      setErrorMessage('');
+      
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const pageCount = await getPdfPageCount(bytes);
+      let thumbnails = [];
+      try {
+        thumbnails = await renderPdfThumbnails(bytes);
+      } catch (error) {
+        // 缩略图只用于预览，渲染失败时以页码代替
+        console.error('PDF缩略图生成出错:', error);
+      }
+      
+      setBasePdf({ name: file.name, bytes, pageCount, thumbnails });
+      setInsertAt(pageCount);
+      setDownloadUrl(null);
+    } catch (error) {
+      console.error('PDF读取出错:', error);
+      setErrorMessage(`PDF读取失败：${error.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // 不再追加到已有PDF
+  const handleBasePdfRemove = () => {
+    setBasePdf(null);
+    setDownloadUrl(null);
+  };
+
+  // 修改新页面在已有PDF中的插入位置
+  const handleInsertAtChange = (index) => {
+    setInsertAt(index);
+    setDownloadUrl(null);
+  };
+
   // 处理设置变更
   const handleSettingsChange = (newSettings) => {
     setSettings(newSettings);
+    saveSettings(newSettings);
+  };
+
+  // 把这次转换保存到历史，保存失败不影响已生成的文件
+  const recordHistory = async (slices, bytes, filename, mimeType) => {
+    try {
+      await saveJob({
+        name: uploadedImage.name,
+        // 不保存 File 对象，数据URL已经包含完整的图片
+        image: { ...uploadedImage, file: undefined },
+        splitPoints,
+        redactions,
+        slices,
+        // 加密方式和密码不保存到历史记录，重新打开后需要重新选择加密并输入密码
+        settings: { ...settings, encryption: '', userPassword: '', ownerPassword: '' },
+        exportFormat,
+        output: { bytes, name: filename, mimeType },
+        thumbnail: await createThumbnail(slices[0].dataUrl)
+      });
+      setHistoryKey((key) => key + 1);
+    } catch (error) {
+      console.error('保存历史记录出错:', error);
+    }
+  };
+
+  // 重新打开历史记录：恢复原图、分割线、整理后的切片、设置和生成的文件
+  const handleOpenJob = async (id) => {
+    try {
+      setErrorMessage('');
+      const job = await loadJob(id);
+      
+      setUploadedImage(job.image);
+      setFrames([]);
+      setFrameOverlaps([]);
+      setSeams([]);
+      setBands([]);
+      setLineAnalysis(null);
+      setSplitPoints(job.splitPoints);
+      setRedactions(job.redactions || []);
+      setSplitsEdited(true);
+      resetSlices(job.slices);
+      setSettings({ ...defaultSettings, ...job.settings });
+      setSettingsKey((key) => key + 1);
+      setExportFormat(job.exportFormat);
+      setBasePdf(null);
+      setDownloadUrl(createDownloadLink(job.output.bytes, job.output.name, job.output.mimeType));
+      setDownloadName(job.output.name);
+      setDownloadSize(job.output.bytes.length);
+      setSizeWarning('');
+    } catch (error) {
+      console.error('打开历史记录出错:', error);
+      setErrorMessage('打开历史记录失败，请重试');
+    }
+  };
+
+  // 开始一个可取消的处理任务，返回传给各处理步骤的进度回调和取消信号
+  const startTask = () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsProcessing(true);
+    setErrorMessage('');
+    setProgress({ stage: 'decode', current: 0, total: 1 });
+    return { onProgress: setProgress, signal: controller.signal };
+  };
+
+  // 结束处理任务
+  const finishTask = () => {
+    abortControllerRef.current = null;
+    setIsProcessing(false);
+    setProgress(null);
+  };
+
+  // 取消正在进行的处理
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
   };
 
   // 生成切片预览
@@ -38,71 +606,128 @@ export default function Home() {
     if (!uploadedImage) return;
 
     try {
-      setIsProcessing(true);
-      setErrorMessage('');
+      const task = startTask();
       
       const slices = await sliceImage(uploadedImage.dataUrl, {
-        autoDetectSplits: true,  // 强制启用黑线检测
-        splitSensitivity: 50,
-        sharpenImage: settings.sharpenImage
+        ...getSliceOptions(settings),
+        ...task,
+        splitPoints,
+        redactions
       });
       
-      setImageSlices(slices);
+      resetSlices(slices);
     } catch (error) {
-      console.error('切片处理出错:', error);
-      setErrorMessage('图片处理失败，请重试');
+      if (!isAbortError(error)) {
+        console.error('切片处理出错:', error);
+        setErrorMessage(isImageDecodeError(error) ? error.message : '图片处理失败，请重试');
+      }
     } finally {
-      setIsProcessing(false);
+      finishTask();
     }
   };
 
-  // 生成PDF
-  const handleCreatePdf = async () => {
+  // 根据切片生成PDF（启用OCR时先识别文字，写入隐藏文字层）
+  const buildPdf = async (slices, task) => {
+    // 追加到已有PDF时，标题和文件名默认沿用已有PDF的
+    const documentOptions = getDocumentOptions(settings, basePdf ? basePdf.name : uploadedImage.name);
+    const decorationOptions = getDecorationOptions(settings, uploadedImage.name);
+    
+    let pdfSlices = slices;
+    if (settings.ocrLanguage) {
+      pdfSlices = await recognizeSlices(slices, { language: settings.ocrLanguage, ...task });
+    }
+    // 文字层和含中文的页眉页脚、水印需要嵌入字体
+    const textLayerFont = settings.ocrLanguage || needsEmbeddedFont({ ...decorationOptions, title: documentOptions.title })
+      ? await loadTextLayerFont()
+      : null;
+    
+    const { pdfBytes, withinTarget } = await createOutputPdf(pdfSlices, {
+      ...getPdfOptions(settings),
+      ...getOutputOptions(settings),
+      ...documentOptions,
+      ...decorationOptions,
+      ...getEncryptionOptions(settings),
+      ...task,
+      textLayerFont,
+      basePdf: basePdf ? basePdf.bytes : null,
+      insertAt
+    });
+    
+    const filename = basePdf ? basePdf.name : `${uploadedImage.name.split('.')[0]}.pdf`;
+    const url = createDownloadLink(pdfBytes, filename);
+    setDownloadUrl(url);
+    setDownloadName(filename);
+    setDownloadSize(pdfBytes.length);
+    setSizeWarning(withinTarget ? '' : `无法压缩到 ${settings.targetFileSize} KB 以内，已生成能达到的最小文件`);
+    await recordHistory(slices, pdfBytes, filename, 'application/pdf');
+  };
+
+  // 将切片按输出选项编码后打包为ZIP图片包、CBZ或EPUB
+  const buildArchive = async (slices, task) => {
+    const format = EXPORT_FORMATS[exportFormat];
+    const baseName = uploadedImage.name.split('.')[0];
+    const encoded = await encodeOutputSlices(slices, getOutputOptions(settings), task);
+    
+    task.onProgress({ stage: 'package', current: 0, total: 1 });
+    const bytes = createExportArchive(encoded, exportFormat, {
+      ...getDocumentOptions(settings, uploadedImage.name),
+      baseName
+    });
+    
+    const filename = `${baseName}.${format.extension}`;
+    const url = createDownloadLink(bytes, filename, format.mimeType);
+    setDownloadUrl(url);
+    setDownloadName(filename);
+    setDownloadSize(bytes.length);
+    setSizeWarning('');
+    await recordHistory(slices, bytes, filename, format.mimeType);
+  };
+
+  // 生成PDF或导出切片
+  const handleExport = async () => {
+    const build = exportFormat === 'pdf' ? buildPdf : buildArchive;
+
     try {
-      setIsProcessing(true);
-      setErrorMessage('');
+      const task = startTask();
       
       // 如果还没有切片，先生成切片
       if (imageSlices.length === 0 && uploadedImage) {
         const slices = await sliceImage(uploadedImage.dataUrl, {
-          autoDetectSplits: true,  // 强制启用黑线检测
-          splitSensitivity: 50,
-          sharpenImage: settings.sharpenImage
+          ...getSliceOptions(settings),
+          ...task,
+          splitPoints,
+          redactions
         });
-        setImageSlices(slices);
+        resetSlices(slices);
         
-        // 使用生成的切片创建PDF
-        const pdfBytes = await createPdfFromImages(slices, {
-          margin: settings.margin
-        });
-        
-        const url = createDownloadLink(pdfBytes, `${uploadedImage.name.split('.')[0]}.pdf`);
-        setPdfUrl(url);
+        // 使用生成的切片创建PDF或压缩包
+        await build(slices, task);
       } else {
-        // 使用已有的切片创建PDF
-        const pdfBytes = await createPdfFromImages(imageSlices, {
-          margin: settings.margin
-        });
-        
-        const url = createDownloadLink(pdfBytes, `${uploadedImage.name.split('.')[0]}.pdf`);
-        setPdfUrl(url);
+        // 使用已有的切片创建PDF或压缩包
+        await build(imageSlices, task);
       }
     } catch (error) {
-      console.error('PDF生成出错:', error);
-      setErrorMessage('PDF生成失败，请重试');
+      if (!isAbortError(error)) {
+        console.error('PDF生成出错:', error);
+        if (isPdfEncryptionError(error)) {
+          setErrorMessage(error.message);
+        } else {
+          setErrorMessage(exportFormat === 'pdf' ? 'PDF生成失败，请重试' : '导出失败，请重试');
+        }
+      }
     } finally {
-      setIsProcessing(false);
+      finishTask();
     }
   };
 
   // 清除资源
   useEffect(() => {
     return () => {
-      if (pdfUrl) {
-        URL.revokeObjectURL(pdfUrl);
+      if (downloadUrl) {
+        URL.revokeObjectURL(downloadUrl);
       }
     };
-  }, [pdfUrl]);
+  }, [downloadUrl]);
 
   return (
     <div className="min-h-screen bg-gray-100">
@@ -110,6 +735,11 @@ export default function Home() {
         <title>LongShotPDF - 长截图转PDF工具</title>
         <meta name="description" content="将手机长截图转换为精美PDF文档" />
         <link rel="icon" href="/favicon.ico" />
+        <link rel="icon" href="/icons/icon.svg" type="image/svg+xml" />
+        <link rel="manifest" href="/manifest.webmanifest" />
+        <link rel="apple-touch-icon" href="/icons/apple-touch-icon.png" />
+        <meta name="theme-color" content="#2563eb" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
       </Head>
 
       <main className="container mx-auto py-8 px-4">
@@ -124,15 +754,43 @@ export default function Home() {
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div className="space-y-6">
-            <ImageUploader onImageUpload={handleImageUpload} />
+            <ImageUploader 
+              onImageUpload={handleImageUpload}
+              onFramesUpload={handleFramesUpload}
+              onError={setErrorMessage}
+            />
+            
+            {/* 还没有图片时（例如格式不受支持、拼接失败），错误提示显示在上传区域下方 */}
+            {!uploadedImage && errorMessage && (
+              <div className="p-3 bg-red-100 text-red-700 rounded-md">
+                {errorMessage}
+              </div>
+            )}
+            
+            <HistoryPanel
+              refreshKey={historyKey}
+              disabled={isProcessing}
+              onOpen={handleOpenJob}
+            />
             
             {uploadedImage && (
               <SettingsForm 
+                key={settingsKey}
                 defaultSettings={settings} 
+                defaultTitle={getBaseName(uploadedImage.name)}
                 onSettingsChange={handleSettingsChange}
               />
             )}
             
+            {uploadedImage && (
+              <BasePdfPicker
+                basePdf={basePdf}
+                onSelect={handleBasePdfSelect}
+                onRemove={handleBasePdfRemove}
+                disabled={isProcessing}
+              />
+            )}
+            
             {uploadedImage && (
               <div className="flex flex-col space-y-4">
                 <button
@@ -143,24 +801,46 @@ export default function Home() {
                   {isProcessing ? '处理中...' : '生成切片预览'}
                 </button>
                 
-                <button
-                  onClick={handleCreatePdf}
-                  disabled={isProcessing || !uploadedImage}
-                  className="w-full bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-md disabled:bg-gray-400 disabled:cursor-not-allowed"
-                >
-                  {isProcessing ? '生成中...' : '生成PDF文档'}
-                </button>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={handleExport}
+                    disabled={isProcessing || !uploadedImage}
+                    className="flex-1 bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-md disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {isProcessing ? '生成中...' : exportFormat === 'pdf' ? '生成PDF文档' : `导出${EXPORT_FORMATS[exportFormat].label}`}
+                  </button>
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    disabled={isProcessing}
+                    aria-label="导出格式"
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="pdf">PDF</option>
+                    {Object.entries(EXPORT_FORMATS).map(([value, format]) => (
+                      <option key={value} value={value}>{format.label}</option>
+                    ))}
+                  </select>
+                </div>
                 
-                {pdfUrl && (
+                <ProgressBar progress={progress} onCancel={handleCancel} />
+                
+                {downloadUrl && (
                   <a
-                    href={pdfUrl}
-                    download={`${uploadedImage.name.split('.')[0]}.pdf`}
+                    href={downloadUrl}
+                    download={downloadName}
                     className="w-full bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-4 rounded-md text-center"
                   >
-                    下载PDF
+                    下载 {downloadName} ({formatFileSize(downloadSize)})
                   </a>
                 )}
                 
+                {downloadUrl && sizeWarning && (
+                  <div className="p-3 bg-yellow-100 text-yellow-800 rounded-md">
+                    {sizeWarning}
+                  </div>
+                )}
+                
                 {errorMessage && (
                   <div className="p-3 bg-red-100 text-red-700 rounded-md">
                     {errorMessage}
@@ -175,6 +855,33 @@ export default function Home() {
               <ImagePreview 
                 image={uploadedImage} 
                 slices={imageSlices}
+                frames={frames}
+                seams={seams}
+                splitPoints={splitPoints}
+                bands={bands}
+                lineAnalysis={lineAnalysis}
+                minLinePercent={settings.minLinePercent}
+                redactions={redactions}
+                onRedactionsChange={handleRedactionsChange}
+                filters={settings.sharpenImage ? settings.filters : null}
+                onMoveFrame={handleMoveFrame}
+                onOverlapChange={handleOverlapChange}
+                onSplitPointsChange={handleSplitPointsChange}
+                onSliceTitleChange={settings.bookmarks ? handleSliceTitleChange : null}
+                isProcessing={isProcessing}
+                canUndoSlices={sliceHistory.past.length > 0}
+                canRedoSlices={sliceHistory.future.length > 0}
+                onMoveSlice={handleMoveSlice}
+                onDeleteSlice={handleDeleteSlice}
+                onRotateSlice={handleRotateSlice}
+                onDuplicateSlice={handleDuplicateSlice}
+                onMergeSlice={handleMergeSlice}
+                onUndoSlices={handleUndoSlices}
+                onRedoSlices={handleRedoSlices}
+                basePdf={exportFormat === 'pdf' ? basePdf : null}
+                insertAt={insertAt}
+                onInsertAtChange={handleInsertAtChange}
+                onRedetectSplits={handleRedetectSplits}
               />
             )}
           </div>
@@ -0,0 +1,161 @@
+/**
+ * Service Worker：缓存页面和静态资源，使应用可以安装并离线使用；
+ * 接收系统分享的截图（Web Share Target），暂存后交给页面处理。
+ * 这是public目录下的普通脚本，不经过打包，缓存名称与 utils/shareTarget.js 中的保持一致。
+ */
+
+// 静态资源缓存，更新缓存策略时修改版本号
+const CACHE_NAME = 'longshot-v2';
+
+// 暂存分享文件的缓存
+const SHARE_CACHE = 'longshot-share';
+
+// 安装时预先缓存的资源
+const PRECACHE_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+// 列出当前构建全部静态资源的接口，见 pages/api/offline-assets.js
+const OFFLINE_ASSETS_URL = '/api/offline-assets';
+
+// 首页引用的构建产物（带哈希的文件名），从首页HTML中提取
+const findPageAssets = (html) => {
+  const matches = html.match(/\/_next\/static\/[^"'\s)]+/g) || [];
+  return [...new Set(matches)];
+};
+
+// 缓存当前构建的全部静态资源，包括只在使用某些功能时才加载的脚本（图像处理Worker、OCR、HEIC解码等），
+// 保证第一次离线使用这些功能时也能运行；文件名带哈希，已缓存的不再下载
+const precacheBuildAssets = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  let urls;
+  try {
+    const response = await fetch(OFFLINE_ASSETS_URL, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    ({ urls } = await response.json());
+  } catch (error) {
+    // 接口不可用时至少缓存首页直接引用的资源
+    const page = await cache.match('/');
+    urls = page ? findPageAssets(await page.text()) : [];
+  }
+
+  const cached = await Promise.all(urls.map((url) => cache.match(url)));
+  await cache.addAll(urls.filter((url, index) => !cached[index]));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS);
+
+    // 首次访问时页面脚本在Service Worker生效前已加载，这里补充缓存，保证第一次离线打开也能使用
+    await precacheBuildAssets();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name !== CACHE_NAME && name !== SHARE_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// 可接收的图片扩展名，与 utils/imageFiles.js 中的 IMAGE_FORMATS 一致
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.avif', '.heic', '.heif', '.gif'];
+
+// 是否为图片文件；HEIC等文件在部分系统上没有MIME类型，同时按扩展名判断
+const isImageFile = (file) => {
+  const name = file.name.toLowerCase();
+  return file.type.startsWith('image/') || IMAGE_EXTENSIONS.some((extension) => name.endsWith(extension));
+};
+
+// 保存分享的图片，然后打开首页，由页面读取并处理
+const handleShare = async (request) => {
+  const formData = await request.formData();
+  const files = formData.getAll('image').filter((file) => file instanceof File && isImageFile(file));
+
+  const cache = await caches.open(SHARE_CACHE);
+  const staleKeys = await cache.keys();
+  await Promise.all(staleKeys.map((key) => cache.delete(key)));
+  await Promise.all(files.map((file, index) => cache.put(`/shared/${index}`, new Response(file, {
+    headers: {
+      'Content-Type': file.type,
+      'X-File-Name': encodeURIComponent(file.name)
+    }
+  }))));
+
+  return Response.redirect(new URL(`/?share=${files.length}`, self.location.origin).href, 303);
+};
+
+// 网络优先，离线时使用缓存；成功的响应同时更新缓存
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+};
+
+// 缓存优先，用于文件名带哈希的构建产物和OCR资源，这些文件内容不会变化
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(handleShare(request));
+    return;
+  }
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  if (url.pathname.startsWith('/_next/static/') || url.pathname.startsWith('/api/ocr-assets/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/_next/webpack-hmr')) {
+    // 服务端接口不缓存
+  } else if (request.mode === 'navigate') {
+    const response = networkFirst(request, '/');
+    event.respondWith(response);
+    // 部署新版本后Service Worker本身不变，在线打开页面时补充缓存新构建的资源
+    event.waitUntil(response
+      .then(() => (self.navigator.onLine ? precacheBuildAssets() : null))
+      .catch((error) => console.error('缓存离线资源出错:', error)));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
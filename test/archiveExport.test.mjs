@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createZip, createExportArchive } from '../utils/archiveExport.js';
+import { encodeJpeg, decodeImage } from '../utils/serverProcessor.js';
+
+const SCREENSHOT_PNG = fs.readFileSync(new URL('./fixtures/chat-screenshot.png', import.meta.url));
+const ENHANCED_PNG = fs.readFileSync(new URL('./fixtures/chat-enhanced.png', import.meta.url));
+// 第二个切片使用JPEG，验证按图像类型选择扩展名
+const ENHANCED_JPEG = await encodeJpeg(await decodeImage(ENHANCED_PNG), 0.8);
+
+const SLICES = [
+  { dataUrl: `data:image/png;base64,${SCREENSHOT_PNG.toString('base64')}`, width: 390, height: 1200, title: '聊天记录 <1>' },
+  { dataUrl: `data:image/jpeg;base64,${ENHANCED_JPEG.toString('base64')}`, width: 390, height: 180 }
+];
+
+/**
+ * 按中央目录读取ZIP中的文件，同时核对本地文件头与中央目录一致
+ * @param {Uint8Array} bytes - ZIP文件内容
+ * @returns {Array<{name: string, data: Uint8Array, crc: number, flags: number, method: number, offset: number}>}
+ */
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const decoder = new TextDecoder();
+  const endOffset = bytes.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054b50, '结束记录签名');
+  const count = view.getUint16(endOffset + 10, true);
+  const centralSize = view.getUint32(endOffset + 12, true);
+  const centralOffset = view.getUint32(endOffset + 16, true);
+  assert.equal(centralOffset + centralSize, endOffset, '中央目录紧接在结束记录之前');
+
+  const entries = [];
+  let position = centralOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50, '中央目录签名');
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 20, true);
+    assert.equal(view.getUint32(position + 24, true), size, '不压缩时原始大小等于压缩后大小');
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    assert.equal(view.getUint32(offset, true), 0x04034b50, `${name} 的本地文件头签名`);
+    assert.equal(view.getUint32(offset + 14, true), crc, `${name} 的本地文件头CRC`);
+    assert.equal(view.getUint32(offset + 18, true), size, `${name} 的本地文件头大小`);
+    const localNameLength = view.getUint16(offset + 26, true);
+    const dataStart = offset + 30 + localNameLength + view.getUint16(offset + 28, true);
+    assert.equal(decoder.decode(bytes.subarray(offset + 30, offset + 30 + localNameLength)), name);
+
+    entries.push({ name, data: bytes.subarray(dataStart, dataStart + size), crc, flags, method, offset });
+    position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+  }
+  return entries;
+};
+
+test('createZip 写入标准的CRC32校验值', () => {
+  const entries = readZip(createZip([
+    { name: 'check.txt', data: '123456789' },
+    { name: 'empty.txt', data: new Uint8Array(0) },
+    { name: 'bytes.bin', data: new Uint8Array([0x00, 0xff, 0x10]) }
+  ]));
+
+  // CRC-32/ISO-HDLC 的标准检验值
+  assert.equal(entries[0].crc, 0xcbf43926);
+  assert.equal(entries[1].crc, 0);
+  assert.equal(entries[2].crc, 0x71d23404);
+});
+
+test('createZip 按顺序保存文件内容，文件名使用UTF-8', () => {
+  const entries = readZip(createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: '聊天记录/第1页.png', data: new Uint8Array([1, 2, 3]) }
+  ]));
+
+  assert.deepEqual(entries.map((entry) => entry.name), ['mimetype', '聊天记录/第1页.png']);
+  assert.equal(new TextDecoder().decode(entries[0].data), 'application/epub+zip');
+  assert.deepEqual([...entries[1].data], [1, 2, 3]);
+  entries.forEach((entry) => {
+    assert.equal(entry.method, 0, '不压缩');
+    assert.equal(entry.flags & 0x0800, 0x0800, 'UTF-8文件名标志');
+  });
+});
+
+test('createZip 没有文件时生成空的ZIP', () => {
+  const bytes = createZip([]);
+  assert.equal(bytes.length, 22);
+  assert.deepEqual(readZip(bytes), []);
+});
+
+test('createExportArchive 导出编号的图片包和CBZ，图像内容不变', () => {
+  const zip = readZip(createExportArchive(SLICES, 'zip', { baseName: 'chat' }));
+  assert.deepEqual(zip.map((entry) => entry.name), ['chat-001.png', 'chat-002.jpg']);
+  assert.deepEqual(Buffer.from(zip[0].data), SCREENSHOT_PNG);
+  assert.deepEqual(Buffer.from(zip[1].data), ENHANCED_JPEG);
+
+  const cbz = readZip(createExportArchive(SLICES, 'cbz', { baseName: 'chat', title: '周报 & 记录', author: 'Docs team' }));
+  assert.deepEqual(cbz.map((entry) => entry.name), ['chat-001.png', 'chat-002.jpg', 'ComicInfo.xml']);
+  const comicInfo = new TextDecoder().decode(cbz[2].data);
+  assert.match(comicInfo, /<Title>周报 &amp; 记录<\/Title>/);
+  assert.match(comicInfo, /<Writer>Docs team<\/Writer>/);
+  assert.match(comicInfo, /<PageCount>2<\/PageCount>/);
+});
+
+test('createExportArchive 导出的EPUB以不压缩的 mimetype 开头，每个切片一页', () => {
+  const entries = readZip(createExportArchive(SLICES, 'epub', { title: 'A & B' }));
+  const read = (name) => new TextDecoder().decode(entries.find((entry) => entry.name === name).data);
+
+  assert.equal(entries[0].name, 'mimetype');
+  assert.equal(entries[0].offset, 0);
+  assert.equal(new TextDecoder().decode(entries[0].data), 'application/epub+zip');
+  assert.match(read('META-INF/container.xml'), /full-path="OEBPS\/content.opf"/);
+
+  const opf = read('OEBPS/content.opf');
+  assert.match(opf, /<dc:title>A &amp; B<\/dc:title>/);
+  assert.match(opf, /<dc:language>zh-CN<\/dc:language>/);
+  assert.match(opf, /href="images\/001.png" media-type="image\/png" properties="cover-image"/);
+  assert.match(opf, /href="images\/002.jpg" media-type="image\/jpeg"\/>/);
+
+  // 页面尺寸与切片相同，标题中的特殊字符被转义
+  const page = read('OEBPS/pages/001.xhtml');
+  assert.match(page, /content="width=390, height=1200"/);
+  assert.match(page, /<title>聊天记录 &lt;1&gt;<\/title>/);
+  assert.match(read('OEBPS/nav.xhtml'), /<a href="pages\/002.xhtml">切片 2<\/a>/);
+  assert.deepEqual(Buffer.from(entries.find((entry) => entry.name === 'OEBPS/images/001.png').data), SCREENSHOT_PNG);
+});
+
+test('createExportArchive 拒绝未知的格式', () => {
+  assert.throws(() => createExportArchive([], 'rar'), /未知的导出格式/);
+});
@@ -0,0 +1,155 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PDFDocument } from 'pdf-lib';
+
+const CLI = fileURLToPath(new URL('../bin/longshot.mjs', import.meta.url));
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'longshot-cli-'));
+
+after(() => fs.rmSync(TEMP_DIR, { recursive: true, force: true }));
+
+/**
+ * 运行命令行工具
+ * @param {Array<string>} args - 参数
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+const runCli = (args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], { cwd: TEMP_DIR, timeout: 60000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+/**
+ * 把测试图片复制到临时目录
+ * @param {string} fixture - test/fixtures 下的文件名
+ * @param {string} relativePath - 相对临时目录的路径
+ * @returns {string} - 文件路径
+ */
+const copyFixture = (fixture, relativePath) => {
+  const file = path.join(TEMP_DIR, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.copyFileSync(new URL(`./fixtures/${fixture}`, import.meta.url), file);
+  return file;
+};
+
+// 是否为PDF文件
+const isPdf = (file) => fs.readFileSync(file).subarray(0, 5).toString() === '%PDF-';
+
+test('--help 列出支持的图片扩展名和加密方式', async () => {
+  const { code, stdout } = await runCli(['--help']);
+  assert.equal(code, 0);
+  assert.match(stdout, /aes128、aes256/);
+  assert.match(stdout, /\.png \.jpg \.jpeg \.webp \.avif \.heic \.heif \.gif/);
+});
+
+test('无效的选项以错误退出', async () => {
+  const cases = [
+    [['convert', 'a.png', '--encrypt', 'rc4'], /--encrypt 只能是 aes128、aes256/],
+    [['convert', 'a.png', '--user-password', 'secret'], /需要与 --encrypt 一起使用/],
+    [['convert', 'a.png', '--no-copy'], /需要与 --encrypt 一起使用/],
+    [['convert', 'a.png', '--redact', '1,2,3'], /--redact 应为/],
+    [['convert', 'a.png', '--redact', '1,2,3,4,smudge'], /未知的打码方式/],
+    [['convert', 'a.png', '--strip', 'navbar'], /--strip 只能包含/],
+    [['convert', 'a.png', '--margin', 'wide'], /--margin 应为数字/],
+    [['convert', 'a.png', '--split-mode', 'auto'], /--split-mode 只能是 both、lines、whitespace、none/],
+    [['convert'], /请指定要转换的图片/],
+    [['merge', 'a.png'], /未知的命令: merge/],
+    [['convert', 'missing.png'], /找不到文件: missing\.png/]
+  ];
+
+  for (const [args, pattern] of cases) {
+    const { code, stderr } = await runCli(args);
+    assert.equal(code, 1, args.join(' '));
+    assert.match(stderr, pattern, args.join(' '));
+  }
+});
+
+test('--json 报告去除的区域、切片和生成的文件', async () => {
+  const image = copyFixture('chat-screenshot.png', 'report/chat.png');
+  const { code, stdout, stderr } = await runCli(['convert', image, '--strip', 'statusBar,header,footer', '--json']);
+
+  assert.equal(code, 0, stderr);
+  const [report] = JSON.parse(stdout).images;
+  assert.equal(report.width, 390);
+  assert.equal(report.height, 1200);
+  assert.deepEqual(report.bands.map(({ kind }) => kind), ['statusBar', 'header', 'footer']);
+  assert.equal(report.slices.length, report.splitPoints.length + 1);
+  assert.equal(report.output, path.join(TEMP_DIR, 'report', 'chat.pdf'));
+  assert.ok(isPdf(report.output));
+});
+
+test('输出文件名只去掉最后的扩展名', async () => {
+  const image = copyFixture('chat-enhanced.png', 'names/chat.2024-05-01.png');
+  const output = path.join(TEMP_DIR, 'names-out');
+  const { code, stdout, stderr } = await runCli(['convert', image, '-o', output, '--json']);
+
+  assert.equal(code, 0, stderr);
+  const { images } = JSON.parse(stdout);
+  assert.equal(images[0].output, path.join(output, 'chat.2024-05-01.pdf'));
+  assert.ok(isPdf(images[0].output));
+});
+
+test('多张图片会生成同一个PDF时报错，不写入任何文件', async () => {
+  const first = copyFixture('chat-enhanced.png', 'same/a/shot.png');
+  const second = copyFixture('chat-enhanced.png', 'same/b/shot.png');
+  const output = path.join(TEMP_DIR, 'same-out');
+  const { code, stderr } = await runCli(['convert', first, second, '-o', output]);
+
+  assert.equal(code, 1);
+  assert.match(stderr, /会生成同一个PDF文件/);
+  assert.ok(stderr.includes(first) && stderr.includes(second));
+  assert.equal(fs.existsSync(output), false);
+});
+
+test('目录中有无法解码的图片时继续转换其余图片，最后以错误退出', async () => {
+  copyFixture('chat-enhanced.png', 'batch/1.png');
+  const broken = copyFixture('broken.png', 'batch/2.png');
+  copyFixture('chat-enhanced.png', 'batch/3.png');
+  const { code, stdout, stderr } = await runCli(['convert', path.join(TEMP_DIR, 'batch'), '--json']);
+
+  assert.equal(code, 1);
+  assert.ok(stderr.includes(`错误: ${broken}: 图片无法解码`), stderr);
+  assert.match(stderr, /1 张图片转换失败/);
+  assert.ok(isPdf(path.join(TEMP_DIR, 'batch', '1.pdf')));
+  assert.ok(isPdf(path.join(TEMP_DIR, 'batch', '3.pdf')));
+  assert.equal(fs.existsSync(path.join(TEMP_DIR, 'batch', '2.pdf')), false);
+
+  const { images } = JSON.parse(stdout);
+  assert.deepEqual(images.map((image) => Boolean(image.error)), [false, true, false]);
+});
+
+test('--combine 跳过无法解码的图片，其余图片仍合并为一个PDF', async () => {
+  const good = copyFixture('chat-enhanced.png', 'combine/good.png');
+  const broken = copyFixture('broken.png', 'combine/broken.png');
+  const output = path.join(TEMP_DIR, 'combine', 'all.pdf');
+  const { code, stderr } = await runCli(['convert', good, broken, '--combine', '-o', output]);
+
+  assert.equal(code, 1);
+  assert.ok(stderr.includes(broken));
+  assert.ok(isPdf(output));
+});
+
+test('目录中的HEIC图片不会被跳过，sharp无法解码时报告该文件', async () => {
+  copyFixture('chat-enhanced.png', 'heic/1.png');
+  // 内容不是sharp能解码的HEIC，与没有HEVC解码器时的结果相同
+  const heic = copyFixture('broken.png', 'heic/2.HEIC');
+  const { code, stderr } = await runCli(['convert', path.join(TEMP_DIR, 'heic')]);
+
+  assert.equal(code, 1);
+  assert.ok(stderr.includes(`错误: ${heic}: 图片无法解码`), stderr);
+  assert.ok(isPdf(path.join(TEMP_DIR, 'heic', '1.pdf')));
+});
+
+test('--encrypt 生成需要密码才能打开的PDF', async () => {
+  const image = copyFixture('chat-enhanced.png', 'encrypt/shot.png');
+  const { code, stderr } = await runCli(['convert', image, '--encrypt', 'aes256', '--user-password', 'secret', '--no-print']);
+
+  assert.equal(code, 0, stderr);
+  const bytes = fs.readFileSync(path.join(TEMP_DIR, 'encrypt', 'shot.pdf'));
+  assert.match(bytes.toString('latin1'), /\/CFM \/AESV3/);
+  await assert.rejects(PDFDocument.load(bytes), /encrypted/);
+});
@@ -0,0 +1,240 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import { detectOverlap, createPdfFromImages } from '../utils/imageProcessor.js';
+
+const WIDTH = 64;
+
+/**
+ * 生成每行内容各不相同的页面行（每行16个随机灰度块），用固定种子保证结果可重复
+ * @param {number} count - 行数
+ * @param {number} seed - 随机种子
+ * @returns {Array<Uint8Array>} - 每行16个块的灰度值
+ */
+const randomRows = (count, seed) => {
+  let state = seed;
+  const next = () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) & 255;
+  };
+  return Array.from({ length: count }, () => Uint8Array.from({ length: 16 }, next));
+};
+
+/**
+ * 把页面中的一段行画成截图帧，detectOverlap 只通过 getContext('2d').getImageData 读取画布
+ * @param {Array<Uint8Array>} rows - 页面行
+ * @param {number} top - 起始行
+ * @param {number} height - 帧高度
+ * @param {Set<number>} alteredRows - 需要反色的帧内行号（模拟动态变化的内容）
+ * @returns {{width: number, height: number, getContext: Function}}
+ */
+const toFrame = (rows, top, height, alteredRows = new Set()) => {
+  const data = new Uint8ClampedArray(WIDTH * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const value = rows[top + y][x >> 2];
+      const index = (y * WIDTH + x) * 4;
+      data.fill(alteredRows.has(y) ? 255 - value : value, index, index + 3);
+      data[index + 3] = 255;
+    }
+  }
+  return { width: WIDTH, height, getContext: () => ({ getImageData: () => ({ data }) }) };
+};
+
+test('detectOverlap 找到滚动截图之间的重叠区域', () => {
+  const rows = randomRows(900, 0x2545f491);
+  const { overlap, cut } = detectOverlap(toFrame(rows, 0, 400), toFrame(rows, 250, 400));
+
+  assert.equal(overlap, 150);
+  // 拼接位置在重叠区域内
+  assert.ok(cut >= 250 && cut < 400, `cut = ${cut}`);
+});
+
+test('detectOverlap 两帧没有相同内容时不重叠', () => {
+  const rows = randomRows(900, 0x2545f491);
+  assert.deepEqual(detectOverlap(toFrame(rows, 0, 400), toFrame(rows, 500, 400)), { overlap: 0, cut: 400 });
+});
+
+test('detectOverlap 重复内容都能匹配时选择最小的滚动距离', () => {
+  // 每100行重复一次的页面（相同的聊天气泡），滚动50、150、250、350行都完全匹配
+  const block = randomRows(100, 0x9e3779b9);
+  const rows = Array.from({ length: 900 }, (_, y) => block[y % 100]);
+
+  assert.equal(detectOverlap(toFrame(rows, 0, 400), toFrame(rows, 150, 400)).overlap, 350);
+});
+
+test('detectOverlap 匹配比例相差不到1个百分点时仍选择较小的滚动距离', () => {
+  const block = randomRows(100, 0x9e3779b9);
+  const rows = Array.from({ length: 900 }, (_, y) => block[y % 100]);
+
+  // 下一帧第300、301行变化：滚动50行时匹配348/350行（99.4%），滚动150行时全部匹配
+  const nearEqual = detectOverlap(toFrame(rows, 0, 400), toFrame(rows, 50, 400, new Set([300, 301])));
+  assert.equal(nearEqual.overlap, 350);
+
+  // 变化10行时滚动50行只匹配97.1%，明显低于滚动150行
+  const altered = new Set(Array.from({ length: 10 }, (_, i) => 300 + i));
+  const clearlyWorse = detectOverlap(toFrame(rows, 0, 400), toFrame(rows, 50, 400, altered));
+  assert.equal(clearlyWorse.overlap, 250);
+});
+
+/**
+ * 读取测试图片作为切片
+ * @param {string} name - test/fixtures 下的PNG文件名
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @returns {{dataUrl: string, width: number, height: number}}
+ */
+const fixtureSlice = (name, width, height) => ({
+  dataUrl: `data:image/png;base64,${fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)).toString('base64')}`,
+  width,
+  height
+});
+
+// 390x1200 的截图在72dpi的A5页面上占3页，390x180 的切片占1页
+const SLICES = [
+  { ...fixtureSlice('chat-screenshot.png', 390, 1200), title: '聊天记录' },
+  fixtureSlice('chat-enhanced.png', 390, 180)
+];
+const PDF_OPTIONS = { pageSize: 'A5', dpi: 72 };
+
+/**
+ * 按 First/Next 链读取文档的书签
+ * @param {PDFDocument} pdfDoc - PDF文档
+ * @returns {Array<{title: string, pageIndex: number}>}
+ */
+const readOutline = (pdfDoc) => {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!outlines) return [];
+  const pageRefs = pdfDoc.getPages().map((page) => page.ref);
+  const entries = [];
+  for (let item = outlines.lookup(PDFName.of('First')); item; item = item.lookup(PDFName.of('Next'))) {
+    const dest = item.lookup(PDFName.of('Dest'));
+    entries.push({
+      title: item.lookup(PDFName.of('Title')).decodeText(),
+      pageIndex: pageRefs.indexOf(dest.get(0))
+    });
+  }
+  return entries;
+};
+
+test('createPdfFromImages 写入文档信息', async () => {
+  const pdfDoc = await PDFDocument.load(await createPdfFromImages(SLICES, {
+    ...PDF_OPTIONS,
+    title: '项目周报',
+    author: 'Docs team',
+    subject: '聊天记录存档',
+    keywords: '周报，聊天, 存档'
+  }));
+
+  assert.equal(pdfDoc.getPageCount(), 4);
+  assert.equal(pdfDoc.getTitle(), '项目周报');
+  assert.equal(pdfDoc.getAuthor(), 'Docs team');
+  assert.equal(pdfDoc.getSubject(), '聊天记录存档');
+  assert.equal(pdfDoc.getKeywords(), '周报 聊天 存档');
+  assert.equal(pdfDoc.getCreator(), 'LongShotPDF');
+});
+
+test('createPdfFromImages 为每个切片添加指向第一页的书签', async () => {
+  const pdfDoc = await PDFDocument.load(await createPdfFromImages(SLICES, { ...PDF_OPTIONS, bookmarks: true }));
+
+  assert.deepEqual(readOutline(pdfDoc), [
+    { title: '聊天记录', pageIndex: 0 },
+    { title: '切片 2', pageIndex: 3 }
+  ]);
+  assert.equal(pdfDoc.catalog.lookup(PDFName.of('Outlines')).lookup(PDFName.of('Count')).asNumber(), 2);
+  assert.equal(pdfDoc.catalog.lookup(PDFName.of('PageMode')), PDFName.of('UseOutlines'));
+
+  const withoutBookmarks = await PDFDocument.load(await createPdfFromImages(SLICES, PDF_OPTIONS));
+  assert.deepEqual(readOutline(withoutBookmarks), []);
+});
+
+test('createPdfFromImages 设置页码标签', async () => {
+  const pdfDoc = await PDFDocument.load(await createPdfFromImages(SLICES, {
+    ...PDF_OPTIONS,
+    pageLabels: { style: 'upperRoman', prefix: '附录-', start: 3 }
+  }));
+  const nums = pdfDoc.catalog.lookup(PDFName.of('PageLabels')).lookup(PDFName.of('Nums'));
+
+  assert.equal(nums.size(), 2);
+  assert.equal(nums.lookup(0).asNumber(), 0);
+  const label = nums.lookup(1);
+  assert.equal(label.lookup(PDFName.of('S')), PDFName.of('R'));
+  assert.equal(label.lookup(PDFName.of('P')).decodeText(), '附录-');
+  assert.equal(label.lookup(PDFName.of('St')).asNumber(), 3);
+
+  await assert.rejects(createPdfFromImages(SLICES, { ...PDF_OPTIONS, pageLabels: { style: 'hex' } }), /未知的页码样式: hex/);
+});
+
+// 已有的3页A5文档：页码标签为 i、ii、1，书签“Chapter 1”指向第3页
+const NOTES_PDF = fs.readFileSync(new URL('./fixtures/notes.pdf', import.meta.url));
+
+/**
+ * 用pdf.js读取阅读器中显示的各页页码
+ * @param {Uint8Array} bytes - PDF数据
+ * @returns {Promise<Array<string>|null>}
+ */
+const readPageLabels = async (bytes) => {
+  const pdf = await pdfjs.getDocument({ data: bytes.slice(), verbosity: 0, isEvalSupported: false }).promise;
+  try {
+    return await pdf.getPageLabels();
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+test('追加到已有PDF时保留原有书签和页码标签', async () => {
+  const bytes = await createPdfFromImages(SLICES, {
+    ...PDF_OPTIONS,
+    basePdf: NOTES_PDF,
+    bookmarks: true,
+    pageLabels: { style: 'upperAlpha', prefix: '附录 ' }
+  });
+
+  assert.deepEqual(await readPageLabels(bytes), ['i', 'ii', '1', '附录 A', '附录 B', '附录 C', '附录 D']);
+  assert.deepEqual(readOutline(await PDFDocument.load(bytes)), [
+    { title: 'Chapter 1', pageIndex: 2 },
+    { title: '聊天记录', pageIndex: 3 },
+    { title: '切片 2', pageIndex: 6 }
+  ]);
+});
+
+test('插入到已有PDF中间时，后面的原有页面接着原来的页码', async () => {
+  const inserted = await createPdfFromImages(SLICES, {
+    ...PDF_OPTIONS,
+    basePdf: NOTES_PDF,
+    insertAt: 1,
+    bookmarks: true,
+    pageLabels: { style: 'decimal', prefix: 'S-' }
+  });
+  assert.deepEqual(await readPageLabels(inserted), ['i', 'S-1', 'S-2', 'S-3', 'S-4', 'ii', '1']);
+  assert.deepEqual(readOutline(await PDFDocument.load(inserted)), [
+    { title: 'Chapter 1', pageIndex: 6 },
+    { title: '聊天记录', pageIndex: 1 },
+    { title: '切片 2', pageIndex: 4 }
+  ]);
+
+  // 插入到开头
+  const atStart = await createPdfFromImages(SLICES, { ...PDF_OPTIONS, basePdf: NOTES_PDF, insertAt: 0, pageLabels: {} });
+  assert.deepEqual(await readPageLabels(atStart), ['1', '2', '3', '4', 'i', 'ii', '1']);
+
+  // 不设置页码标签时新页面使用实际页码，原有页面的标签不变
+  const unlabeled = await createPdfFromImages(SLICES, { ...PDF_OPTIONS, basePdf: NOTES_PDF, insertAt: 2 });
+  assert.deepEqual(await readPageLabels(unlabeled), ['i', 'ii', '3', '4', '5', '6', '1']);
+});
+
+test('插入到没有页码标签的PDF时，原有页面保持实际页码', async () => {
+  const basePdf = await createPdfFromImages([SLICES[1], SLICES[1]], PDF_OPTIONS);
+  assert.equal(await readPageLabels(basePdf), null);
+
+  const bytes = await createPdfFromImages(SLICES, {
+    ...PDF_OPTIONS,
+    basePdf,
+    insertAt: 1,
+    pageLabels: { style: 'lowerRoman' }
+  });
+  assert.deepEqual(await readPageLabels(bytes), ['1', 'i', 'ii', 'iii', 'iv', '2']);
+});
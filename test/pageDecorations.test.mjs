@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PDFDocument } from 'pdf-lib';
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import { fillTemplate, needsEmbeddedFont, hasPageDecorations, getContentMargins } from '../utils/pageDecorations.js';
+import { createPdfFromImages } from '../utils/imageProcessor.js';
+
+// 390x180 的截图切片
+const SLICE = {
+  dataUrl: `data:image/png;base64,${fs.readFileSync(new URL('./fixtures/chat-enhanced.png', import.meta.url)).toString('base64')}`,
+  width: 390,
+  height: 180
+};
+
+/**
+ * 用pdf.js读取每一页的文字
+ * @param {Uint8Array} bytes - PDF数据
+ * @returns {Promise<Array<string>>}
+ */
+const readPageTexts = async (bytes) => {
+  const pdf = await pdfjs.getDocument({ data: bytes.slice(), verbosity: 0, isEvalSupported: false }).promise;
+  try {
+    const texts = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const content = await (await pdf.getPage(number)).getTextContent();
+      texts.push(content.items.map((item) => item.str).filter(Boolean).join(' '));
+    }
+    return texts;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+test('fillTemplate 替换已知的变量，未知的变量保持原样', () => {
+  const values = { title: '周报', page: 2, pages: 5, file: 'chat.png' };
+  assert.equal(fillTemplate('{title} - {page}/{pages}', values), '周报 - 2/5');
+  assert.equal(fillTemplate('{file} {author} {date}', values), 'chat.png {author} {date}');
+});
+
+test('只有需要绘制的文字含有标准字体无法显示的字符时才嵌入字体', () => {
+  assert.equal(needsEmbeddedFont({ footer: '{page}/{pages}' }), false);
+  assert.equal(needsEmbeddedFont({ header: '{title}', title: '周报' }), true);
+  assert.equal(needsEmbeddedFont({ textWatermark: { text: '内部资料' } }), true);
+  assert.equal(hasPageDecorations({ header: '  ', footer: '' }), false);
+  assert.equal(hasPageDecorations({ imageWatermark: { dataUrl: SLICE.dataUrl } }), true);
+});
+
+test('getContentMargins 为页眉页脚留出至少两行文字高度的边距', () => {
+  assert.deepEqual(getContentMargins({ margin: 10 }), { top: 10, bottom: 10, left: 10, right: 10 });
+  assert.deepEqual(getContentMargins({ footer: '{page}', margin: 10 }), { top: 10, bottom: 18, left: 10, right: 10 });
+  assert.deepEqual(getContentMargins({ header: '{title}', headerFooterSize: 12, margin: 30 }), { top: 30, bottom: 30, left: 30, right: 30 });
+});
+
+test('按图片尺寸生成页面时页脚不盖住图像，页码按新生成的页面计算', async () => {
+  const bytes = await createPdfFromImages([SLICE, SLICE], {
+    pageSize: 'auto',
+    footer: '{page}/{pages}',
+    header: '{file}',
+    fileName: 'chat.png'
+  });
+
+  const pdfDoc = await PDFDocument.load(bytes);
+  assert.deepEqual(pdfDoc.getPage(0).getSize(), { width: 390, height: 180 + 18 + 18 });
+  assert.deepEqual(await readPageTexts(bytes), ['chat.png 1/2', 'chat.png 2/2']);
+});
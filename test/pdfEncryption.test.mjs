@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PDFDocument } from 'pdf-lib';
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import { saveEncryptedPdf } from '../utils/pdfEncryption.js';
+
+const { getDocument, PasswordResponses, PermissionFlag } = pdfjs;
+
+// 3页A5文档：标题“Project notes”，页码标签 i、ii、1，书签“Chapter 1”指向第3页
+const NOTES_PDF = new Uint8Array(fs.readFileSync(new URL('./fixtures/notes.pdf', import.meta.url)));
+const TITLE = 'Project notes';
+// 第3页的正文
+const TEXT = 'Chapter 1: Release checklist';
+
+// 每次加密都重新读取，加密会修改传入的文档
+const loadNotes = () => PDFDocument.load(NOTES_PDF);
+
+/**
+ * 用pdf.js打开PDF，读取第3页的文字、标题、页码标签、书签和权限
+ * @param {Uint8Array} bytes - PDF数据
+ * @param {string} password - 打开密码
+ * @returns {Promise<{lines: Array<string>, title: string, labels: Array<string>, outline: Array<string>, permissions: Array<number>|null}>}
+ */
+const openPdf = async (bytes, password) => {
+  // pdf.js会转移传入的缓冲区，每次打开使用副本
+  const pdf = await getDocument({ data: bytes.slice(), password, verbosity: 0, isEvalSupported: false }).promise;
+  try {
+    const content = await (await pdf.getPage(3)).getTextContent();
+    const { info } = await pdf.getMetadata();
+    return {
+      lines: content.items.map((item) => item.str).filter(Boolean),
+      title: info.Title,
+      labels: await pdf.getPageLabels(),
+      outline: (await pdf.getOutline()).map((item) => item.title),
+      permissions: await pdf.getPermissions()
+    };
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * 断言打开PDF时要求密码
+ * @param {Uint8Array} bytes - PDF数据
+ * @param {string} password - 打开密码
+ * @param {number} code - 期望的 PasswordResponses
+ */
+const assertPasswordRequired = (bytes, password, code) => assert.rejects(openPdf(bytes, password), (error) => {
+  assert.equal(error.name, 'PasswordException');
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('未加密的文档可以直接读取', async () => {
+  const { lines, title, labels, outline, permissions } = await openPdf(NOTES_PDF);
+  assert.ok(lines.includes(TEXT), lines.join(' | '));
+  assert.equal(title, TITLE);
+  assert.deepEqual(labels, ['i', 'ii', '1']);
+  assert.deepEqual(outline, ['Chapter 1']);
+  assert.equal(permissions, null);
+});
+
+for (const method of ['aes128', 'aes256']) {
+  test(`${method} 加密后需要用户密码打开，用户密码和所有者密码都能解密内容`, async () => {
+    const bytes = await saveEncryptedPdf(await loadNotes(), {
+      method,
+      userPassword: 'user-pass',
+      ownerPassword: 'owner-pass'
+    });
+
+    // pdf-lib以UTF-16BE十六进制字符串写入标题，不使用对象流保存时可以在文件中找到，加密后不能再以明文出现
+    const titleHex = `FEFF${Buffer.from(TITLE, 'utf16le').swap16().toString('hex').toUpperCase()}`;
+    const plain = Buffer.from(await (await loadNotes()).save({ useObjectStreams: false })).toString('latin1');
+    assert.ok(plain.includes(titleHex));
+    assert.ok(!Buffer.from(bytes).toString('latin1').includes(titleHex));
+
+    await assertPasswordRequired(bytes, undefined, PasswordResponses.NEED_PASSWORD);
+    await assertPasswordRequired(bytes, 'wrong-pass', PasswordResponses.INCORRECT_PASSWORD);
+    for (const password of ['user-pass', 'owner-pass']) {
+      const { lines, title, labels, outline } = await openPdf(bytes, password);
+      assert.ok(lines.includes(TEXT), lines.join(' | '));
+      assert.equal(title, TITLE);
+      assert.deepEqual(labels, ['i', 'ii', '1']);
+      assert.deepEqual(outline, ['Chapter 1']);
+    }
+  });
+
+  test(`${method} 只限制权限时不需要密码即可打开`, async () => {
+    const bytes = await saveEncryptedPdf(await loadNotes(), {
+      method,
+      permissions: { printing: true, copying: false, modifying: false }
+    });
+
+    const { lines, permissions } = await openPdf(bytes);
+    assert.ok(lines.includes(TEXT), lines.join(' | '));
+    assert.ok(permissions.includes(PermissionFlag.PRINT));
+    assert.ok(permissions.includes(PermissionFlag.PRINT_HIGH_QUALITY));
+    assert.ok(permissions.includes(PermissionFlag.COPY_FOR_ACCESSIBILITY));
+    assert.ok(!permissions.includes(PermissionFlag.COPY));
+    assert.ok(!permissions.includes(PermissionFlag.MODIFY_CONTENTS));
+    assert.ok(!permissions.includes(PermissionFlag.MODIFY_ANNOTATIONS));
+    assert.ok(!permissions.includes(PermissionFlag.ASSEMBLE));
+  });
+}
+
+test('aes256 支持中文密码', async () => {
+  const bytes = await saveEncryptedPdf(await loadNotes(), { method: 'aes256', userPassword: '聊天记录' });
+
+  await assertPasswordRequired(bytes, '聊天', PasswordResponses.INCORRECT_PASSWORD);
+  assert.equal((await openPdf(bytes, '聊天记录')).title, TITLE);
+});
+
+test('aes128 拒绝中文密码', async () => {
+  await assert.rejects(
+    saveEncryptedPdf(await loadNotes(), { method: 'aes128', userPassword: '聊天记录' }),
+    (error) => error.name === 'PdfEncryptionError' && /AES-256/.test(error.message)
+  );
+});
+
+test('拒绝未知的加密方式', async () => {
+  await assert.rejects(
+    saveEncryptedPdf(await loadNotes(), { method: 'rc4', userPassword: 'pass' }),
+    (error) => error.name === 'PdfEncryptionError' && /未知的加密方式/.test(error.message)
+  );
+});
@@ -0,0 +1,296 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  createPixels,
+  cropPixels,
+  findWhitespaceGaps,
+  chooseWhitespaceBreaks,
+  getSliceRanges,
+  normalizeFilters,
+  applyFilters,
+  DEFAULT_FILTERS,
+  findContentBounds,
+  findContentColumns,
+  trimPixels,
+  processSlicePixels,
+  normalizeRedactions,
+  applyRedactions,
+  readRedactedRows
+} from '../utils/pixelOps.js';
+import { decodeImage } from '../utils/serverProcessor.js';
+
+const readFixture = (name) => decodeImage(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+/**
+ * 按版面描述生成白底黑字的页面：{ text: 行数 } 为文字（每7列中3列为黑色），{ blank: 行数 } 为空白
+ * @param {number} width - 宽度
+ * @param {Array<{text?: number, blank?: number}>} layout - 自上而下的版面
+ * @returns {Object} - 像素对象
+ */
+const layoutPage = (width, layout) => {
+  const height = layout.reduce((sum, part) => sum + (part.text || part.blank), 0);
+  const pixels = createPixels(width, height);
+  pixels.data.fill(255);
+  let y = 0;
+  for (const part of layout) {
+    const end = y + (part.text || part.blank);
+    for (; y < end; y++) {
+      if (!part.text) continue;
+      for (let x = 0; x < width; x++) {
+        if (x % 7 < 3) pixels.data.fill(20, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return pixels;
+};
+
+test('findWhitespaceGaps 忽略低于最小高度的行间距', () => {
+  const pixels = layoutPage(70, [{ text: 10 }, { blank: 3 }, { text: 10 }, { blank: 4 }, { text: 10 }, { blank: 12 }, { text: 10 }, { blank: 5 }]);
+
+  assert.deepEqual(findWhitespaceGaps(pixels), [
+    { start: 23, end: 27 },
+    { start: 37, end: 49 },
+    { start: 59, end: 64 }
+  ]);
+  assert.deepEqual(findWhitespaceGaps(pixels, 0.5, 6), [{ start: 37, end: 49 }]);
+});
+
+test('chooseWhitespaceBreaks 在目标高度附近分页，最后不足一页的部分单独成页', () => {
+  const gaps = [{ start: 385, end: 395 }, { start: 785, end: 795 }];
+  assert.deepEqual(chooseWhitespaceBreaks(gaps, 0, 1000, 400), [390, 790]);
+  // 区间本身不超过目标高度时不分页
+  assert.deepEqual(chooseWhitespaceBreaks(gaps, 0, 400, 400), []);
+  // 区间外的间隙不参与分页
+  assert.deepEqual(chooseWhitespaceBreaks(gaps, 400, 1000, 400), [790]);
+});
+
+test('chooseWhitespaceBreaks 目标高度内没有间隙时该页超出目标高度', () => {
+  // 150处的间隙会让这一页不到目标高度的一半，只能使用之后最近的650处
+  const gaps = [{ start: 145, end: 155 }, { start: 645, end: 655 }];
+  assert.deepEqual(chooseWhitespaceBreaks(gaps, 0, 1000, 400), [650]);
+  // 完全没有间隙时不分页，不会切断文字
+  assert.deepEqual(chooseWhitespaceBreaks([], 0, 1000, 400), []);
+});
+
+test('chooseWhitespaceBreaks 接近目标高度时优先选择段落之间较大的间隙', () => {
+  const gaps = [{ start: 360, end: 380 }, { start: 393, end: 397 }];
+  assert.deepEqual(chooseWhitespaceBreaks(gaps, 0, 600, 400), [370]);
+});
+
+test('getSliceRanges 空白模式只在段落间隙中分页', () => {
+  // 每段10行文字，行间距3行（太短，不是间隙），段落之间空12行
+  const paragraph = Array.from({ length: 10 }, () => [{ text: 12 }, { blank: 3 }]).flat();
+  const layout = Array.from({ length: 4 }, () => [...paragraph, { blank: 12 }]).flat();
+  const pixels = layoutPage(100, layout);
+  const ranges = getSliceRanges(pixels, { autoDetectSplits: 'whitespace', pageAspect: 2.5 });
+
+  // 每段连同间隙共162行，段落间隙（最后3行行间距加12行空白）为 162*n-15 到 162*n，两段超过目标高度250行
+  assert.deepEqual(ranges.map(({ startY }) => startY), [0, 154, 316, 478]);
+  ranges.slice(1).forEach(({ startY }) => {
+    assert.ok((startY + 15) % 162 < 15, `分页位置 ${startY} 不在段落间隙中`);
+  });
+  // 最后一段不足目标高度，不再分页
+  assert.deepEqual(ranges.at(-1), { startY: 478, endY: pixels.height });
+});
+
+test('normalizeFilters 拒绝未知的滤镜和非数组的滤镜链', () => {
+  assert.throws(() => normalizeFilters([{ type: 'sharpen' }]), /未知的增强滤镜: sharpen/);
+  assert.throws(() => normalizeFilters([null]), /未知的增强滤镜/);
+  assert.throws(() => normalizeFilters({ type: 'contrast' }), /增强滤镜必须是数组/);
+});
+
+test('normalizeFilters 将参数限制在允许范围内，缺少或无效的参数使用默认值', () => {
+  const [contrast, unsharp, binarize] = normalizeFilters([
+    { type: 'contrast', params: { amount: 10 } },
+    { type: 'unsharp', enabled: false, params: { amount: -1, radius: '3', threshold: 'high', strength: 9 } },
+    { type: 'binarize' }
+  ]);
+
+  assert.deepEqual(contrast, { type: 'contrast', enabled: true, params: { amount: 3 } });
+  // 字符串形式的数字（来自接口参数）按数字处理，多余的参数被去掉
+  assert.deepEqual(unsharp, { type: 'unsharp', enabled: false, params: { amount: 0, radius: 3, threshold: 5 } });
+  assert.deepEqual(binarize.params, { blockSize: 31, offset: 10 });
+});
+
+test('DEFAULT_FILTERS 与原先固定的锐化效果逐像素相同', async () => {
+  // chat-enhanced.png 是滤镜链之前的 sharpenPixels 对截图第180～360行的处理结果
+  const screenshot = await readFixture('chat-screenshot.png');
+  const expected = await readFixture('chat-enhanced.png');
+  const source = cropPixels(screenshot, 0, 180, 390, 180);
+
+  assert.deepEqual(applyFilters(source, DEFAULT_FILTERS), expected);
+  assert.deepEqual(applyFilters(source), expected);
+});
+
+test('applyFilters 跳过关闭的滤镜，不修改传入的像素', async () => {
+  const source = cropPixels(await readFixture('chat-screenshot.png'), 0, 180, 390, 180);
+  const original = Uint8ClampedArray.from(source.data);
+
+  assert.equal(applyFilters(source, DEFAULT_FILTERS.map((filter) => ({ ...filter, enabled: false }))), source);
+  applyFilters(source, DEFAULT_FILTERS);
+  assert.deepEqual(source.data, original);
+});
+
+/**
+ * 生成灰色背景（#e6e6e6）的画面，在第10～19行、第8～27列画一块深色内容，
+ * 左上角(2, 2)处放一个与背景只差4的浅色像素（类似压缩噪点）
+ * @returns {Object} - 像素对象
+ */
+const cardPage = () => {
+  const pixels = createPixels(40, 30);
+  for (let y = 0; y < 30; y++) {
+    for (let x = 0; x < 40; x++) {
+      const index = (y * 40 + x) * 4;
+      const content = y >= 10 && y < 20 && x >= 8 && x < 28;
+      pixels.data.fill(content ? 40 : 230, index, index + 3);
+      pixels.data[index + 3] = 255;
+    }
+  }
+  pixels.data.fill(234, (2 * 40 + 2) * 4, (2 * 40 + 2) * 4 + 3);
+  return pixels;
+};
+
+test('findContentBounds 按背景色和容差查找内容，透明像素视为空白', () => {
+  const pixels = cardPage();
+
+  assert.deepEqual(findContentBounds(pixels), { left: 8, top: 10, right: 27, bottom: 19 });
+  // 容差小于噪点与背景的差值时，噪点也算作内容
+  assert.deepEqual(findContentBounds(pixels, { tolerance: 3 }), { left: 2, top: 2, right: 27, bottom: 19 });
+
+  const transparent = createPixels(10, 10);
+  assert.equal(findContentBounds(transparent, { background: { r: 255, g: 255, b: 255 } }), null);
+});
+
+test('trimPixels 裁剪到内容区域并保留边距，边距不超出图像', () => {
+  const pixels = cardPage();
+
+  const trimmed = trimPixels(pixels);
+  assert.equal(trimmed.width, 20);
+  assert.equal(trimmed.height, 10);
+  assert.ok(trimmed.data.every((value, i) => value === (i % 4 === 3 ? 255 : 40)));
+
+  const padded = trimPixels(pixels, { padding: 3 });
+  assert.equal(padded.width, 26);
+  assert.equal(padded.height, 16);
+  assert.deepEqual(Array.from(padded.data.subarray(0, 4)), [230, 230, 230, 255]);
+
+  const clamped = trimPixels(pixels, { padding: 12 });
+  assert.equal(clamped.width, 40);
+  assert.equal(clamped.height, 30);
+  // 没有需要裁剪的部分时原样返回
+  assert.equal(clamped, pixels);
+});
+
+test('统一宽度模式使用整张图的左右边界，只在垂直方向裁剪', () => {
+  const pixels = cardPage();
+  // 只包含噪点的一页（第0～9行）在逐页裁剪时会被裁成1列
+  const page = cropPixels(pixels, 0, 0, 40, 10);
+  const columns = findContentColumns(pixels, { padding: 2 });
+
+  assert.deepEqual(columns, { left: 6, right: 29 });
+  assert.deepEqual(findContentColumns(pixels, { padding: 20 }), { left: 0, right: 39 });
+  assert.equal(trimPixels(page, { tolerance: 3 }).width, 1);
+
+  const uniform = trimPixels(page, { tolerance: 3, columns });
+  assert.equal(uniform.width, 24);
+  assert.equal(uniform.height, 1);
+});
+
+test('processSlicePixels 按裁剪方式处理切片', () => {
+  const pixels = cardPage();
+  const options = { sharpenImage: false };
+
+  assert.equal(processSlicePixels(pixels, { ...options, trimMode: 'none' }), pixels);
+  assert.equal(processSlicePixels(pixels, { ...options, trimMode: 'each' }).width, 20);
+
+  const uniform = processSlicePixels(pixels, { ...options, trimMode: 'uniform', trimPadding: 1, columns: { left: 0, right: 39 } });
+  assert.equal(uniform.width, 40);
+  assert.equal(uniform.height, 12);
+
+  const stages = [];
+  processSlicePixels(pixels, { trimMode: 'none' }, (stage) => stages.push(stage));
+  assert.deepEqual(stages, ['sharpen']);
+});
+
+/**
+ * 比较两张同样大小的图像，返回有差异的像素所在的行
+ * @param {Object} a - 像素对象
+ * @param {Object} b - 像素对象
+ * @returns {Set<number>}
+ */
+const changedRows = (a, b) => {
+  const rows = new Set();
+  for (let i = 0; i < a.data.length; i++) {
+    if (a.data[i] !== b.data[i]) rows.add(Math.floor(i / 4 / a.width));
+  }
+  return rows;
+};
+
+test('normalizeRedactions 校验打码区域', () => {
+  assert.deepEqual(normalizeRedactions([
+    { x: '10.4', y: 20, width: 30.6, height: 5 },
+    { x: 0, y: 0, width: 0, height: 10, mode: 'blur' }
+  ]), [{ x: 10, y: 20, width: 31, height: 5, mode: 'fill' }]);
+  assert.throws(() => normalizeRedactions([{ x: 0, y: 0, width: 10, height: 10, mode: 'smudge' }]), /未知的打码方式: smudge/);
+  assert.throws(() => normalizeRedactions([{ x: 0, y: 0, width: 'wide', height: 10 }]), /需要数字类型/);
+  assert.throws(() => normalizeRedactions({ x: 0 }), /打码区域必须是数组/);
+});
+
+test('applyRedactions 只改变打码区域内的像素，不修改传入的图像', async () => {
+  const screenshot = await readFixture('chat-screenshot.png');
+  const original = Uint8ClampedArray.from(screenshot.data);
+  const box = { x: 20, y: 300, width: 200, height: 60 };
+
+  for (const mode of ['fill', 'blur', 'pixelate']) {
+    const redacted = applyRedactions(screenshot, [{ ...box, mode }]);
+    const rows = changedRows(screenshot, redacted);
+    assert.ok([...rows].every((y) => y >= 300 && y < 360), `${mode} 改变了区域外的行`);
+
+    // 区域外的列不变，区域内的内容被遮住
+    const outside = cropPixels(screenshot, 220, 300, 170, 60);
+    assert.deepEqual(cropPixels(redacted, 220, 300, 170, 60), outside);
+    const inside = cropPixels(redacted, 20, 300, 200, 60);
+    assert.notDeepEqual(inside, cropPixels(screenshot, 20, 300, 200, 60));
+
+    if (mode === 'fill') {
+      assert.ok(inside.data.every((value, i) => value === (i % 4 === 3 ? 255 : 0)));
+    }
+    if (mode === 'pixelate') {
+      // 60像素高的区域按15像素的块取平均
+      const block = cropPixels(inside, 0, 0, 15, 15);
+      assert.ok(block.data.every((value, i) => value === block.data[i % 4]));
+    }
+  }
+  assert.deepEqual(screenshot.data, original);
+});
+
+test('applyRedactions 把超出图像的区域限制在图像内，没有区域时原样返回', async () => {
+  const screenshot = await readFixture('chat-screenshot.png');
+
+  const redacted = applyRedactions(screenshot, [{ x: 300, y: 1150, width: 200, height: 100 }]);
+  const rows = changedRows(screenshot, redacted);
+  assert.equal(Math.min(...rows), 1150);
+  assert.equal(Math.max(...rows), 1199);
+  assert.equal(applyRedactions(screenshot, []), screenshot);
+  assert.equal(applyRedactions(screenshot, [{ x: 400, y: 0, width: 10, height: 10 }]), screenshot);
+});
+
+test('readRedactedRows 与对整张图像打码后再截取这一段的结果相同', async () => {
+  const screenshot = await readFixture('chat-screenshot.png');
+  const redactions = [
+    { x: 20, y: 300, width: 200, height: 60, mode: 'blur' },
+    { x: 100, y: 700, width: 120, height: 40, mode: 'pixelate' }
+  ];
+  const full = applyRedactions(screenshot, redactions);
+  const readRows = (top, height) => cropPixels(screenshot, 0, top, screenshot.width, height);
+
+  // 只与打码区域的一部分相交、包含整个区域和完全不相交的几段
+  for (const [top, height] of [[320, 100], [250, 80], [0, 1200], [400, 200]]) {
+    assert.deepEqual(
+      readRedactedRows(readRows, screenshot.height, top, height, redactions),
+      cropPixels(full, 0, top, screenshot.width, height),
+      `第${top}行开始的${height}行`
+    );
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createPixels, cropPixels } from '../utils/pixelOps.js';
+import { detectScreenBands, removeBands, planSlices, toStrippedY, toOriginalY } from '../utils/screenBands.js';
+import { decodeImage } from '../utils/serverProcessor.js';
+
+// 手机聊天截图（390x1200）：状态栏、带分隔线的导航栏、聊天内容和底部标签栏
+const screenshot = await decodeImage(fs.readFileSync(new URL('./fixtures/chat-screenshot.png', import.meta.url)));
+const ALL_BANDS = { stripStatusBar: true, stripHeader: true, stripFooter: true };
+const STATUS_BAR = { kind: 'statusBar', startY: 0, endY: 46 };
+const HEADER = { kind: 'header', startY: 46, endY: 97 };
+const FOOTER = { kind: 'footer', startY: 1119, endY: 1200 };
+
+/**
+ * 取出一行的像素数据
+ * @param {Object} pixels - 像素对象
+ * @param {number} y - 行号
+ * @returns {Uint8ClampedArray}
+ */
+const rowAt = (pixels, y) => pixels.data.subarray(y * pixels.width * 4, (y + 1) * pixels.width * 4);
+
+test('detectScreenBands 找到状态栏、导航栏和底部标签栏', () => {
+  assert.deepEqual(detectScreenBands(screenshot, ALL_BANDS), [STATUS_BAR, HEADER, FOOTER]);
+});
+
+test('detectScreenBands 只检测选中的区域，导航栏总是从状态栏下方开始', () => {
+  assert.deepEqual(detectScreenBands(screenshot), []);
+  assert.deepEqual(detectScreenBands(screenshot, { stripFooter: true }), [FOOTER]);
+  assert.deepEqual(detectScreenBands(screenshot, { stripHeader: true }), [HEADER]);
+});
+
+test('detectScreenBands 不把聊天内容当作导航栏', () => {
+  const content = cropPixels(screenshot, 0, HEADER.endY, screenshot.width, FOOTER.startY - HEADER.endY);
+  assert.deepEqual(detectScreenBands(content, ALL_BANDS), []);
+});
+
+test('detectScreenBands 找到拼接长图中重复出现的吸顶导航栏', () => {
+  // 在第600行之后插入一次导航栏，模拟拼接滚动截图时每一帧都带有的导航栏
+  const headerHeight = HEADER.endY - HEADER.startY;
+  const stitched = createPixels(screenshot.width, screenshot.height + headerHeight);
+  const rowSize = screenshot.width * 4;
+  stitched.data.set(screenshot.data.subarray(0, 600 * rowSize));
+  stitched.data.set(screenshot.data.subarray(HEADER.startY * rowSize, HEADER.endY * rowSize), 600 * rowSize);
+  stitched.data.set(screenshot.data.subarray(600 * rowSize), (600 + headerHeight) * rowSize);
+
+  assert.deepEqual(detectScreenBands(stitched, { stripHeader: true }), [
+    HEADER,
+    { kind: 'header', startY: 600, endY: 600 + headerHeight }
+  ]);
+});
+
+test('toStrippedY 和 toOriginalY 在去除区域前后换算坐标', () => {
+  const bands = [STATUS_BAR, HEADER, FOOTER];
+  assert.equal(toStrippedY(600, bands), 503);
+  assert.equal(toOriginalY(503, bands), 600);
+  // 落在区域内的坐标移到区域的起始处
+  assert.equal(toStrippedY(60, bands), 0);
+  assert.equal(toStrippedY(1150, bands), 1022);
+  assert.equal(toOriginalY(46, bands), 143);
+});
+
+test('removeBands 拼接剩余的行', () => {
+  const stripped = removeBands(screenshot, [HEADER, FOOTER]);
+  assert.equal(stripped.height, screenshot.height - 51 - 81);
+  assert.deepEqual(rowAt(stripped, 45), rowAt(screenshot, 45));
+  assert.deepEqual(rowAt(stripped, 46), rowAt(screenshot, 97));
+  assert.equal(removeBands(screenshot, []), screenshot);
+});
+
+test('planSlices 去除区域后按原图坐标的分割点切片', () => {
+  const { pixels, ranges, bands } = planSlices(screenshot, { ...ALL_BANDS, splitPoints: [600, 60] });
+
+  assert.deepEqual(bands, [STATUS_BAR, HEADER, FOOTER]);
+  assert.equal(pixels.height, 1022);
+  // 分割点60落在导航栏内，换算后为0，不产生空切片
+  assert.deepEqual(ranges, [{ startY: 0, endY: 503 }, { startY: 503, endY: 1022 }]);
+  assert.deepEqual(rowAt(pixels, 0), rowAt(screenshot, 97));
+  assert.deepEqual(rowAt(pixels, 1021), rowAt(screenshot, 1118));
+});
+
+test('planSlices 使用提供的区域，不再重新检测', () => {
+  const { ranges, bands } = planSlices(screenshot, { ...ALL_BANDS, bands: [FOOTER], splitPoints: [] });
+  assert.deepEqual(bands, [FOOTER]);
+  assert.deepEqual(ranges, [{ startY: 0, endY: 1119 }]);
+});
+
+test('planSlices 在统一宽度模式下按去除区域后的内容计算左右边界', () => {
+  const options = { ...ALL_BANDS, splitPoints: [600] };
+
+  assert.equal(planSlices(screenshot, options).columns, null);
+  // 聊天气泡距两侧12像素，导航栏和标签栏已去除，不影响左右边界
+  assert.deepEqual(planSlices(screenshot, { ...options, trimMode: 'uniform' }).columns, { left: 12, right: 377 });
+  assert.deepEqual(planSlices(screenshot, { ...options, trimMode: 'uniform', trimPadding: 8 }).columns, { left: 4, right: 385 });
+});
+
+test('planSlices 按原图坐标打码，去除区域和分割点不受打码影响', () => {
+  const options = { ...ALL_BANDS, splitPoints: [600] };
+  // 原图第290～330行，去除状态栏和导航栏后位于第193～233行
+  const redactions = [{ x: 12, y: 290, width: 200, height: 40 }];
+  const plain = planSlices(screenshot, options);
+  const redacted = planSlices(screenshot, { ...options, redactions });
+
+  assert.deepEqual(redacted.bands, plain.bands);
+  assert.deepEqual(redacted.ranges, plain.ranges);
+  assert.equal(redacted.pixels.height, plain.pixels.height);
+  for (let y = 0; y < plain.pixels.height; y++) {
+    const inBox = y >= 193 && y < 233;
+    assert.equal(rowAt(redacted.pixels, y).every((value, i) => value === rowAt(plain.pixels, y)[i]), !inBox, `第${y}行`);
+  }
+});
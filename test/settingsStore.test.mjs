@@ -0,0 +1,58 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSettings, saveSettings } from '../utils/settingsStore.js';
+
+// settingsStore 只使用 localStorage 的 getItem/setItem
+const storage = new Map();
+globalThis.window = {
+  localStorage: {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  title: '',
+  margin: 0,
+  sharpenImage: true,
+  watermarkImage: null,
+  encryption: '',
+  userPassword: '',
+  ownerPassword: ''
+};
+
+beforeEach(() => storage.clear());
+
+test('没有保存过设置时使用默认设置', () => {
+  assert.deepEqual(loadSettings(DEFAULT_SETTINGS), DEFAULT_SETTINGS);
+});
+
+test('保存的设置在重新打开页面后恢复，类型不符的项被忽略', () => {
+  saveSettings({ ...DEFAULT_SETTINGS, margin: 20, sharpenImage: false });
+  assert.deepEqual(loadSettings(DEFAULT_SETTINGS), { ...DEFAULT_SETTINGS, margin: 20, sharpenImage: false });
+
+  storage.set('longshot-settings', JSON.stringify({ margin: 'wide', unknown: 1 }));
+  assert.deepEqual(loadSettings(DEFAULT_SETTINGS), DEFAULT_SETTINGS);
+});
+
+test('加密方式和密码不保存，重新打开页面后不会在没有密码的情况下加密', () => {
+  saveSettings({
+    ...DEFAULT_SETTINGS,
+    title: '周报',
+    margin: 20,
+    watermarkImage: { dataUrl: 'data:image/png;base64,AAAA' },
+    encryption: 'aes256',
+    userPassword: 'secret',
+    ownerPassword: 'owner'
+  });
+
+  const saved = JSON.parse(storage.get('longshot-settings'));
+  ['title', 'watermarkImage', 'encryption', 'userPassword', 'ownerPassword'].forEach((name) => {
+    assert.equal(name in saved, false, name);
+  });
+  assert.deepEqual(loadSettings(DEFAULT_SETTINGS), { ...DEFAULT_SETTINGS, margin: 20 });
+
+  // 旧版本保存过的加密方式同样被忽略
+  storage.set('longshot-settings', JSON.stringify({ encryption: 'aes128' }));
+  assert.equal(loadSettings(DEFAULT_SETTINGS).encryption, '');
+});
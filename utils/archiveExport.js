@@ -0,0 +1,309 @@
+// 切片导出为图片压缩包（ZIP/CBZ）或固定版式EPUB，浏览器和Node.js中都可以使用
+
+// 导出格式：显示名称、扩展名和MIME类型
+export const EXPORT_FORMATS = {
+  zip: { label: 'ZIP图片包', extension: 'zip', mimeType: 'application/zip' },
+  cbz: { label: 'CBZ漫画', extension: 'cbz', mimeType: 'application/vnd.comicbook+zip' },
+  epub: { label: 'EPUB电子书', extension: 'epub', mimeType: 'application/epub+zip' }
+};
+
+// CRC32查找表
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * 计算CRC32校验值
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} - 校验值
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * 把日期转换为ZIP使用的DOS时间和日期
+ * @param {Date} date - 日期
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * 打包ZIP文件（不压缩）
+ * 切片图像本身已经压缩过，再压缩收益很小；EPUB也要求 mimetype 不压缩。
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries - 文件列表，字符串按UTF-8编码
+ * @returns {Uint8Array} - ZIP文件内容
+ */
+export const createZip = (entries) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // 文件名使用UTF-8
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const result = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+};
+
+/**
+ * 解码图像数据URL
+ * @param {string} dataUrl - 图像的数据URL
+ * @returns {{bytes: Uint8Array, mimeType: string, extension: string}}
+ */
+const decodeDataUrl = (dataUrl) => {
+  const [header, base64] = dataUrl.split(',');
+  const mimeType = header.slice(5, header.indexOf(';'));
+  return {
+    bytes: Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)),
+    mimeType,
+    extension: mimeType === 'image/jpeg' ? 'jpg' : 'png'
+  };
+};
+
+// 转义XML特殊字符
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 按切片数量补零编号，保证文件按名称排序即为阅读顺序
+const getNumberer = (count) => {
+  const digits = Math.max(3, String(count).length);
+  return (index) => String(index + 1).padStart(digits, '0');
+};
+
+/**
+ * 切片的编号图像文件
+ * @param {Array<Object>} slices - 切片数组
+ * @param {string} baseName - 文件名前缀
+ * @returns {Array<{name: string, data: Uint8Array}>}
+ */
+const getImageEntries = (slices, baseName) => {
+  const number = getNumberer(slices.length);
+  return slices.map((slice, index) => {
+    const { bytes, extension } = decodeDataUrl(slice.dataUrl);
+    return { name: `${baseName}-${number(index)}.${extension}`, data: bytes };
+  });
+};
+
+/**
+ * 生成CBZ中的 ComicInfo.xml
+ * @param {number} pageCount - 页数
+ * @param {Object} info - 文档信息
+ * @returns {string}
+ */
+const createComicInfo = (pageCount, { title, author, subject }) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+  `  <Title>${escapeXml(title)}</Title>`,
+  author ? `  <Writer>${escapeXml(author)}</Writer>` : null,
+  subject ? `  <Summary>${escapeXml(subject)}</Summary>` : null,
+  `  <PageCount>${pageCount}</PageCount>`,
+  '  <Manga>No</Manga>',
+  '</ComicInfo>'
+].filter((line) => line !== null).join('\n');
+
+/**
+ * 打包固定版式EPUB：每个切片一页，页面尺寸与切片相同
+ * @param {Array<Object>} slices - 切片数组
+ * @param {Object} info - 文档信息
+ * @returns {Array<{name: string, data: Uint8Array|string}>} - EPUB中的文件
+ */
+const getEpubEntries = (slices, { title, author, subject, language }) => {
+  const number = getNumberer(slices.length);
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const pages = slices.map((slice, index) => {
+    const { bytes, mimeType, extension } = decodeDataUrl(slice.dataUrl);
+    return {
+      id: number(index),
+      title: slice.title || `切片 ${index + 1}`,
+      width: slice.width,
+      height: slice.height,
+      image: { name: `images/${number(index)}.${extension}`, data: bytes, mimeType }
+    };
+  });
+
+  const container = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '  <rootfiles>',
+    '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+    '  </rootfiles>',
+    '</container>'
+  ].join('\n');
+
+  const opf = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id"',
+    '  prefix="rendition: http://www.idpf.org/vocab/rendition/#">',
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `    <dc:identifier id="book-id">urn:longshot:${Date.now().toString(36)}</dc:identifier>`,
+    `    <dc:title>${escapeXml(title)}</dc:title>`,
+    author ? `    <dc:creator>${escapeXml(author)}</dc:creator>` : null,
+    subject ? `    <dc:description>${escapeXml(subject)}</dc:description>` : null,
+    `    <dc:language>${escapeXml(language)}</dc:language>`,
+    `    <meta property="dcterms:modified">${modified}</meta>`,
+    '    <meta property="rendition:layout">pre-paginated</meta>',
+    '    <meta property="rendition:spread">none</meta>',
+    '  </metadata>',
+    '  <manifest>',
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    ...pages.flatMap((page, index) => [
+      `    <item id="page-${page.id}" href="pages/${page.id}.xhtml" media-type="application/xhtml+xml"/>`,
+      `    <item id="image-${page.id}" href="${page.image.name}" media-type="${page.image.mimeType}"${index === 0 ? ' properties="cover-image"' : ''}/>`
+    ]),
+    '  </manifest>',
+    '  <spine>',
+    ...pages.map((page) => `    <itemref idref="page-${page.id}"/>`),
+    '  </spine>',
+    '</package>'
+  ].filter((line) => line !== null).join('\n');
+
+  const nav = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html>',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+    `<head><meta charset="UTF-8"/><title>${escapeXml(title)}</title></head>`,
+    '<body>',
+    '  <nav epub:type="toc" id="toc">',
+    `    <h1>${escapeXml(title)}</h1>`,
+    '    <ol>',
+    ...pages.map((page) => `      <li><a href="pages/${page.id}.xhtml">${escapeXml(page.title)}</a></li>`),
+    '    </ol>',
+    '  </nav>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+
+  const pageFiles = pages.map((page) => ({
+    name: `OEBPS/pages/${page.id}.xhtml`,
+    data: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml">',
+      '<head>',
+      '  <meta charset="UTF-8"/>',
+      `  <title>${escapeXml(page.title)}</title>`,
+      `  <meta name="viewport" content="width=${page.width}, height=${page.height}"/>`,
+      `  <style>html, body { margin: 0; padding: 0; } img { display: block; width: ${page.width}px; height: ${page.height}px; }</style>`,
+      '</head>',
+      '<body>',
+      `  <img src="../${page.image.name}" alt="${escapeXml(page.title)}"/>`,
+      '</body>',
+      '</html>'
+    ].join('\n')
+  }));
+
+  return [
+    // mimetype 必须是第一个文件
+    { name: 'mimetype', data: EXPORT_FORMATS.epub.mimeType },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    ...pageFiles,
+    ...pages.map((page) => ({ name: `OEBPS/${page.image.name}`, data: page.image.data }))
+  ];
+};
+
+/**
+ * 将切片打包为ZIP图片包、CBZ或固定版式EPUB
+ * @param {Array<{dataUrl: string, width: number, height: number, title?: string}>} slices - 切片数组
+ * @param {string} format - 导出格式 ('zip', 'cbz', 'epub')
+ * @param {Object} options - 导出选项
+ * @param {string} options.baseName - 图像文件名前缀，与PDF文件名相同
+ * @param {string} options.title - 标题（CBZ和EPUB使用）
+ * @param {string} options.author - 作者
+ * @param {string} options.subject - 主题
+ * @param {string} options.language - EPUB语言，默认 zh-CN
+ * @returns {Uint8Array} - 文件内容
+ */
+export const createExportArchive = (slices, format, {
+  baseName = 'longshot',
+  title = '',
+  author = '',
+  subject = '',
+  language = 'zh-CN'
+} = {}) => {
+  const info = { title: title || baseName, author, subject, language };
+
+  if (format === 'zip') {
+    return createZip(getImageEntries(slices, baseName));
+  }
+  if (format === 'cbz') {
+    return createZip([
+      ...getImageEntries(slices, baseName),
+      { name: 'ComicInfo.xml', data: createComicInfo(slices.length, info) }
+    ]);
+  }
+  if (format === 'epub') {
+    return createZip(getEpubEntries(slices, info));
+  }
+  throw new Error(`未知的导出格式: ${format}`);
+};
@@ -0,0 +1,196 @@
+// 转换历史：保存在浏览器IndexedDB中，包括原图、分割线、整理后的切片和生成的文件
+
+const DB_NAME = 'longshot-history';
+const DB_VERSION = 1;
+
+// jobs 保存完整记录，summaries 只保存列表显示需要的信息，避免列出历史时读取所有图片
+const JOB_STORE = 'jobs';
+const SUMMARY_STORE = 'summaries';
+
+// localStorage中保存容量上限的键
+const QUOTA_KEY = 'longshot-history-quota';
+
+// 默认容量上限（MB）
+export const DEFAULT_HISTORY_QUOTA = 200;
+
+/**
+ * 打开历史数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('浏览器不支持IndexedDB'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(JOB_STORE, { keyPath: 'id' });
+      db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * 在事务中执行操作，事务完成后返回操作的结果
+ * @param {string} mode - 'readonly' 或 'readwrite'
+ * @param {Function} operation - 参数为 { jobs, summaries } 两个对象仓库，返回IDBRequest或普通值
+ * @returns {Promise<*>}
+ */
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([JOB_STORE, SUMMARY_STORE], mode);
+      const result = operation({
+        jobs: transaction.objectStore(JOB_STORE),
+        summaries: transaction.objectStore(SUMMARY_STORE)
+      });
+      transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('历史记录操作被中止'));
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * 估算记录占用的空间（字节）
+ * @param {Object} job - 历史记录
+ * @returns {number}
+ */
+const estimateJobSize = (job) => {
+  const slicesSize = job.slices.reduce((sum, slice) => sum + slice.dataUrl.length, 0);
+  return job.image.dataUrl.length + slicesSize + job.output.bytes.length;
+};
+
+/**
+ * 读取历史容量上限（MB），0表示不保存历史
+ * @returns {number}
+ */
+export const getHistoryQuota = () => {
+  const saved = window.localStorage.getItem(QUOTA_KEY);
+  return saved === null || Number.isNaN(Number(saved)) ? DEFAULT_HISTORY_QUOTA : Number(saved);
+};
+
+/**
+ * 列出历史记录（按时间从新到旧）
+ * @returns {Promise<Array<{id: string, name: string, createdAt: number, size: number, thumbnail: string, outputName: string}>>}
+ */
+export const listJobs = async () => {
+  const summaries = await runTransaction('readonly', ({ summaries }) => summaries.getAll());
+  return summaries.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * 删除最旧的记录，直到总大小不超过容量上限
+ * @returns {Promise<void>}
+ */
+const enforceQuota = async () => {
+  const quotaBytes = getHistoryQuota() * 1024 * 1024;
+  const summaries = await listJobs();
+  let total = summaries.reduce((sum, summary) => sum + summary.size, 0);
+  const removed = [];
+  while (summaries.length > 0 && total > quotaBytes) {
+    const oldest = summaries.pop();
+    total -= oldest.size;
+    removed.push(oldest.id);
+  }
+
+  if (removed.length > 0) {
+    await runTransaction('readwrite', ({ jobs, summaries: summaryStore }) => {
+      removed.forEach((id) => {
+        jobs.delete(id);
+        summaryStore.delete(id);
+      });
+    });
+  }
+};
+
+/**
+ * 设置历史容量上限（MB），超出的旧记录立即删除
+ * @param {number} quota - 容量上限（MB）
+ * @returns {Promise<void>}
+ */
+export const setHistoryQuota = async (quota) => {
+  window.localStorage.setItem(QUOTA_KEY, String(Math.max(0, quota)));
+  await enforceQuota();
+};
+
+/**
+ * 保存一次转换到历史，超出容量上限时删除最旧的记录
+ * @param {Object} job - 转换记录
+ * @param {string} job.name - 显示名称（原图文件名）
+ * @param {Object} job.image - 原图 { dataUrl, name, type, size, width, height }
+ * @param {Array<number>} job.splitPoints - 分割线
+ * @param {Array<Object>} job.redactions - 打码区域（原图坐标）
+ * @param {Array<Object>} job.slices - 整理后的切片
+ * @param {Object} job.settings - 生成时的设置
+ * @param {string} job.exportFormat - 导出格式
+ * @param {{bytes: Uint8Array, name: string, mimeType: string}} job.output - 生成的文件
+ * @param {string} job.thumbnail - 缩略图数据URL
+ * @returns {Promise<string|null>} - 记录ID，容量上限为0或记录本身超出上限时不保存并返回null
+ */
+export const saveJob = async (job) => {
+  const size = estimateJobSize(job);
+  if (size > getHistoryQuota() * 1024 * 1024) {
+    return null;
+  }
+
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const createdAt = Date.now();
+  await runTransaction('readwrite', ({ jobs, summaries }) => {
+    jobs.put({ ...job, id, createdAt });
+    summaries.put({
+      id,
+      createdAt,
+      size,
+      name: job.name,
+      thumbnail: job.thumbnail,
+      outputName: job.output.name
+    });
+  });
+  await enforceQuota();
+  return id;
+};
+
+/**
+ * 读取完整的历史记录
+ * @param {string} id - 记录ID
+ * @returns {Promise<Object>}
+ */
+export const loadJob = async (id) => {
+  const job = await runTransaction('readonly', ({ jobs }) => jobs.get(id));
+  if (!job) {
+    throw new Error('历史记录不存在');
+  }
+  return job;
+};
+
+/**
+ * 删除一条历史记录
+ * @param {string} id - 记录ID
+ * @returns {Promise<void>}
+ */
+export const deleteJob = async (id) => {
+  await runTransaction('readwrite', ({ jobs, summaries }) => {
+    jobs.delete(id);
+    summaries.delete(id);
+  });
+};
+
+/**
+ * 清空历史
+ * @returns {Promise<void>}
+ */
+export const clearHistory = async () => {
+  await runTransaction('readwrite', ({ jobs, summaries }) => {
+    jobs.clear();
+    summaries.clear();
+  });
+};
@@ -0,0 +1,167 @@
+// 读取用户选择、拖入、粘贴或分享的图片文件，统一转换为页面使用的图片对象
+
+// 支持的输入格式：MIME类型、扩展名和显示名称
+const IMAGE_FORMATS = {
+  png: { types: ['image/png'], extensions: ['.png'], label: 'PNG' },
+  jpeg: { types: ['image/jpeg', 'image/jpg'], extensions: ['.jpg', '.jpeg'], label: 'JPEG' },
+  webp: { types: ['image/webp'], extensions: ['.webp'], label: 'WebP' },
+  avif: { types: ['image/avif'], extensions: ['.avif'], label: 'AVIF' },
+  heic: { types: ['image/heic', 'image/heif'], extensions: ['.heic', '.heif'], label: 'HEIC' },
+  gif: { types: ['image/gif'], extensions: ['.gif'], label: 'GIF' }
+};
+
+// 支持的扩展名，命令行读取目录和通配符时也使用这个列表
+export const IMAGE_EXTENSIONS = Object.values(IMAGE_FORMATS).flatMap((format) => format.extensions);
+
+// 提示中列出的支持格式
+const SUPPORTED_LABELS = Object.values(IMAGE_FORMATS).map((format) => format.label).join('、');
+
+/**
+ * 文件选择和拖放接受的类型（react-dropzone 的 accept 格式）
+ * HEIC文件在部分系统上没有MIME类型，同时按扩展名匹配
+ */
+export const IMAGE_ACCEPT = Object.values(IMAGE_FORMATS).reduce((accept, format) => {
+  format.types.forEach((type) => {
+    accept[type] = format.extensions;
+  });
+  return accept;
+}, {});
+
+/**
+ * 判断文件的图片格式
+ * @param {File} file - 文件
+ * @returns {string|null} - IMAGE_FORMATS 中的键，不支持时返回null
+ */
+export const getImageFormat = (file) => {
+  const type = (file.type || '').toLowerCase();
+  const name = (file.name || '').toLowerCase();
+  const entry = Object.entries(IMAGE_FORMATS).find(([, format]) => (
+    format.types.includes(type) || format.extensions.some((extension) => name.endsWith(extension))
+  ));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * 读取Blob为数据URL
+ * @param {Blob} blob - 数据
+ * @returns {Promise<string>}
+ */
+const readAsDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * 将位图绘制为PNG数据URL
+ * @param {ImageBitmap} bitmap - 位图
+ * @returns {string}
+ */
+const bitmapToPng = (bitmap) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * 用浏览器解码图片，确认浏览器支持该格式
+ * @param {Blob} blob - 图片数据
+ * @param {string} label - 格式名称，用于错误提示
+ * @param {string} name - 文件名，用于错误提示
+ * @returns {Promise<ImageBitmap>} - 解码后的位图，用完后需要调用 close()
+ */
+const decodeBitmap = async (blob, label, name) => {
+  try {
+    return await createImageBitmap(blob);
+  } catch (error) {
+    throw new Error(`浏览器无法解码${label}图片“${name}”，请转换为PNG或JPEG后再试`);
+  }
+};
+
+/**
+ * 读取文件为页面使用的图片对象
+ * PNG、JPEG、WebP和AVIF保持原样；HEIC转换为PNG（浏览器大多不能直接显示）；GIF只取第一帧并转换为PNG。
+ * @param {File} file - 图片文件
+ * @returns {Promise<{file: File, dataUrl: string, name: string, type: string, size: number}>}
+ *   - type 为 dataUrl 的实际类型，size 为原文件大小
+ * @throws {Error} - 格式不受支持或无法解码时，错误信息说明原因
+ */
+export const readImageFile = async (file) => {
+  const format = getImageFormat(file);
+  if (!format) {
+    throw new Error(`不支持的文件格式“${file.name}”，请选择 ${SUPPORTED_LABELS} 图片`);
+  }
+  const { label } = IMAGE_FORMATS[format];
+
+  let dataUrl;
+  if (format === 'heic') {
+    // 按需加载HEIC解码器（WebAssembly），只有上传HEIC时才下载
+    const { heicTo } = await import('heic-to/next');
+    let png;
+    try {
+      png = await heicTo({ blob: file, type: 'image/png' });
+    } catch (error) {
+      throw new Error(`HEIC图片“${file.name}”解码失败，请在手机上改为“兼容性最佳”格式后重新截图`);
+    }
+    dataUrl = await readAsDataUrl(png);
+  } else if (format === 'png' || format === 'jpeg') {
+    dataUrl = await readAsDataUrl(file);
+  } else {
+    const bitmap = await decodeBitmap(file, label, file.name);
+    try {
+      // GIF只取第一帧（createImageBitmap解码的就是第一帧），避免预览中播放动画
+      dataUrl = format === 'gif' ? bitmapToPng(bitmap) : await readAsDataUrl(file);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  return {
+    file,
+    dataUrl,
+    name: file.name,
+    type: dataUrl.slice(5, dataUrl.indexOf(';')),
+    size: file.size
+  };
+};
+
+/**
+ * 按文件名排序（截图文件名通常包含时间，按其中的数字顺序排列）
+ * @param {Array<File>} files - 图片文件
+ * @returns {Array<File>} - 排序后的新数组
+ */
+export const sortImageFiles = (files) => {
+  return [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+};
+
+/**
+ * 从剪贴板数据中取出图片文件，截图工具复制的图片通常没有有意义的文件名，按粘贴时间命名
+ * @param {DataTransfer} clipboardData - 粘贴事件的剪贴板数据
+ * @returns {Array<File>}
+ */
+export const getClipboardImages = (clipboardData) => {
+  if (!clipboardData) {
+    return [];
+  }
+
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return Array.from(clipboardData.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.getAsFile())
+    .filter((file) => file && getImageFormat(file))
+    .map((file, index, files) => {
+      if (file.name && file.name !== 'image.png') {
+        return file;
+      }
+      const extension = IMAGE_FORMATS[getImageFormat(file)].extensions[0];
+      const suffix = files.length > 1 ? `-${index + 1}` : '';
+      return new File([file], `粘贴的图片-${stamp}${suffix}${extension}`, { type: file.type });
+    });
+};
@@ -1,416 +1,1307 @@
-import { PDFDocument } from 'pdf-lib';
+import {
+  PDFDocument,
+  PDFName,
+  PDFHexString,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  TextRenderingMode,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextRenderingMode,
+  setCharacterSqueeze,
+  setTextMatrix,
+  showText
+} from 'pdf-lib';
+import {
+  createPixels,
+  cropPixels,
+  findSplitLines,
+  processSlicePixels,
+  applyFilters,
+  prepareOutputPixels,
+  getOutputFormat,
+  getOutputAttempts,
+  isLosslessOutput,
+  detectBackgroundColor,
+  getStripHeight,
+  fitsCanvas,
+  splitOversizeRanges,
+  createImageDecodeError,
+  readRedactedRows,
+  DEFAULT_FILTERS
+} from './pixelOps.js';
+import { detectLayout, planSlices } from './screenBands.js';
+import { drawPageDecorations, hasPageDecorations, needsEmbeddedFont, getContentMargins } from './pageDecorations.js';
+import { saveEncryptedPdf } from './pdfEncryption.js';
 
 /**
- * 对图像应用增强锐化效果
+ * 读取画布的像素数据
+ * @param {HTMLCanvasElement} canvas - 画布
+ * @returns {ImageData} - 像素对象
+ */
+const getCanvasPixels = (canvas) => {
+  return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * 将像素对象绘制到新画布
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - 像素对象
+ * @returns {HTMLCanvasElement} - 画布
+ */
+const pixelsToCanvas = (pixels) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = pixels.width;
+  canvas.height = pixels.height;
+  canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+  return canvas;
+};
+
+/**
+ * 将图像元素绘制到画布
+ * @param {HTMLImageElement} img - 图像元素
+ * @returns {HTMLCanvasElement} - 画布
+ */
+const imageToCanvas = (img) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  return canvas;
+};
+
+/**
+ * 按水平条带读取图像元素的像素，每次只使用一块小画布，超长截图也不会超出画布的尺寸限制
+ * @param {HTMLImageElement} img - 图像元素
+ * @param {number} top - 起始行
+ * @param {number} height - 读取的行数
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} - 像素对象
+ */
+const readImagePixels = (img, top = 0, height = img.height) => {
+  const { width } = img;
+  const pixels = createPixels(width, height);
+  const stripHeight = Math.min(getStripHeight(width), height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = stripHeight;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  for (let y = 0; y < height; y += stripHeight) {
+    const rows = Math.min(stripHeight, height - y);
+    ctx.clearRect(0, 0, width, stripHeight);
+    ctx.drawImage(img, 0, top + y, width, rows, 0, 0, width, rows);
+    pixels.data.set(ctx.getImageData(0, 0, width, rows).data, y * width * 4);
+  }
+  return pixels;
+};
+
+/**
+ * 检测图像中与背景色对比明显的水平线作为分割点（深色模式下的浅色线同样有效）
+ * @param {HTMLImageElement} img - 图像元素
+ * @param {number} threshold - 分割线亮度阈值（0-255，越低要求与背景的对比越强）
+ * @param {number} minLineWidth - 最小有效分割线宽度（像素）
+ * @param {number} minLinePercent - 一行中分割线像素所占百分比的最小值，判定为分割线
+ * @returns {Array<number>} - 分割线的Y坐标数组
+ */
+export const detectSplitPoints = (img, threshold = 50, minLineWidth = 2, minLinePercent = 70) => {
+  return findSplitLines(readImagePixels(img), threshold, minLineWidth, minLinePercent);
+};
+
+/**
+ * 从数据URL加载图像
+ * @param {string} dataUrl - 图像的数据URL
+ * @returns {Promise<HTMLImageElement>} - 加载完成的图像元素
+ */
+const loadImage = (dataUrl) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(createImageDecodeError());
+    img.src = dataUrl;
+  });
+};
+
+/**
+ * 将图像按指定宽度绘制到画布（宽度不同的帧会被等比缩放）
+ * @param {HTMLImageElement} img - 图像元素
+ * @param {number} width - 目标宽度
+ * @returns {HTMLCanvasElement} - 绘制后的画布
+ */
+const drawToWidth = (img, width) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(img.height * (width / img.width));
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * 计算每一行的亮度轮廓（将一行分成若干列块，取每块的平均亮度）
  * @param {HTMLCanvasElement} canvas - 包含图像的画布
- * @returns {HTMLCanvasElement} - 锐化后的画布
+ * @param {number} buckets - 每行的列块数量
+ * @returns {Array<Float32Array>} - 每一行的亮度轮廓
  */
-const sharpenImage = (canvas) => {
-  const ctx = canvas.getContext('2d');
+const computeRowProfiles = (canvas, buckets = 16) => {
   const { width, height } = canvas;
+  const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const bucketWidth = width / buckets;
+  const profiles = [];
   
-  // 获取图像数据
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
-  
-  // 创建结果画布
-  const result = document.createElement('canvas');
-  result.width = width;
-  result.height = height;
-  const resultCtx = result.getContext('2d');
-  resultCtx.drawImage(canvas, 0, 0);
-  
-  // 应用多阶段锐化处理
-
-  // 1. 对比度增强
-  const resultData = resultCtx.getImageData(0, 0, width, height);
-  const resultPixels = resultData.data;
-  
-  // 计算平均亮度
-  let totalBrightness = 0;
-  for (let i = 0; i < resultPixels.length; i += 4) {
-    const r = resultPixels[i];
-    const g = resultPixels[i + 1];
-    const b = resultPixels[i + 2];
-    totalBrightness += (r + g + b) / 3;
-  }
-  const avgBrightness = totalBrightness / (width * height);
-  
-  // 对比度因子
-  const contrast = 1.2; // 增加20%对比度
-  
-  // 应用对比度
-  for (let i = 0; i < resultPixels.length; i += 4) {
-    for (let c = 0; c < 3; c++) {
-      const val = resultPixels[i + c];
-      // 对比度公式: (val - avgBrightness) * contrast + avgBrightness
-      resultPixels[i + c] = Math.max(0, Math.min(255, Math.round((val - avgBrightness) * contrast + avgBrightness)));
+  for (let y = 0; y < height; y++) {
+    const profile = new Float32Array(buckets);
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      profile[Math.min(buckets - 1, Math.floor(x / bucketWidth))] += (data[index] + data[index + 1] + data[index + 2]) / 3;
     }
+    for (let b = 0; b < buckets; b++) {
+      profile[b] /= bucketWidth;
+    }
+    profiles.push(profile);
   }
   
-  resultCtx.putImageData(resultData, 0, 0);
+  return profiles;
+};
+
+/**
+ * 判断两行的亮度轮廓是否一致
+ * @param {Float32Array} a - 第一行的亮度轮廓
+ * @param {Float32Array} b - 第二行的亮度轮廓
+ * @param {number} tolerance - 每个列块允许的亮度差
+ * @returns {boolean}
+ */
+const rowsMatch = (a, b, tolerance = 6) => {
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > tolerance) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * 判断一行是否为纯色（纯色行与任何纯色行都能匹配，不能作为重叠依据）
+ * @param {Float32Array} profile - 行的亮度轮廓
+ * @returns {boolean}
+ */
+const isFlatRow = (profile) => {
+  let min = 255;
+  let max = 0;
+  for (let i = 0; i < profile.length; i++) {
+    if (profile[i] < min) min = profile[i];
+    if (profile[i] > max) max = profile[i];
+  }
+  return max - min < 4;
+};
+
+// 匹配比例相差不超过该值（百分点）时视为相近
+const NEAR_EQUAL_MATCH_PERCENT = 1;
+
+/**
+ * 检测两张连续截图之间的重叠区域
+ * 上一帧的第 (offset + r) 行对应下一帧的第 r 行，逐个尝试滚动偏移量，
+ * 选择有内容的行匹配比例最高的偏移量；比例相近时取较小的偏移量。
+ * @param {HTMLCanvasElement} upper - 上一帧
+ * @param {HTMLCanvasElement} lower - 下一帧（宽度与上一帧相同）
+ * @param {number} minMatchPercent - 有内容的行中匹配行所占百分比的最小值
+ * @returns {{overlap: number, cut: number}} - 重叠的行数，以及上一帧中的拼接位置（没有重叠时两者都等于0或上一帧高度）
+ */
+export const detectOverlap = (upper, lower, minMatchPercent = 80) => {
+  const upperProfiles = computeRowProfiles(upper);
+  const lowerProfiles = computeRowProfiles(lower);
+  const upperHeight = upperProfiles.length;
+  const lowerHeight = lowerProfiles.length;
   
-  // 2. 锐化处理 (使用UnsharpMask)
-  const blurCanvas = document.createElement('canvas');
-  blurCanvas.width = width;
-  blurCanvas.height = height;
-  const blurCtx = blurCanvas.getContext('2d');
+  let best = null;
   
-  // 绘制原始图像到模糊画布
-  blurCtx.drawImage(result, 0, 0);
+  // 从最小的滚动距离开始尝试（偏移量为0表示两帧完全相同），后面的偏移量只有匹配比例明显更高时才替换：
+  // 较小的滚动距离重叠更多、作为依据的行更多，重复出现的内容（相同的聊天气泡等）不容易造成误判
+  for (let offset = 1; offset < upperHeight; offset++) {
+    const overlapHeight = Math.min(upperHeight - offset, lowerHeight);
+    let contentRows = 0;
+    let matchedRows = 0;
+    
+    for (let r = 0; r < overlapHeight; r++) {
+      const upperRow = upperProfiles[offset + r];
+      if (isFlatRow(upperRow)) {
+        continue;
+      }
+      contentRows++;
+      if (rowsMatch(upperRow, lowerProfiles[r])) {
+        matchedRows++;
+      }
+    }
+    
+    // 至少需要20行有内容的行作为依据，避免把少量偶然相同的行当作重叠
+    if (contentRows < 20) {
+      continue;
+    }
+    
+    const matchPercent = (matchedRows / contentRows) * 100;
+    if (matchPercent >= minMatchPercent && (!best || matchPercent > best.matchPercent + NEAR_EQUAL_MATCH_PERCENT)) {
+      best = { offset, matchPercent };
+    }
+  }
   
-  // 应用模糊效果
-  blurCtx.filter = 'blur(2px)';
-  blurCtx.drawImage(blurCanvas, 0, 0);
-  blurCtx.filter = 'none';
+  if (!best) {
+    return { overlap: 0, cut: upperHeight };
+  }
   
-  // 获取模糊后的图像数据
-  const blurData = blurCtx.getImageData(0, 0, width, height);
-  const blurPixels = blurData.data;
+  const overlap = upperHeight - best.offset;
   
-  // 获取当前锐化后的图像数据
-  const sharpData = resultCtx.getImageData(0, 0, width, height);
-  const sharpPixels = sharpData.data;
+  // 在重叠区域中找离中点最近的一致行作为拼接位置，
+  // 这样上一帧底部的固定栏和下一帧顶部的固定栏都会被丢弃
+  const middle = best.offset + Math.floor(overlap / 2);
+  let cut = middle;
+  for (let d = 0; d < overlap / 2; d++) {
+    const candidates = [middle - d, middle + d];
+    const found = candidates.find((y) => (
+      y >= best.offset && y < upperHeight && y - best.offset < lowerHeight &&
+      rowsMatch(upperProfiles[y], lowerProfiles[y - best.offset], 1)
+    ));
+    if (found !== undefined) {
+      cut = found;
+      break;
+    }
+  }
   
-  // 应用UnsharpMask: 原图 + 系数 * (原图 - 模糊图)
-  const amount = 2.5; // 锐化强度
-  const threshold = 5; // 最小差异阈值
+  return { overlap, cut };
+};
+
+/**
+ * 将多张连续截图拼接为一张长图
+ * @param {Array<string>} dataUrls - 按顺序排列的截图数据URL
+ * @param {Array<number|null>} overlaps - 每个拼接处手动指定的重叠行数，null表示自动检测
+ * @returns {Promise<{dataUrl: string, width: number, height: number, seams: Array<{y: number, overlap: number}>}>}
+ */
+export const stitchImages = async (dataUrls, overlaps = []) => {
+  const images = await Promise.all(dataUrls.map(loadImage));
+  const width = images[0].width;
+  const frames = images.map((img) => drawToWidth(img, width));
   
-  for (let i = 0; i < sharpPixels.length; i += 4) {
-    for (let c = 0; c < 3; c++) {
-      const diff = sharpPixels[i + c] - blurPixels[i + c];
-      
-      // 仅当差异大于阈值时应用锐化
-      if (Math.abs(diff) > threshold) {
-        sharpPixels[i + c] = Math.max(0, Math.min(255, sharpPixels[i + c] + amount * diff));
-      }
+  // 计算每个拼接处的重叠区域
+  const joins = [];
+  for (let i = 1; i < frames.length; i++) {
+    const upper = frames[i - 1];
+    const manualOverlap = overlaps[i - 1];
+    
+    if (manualOverlap !== null && manualOverlap !== undefined) {
+      const overlap = Math.max(0, Math.min(manualOverlap, upper.height, frames[i].height));
+      joins.push({ overlap, cut: upper.height - Math.floor(overlap / 2) });
+    } else {
+      joins.push(detectOverlap(upper, frames[i]));
     }
   }
   
-  // 应用最终锐化结果
-  resultCtx.putImageData(sharpData, 0, 0);
+  // 每一帧保留的行范围：从上一个拼接处之后开始，到下一个拼接处为止
+  const parts = frames.map((frame, i) => {
+    const startY = i > 0 ? joins[i - 1].cut - (frames[i - 1].height - joins[i - 1].overlap) : 0;
+    const endY = i < joins.length ? joins[i].cut : frame.height;
+    return { frame, startY, endY: Math.max(startY, endY) };
+  });
   
-  // 3. 黑色文本增强 (特别针对文档图像)
-  const enhancedData = resultCtx.getImageData(0, 0, width, height);
-  const enhancedPixels = enhancedData.data;
+  const height = parts.reduce((sum, part) => sum + part.endY - part.startY, 0);
+  if (!fitsCanvas(width, height)) {
+    throw new Error(`拼接后的长图（${width} x ${height}）超出了浏览器画布的尺寸限制，请分批拼接`);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
   
-  for (let i = 0; i < enhancedPixels.length; i += 4) {
-    const r = enhancedPixels[i];
-    const g = enhancedPixels[i + 1];
-    const b = enhancedPixels[i + 2];
-    
-    // 检测暗色文本区域
-    if (r < 150 && g < 150 && b < 150) {
-      // 使黑色更黑，增加对比度
-      const darkFactor = 0.8;
-      enhancedPixels[i] = Math.floor(r * darkFactor);
-      enhancedPixels[i + 1] = Math.floor(g * darkFactor);
-      enhancedPixels[i + 2] = Math.floor(b * darkFactor);
+  const seams = [];
+  let y = 0;
+  parts.forEach((part, i) => {
+    const partHeight = part.endY - part.startY;
+    if (partHeight > 0) {
+      ctx.drawImage(
+        part.frame,
+        0, part.startY,
+        width, partHeight,
+        0, y,
+        width, partHeight
+      );
     }
-  }
+    y += partHeight;
+    if (i < joins.length) {
+      seams.push({ y, overlap: joins[i].overlap });
+    }
+  });
   
-  resultCtx.putImageData(enhancedData, 0, 0);
+  return {
+    dataUrl: canvas.toDataURL('image/png'),
+    width,
+    height,
+    seams
+  };
+};
+
+/**
+ * 生成缩略图：按宽度等比缩小，长图只保留顶部
+ * @param {string} dataUrl - 图像的数据URL
+ * @param {number} width - 缩略图宽度
+ * @param {number} maxHeight - 缩略图最大高度
+ * @returns {Promise<string>} - 缩略图的数据URL（JPEG）
+ */
+export const createThumbnail = async (dataUrl, width = 80, maxHeight = 120) => {
+  const img = await loadImage(dataUrl);
+  const scaled = drawToWidth(img, Math.min(width, img.width));
   
-  return result;
+  const canvas = document.createElement('canvas');
+  canvas.width = scaled.width;
+  canvas.height = Math.min(scaled.height, maxHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(scaled, 0, 0);
+  return canvas.toDataURL('image/jpeg', 0.8);
 };
 
 /**
- * 检测图像中的黑色水平线作为分割点
- * @param {HTMLImageElement} img - 图像元素
- * @param {number} threshold - 黑线亮度阈值（0-255，越低表示越黑）
- * @param {number} minLineWidth - 最小有效黑线宽度（像素）
- * @param {number} minLinePercent - 一行中黑色像素所占百分比的最小值，判定为黑线
- * @returns {Array<number>} - 分割线的Y坐标数组
+ * 将切片旋转90度
+ * @param {{dataUrl: string, width: number, height: number}} slice - 切片
+ * @param {number} direction - 1为顺时针，-1为逆时针
+ * @returns {Promise<Object>} - 旋转后的切片（保留书签标题等其他属性）
  */
-export const detectSplitPoints = (img, threshold = 50, minLineWidth = 2, minLinePercent = 70) => {
-  // 创建Canvas来分析图像
+export const rotateSlice = async (slice, direction = 1) => {
+  const img = await loadImage(slice.dataUrl);
   const canvas = document.createElement('canvas');
+  canvas.width = img.height;
+  canvas.height = img.width;
+  
   const ctx = canvas.getContext('2d');
-  canvas.width = img.width;
-  canvas.height = img.height;
-  ctx.drawImage(img, 0, 0);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((direction * Math.PI) / 2);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
   
-  // 获取图像数据
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  const data = imageData.data;
-  const width = imageData.width;
-  const height = imageData.height;
+  return {
+    ...slice,
+    dataUrl: canvas.toDataURL('image/png'),
+    width: slice.height,
+    height: slice.width
+  };
+};
+
+/**
+ * 将两个相邻切片上下合并为一页，宽度不同时较窄的切片居中，两侧用上方切片的背景色填充
+ * @param {{dataUrl: string, width: number, height: number}} upper - 上方切片
+ * @param {{dataUrl: string, width: number, height: number}} lower - 下方切片
+ * @returns {Promise<Object>} - 合并后的切片，书签标题沿用上方切片
+ */
+export const mergeSlices = async (upper, lower) => {
+  const [upperImg, lowerImg] = await Promise.all([loadImage(upper.dataUrl), loadImage(lower.dataUrl)]);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(upperImg.width, lowerImg.width);
+  canvas.height = upperImg.height + lowerImg.height;
   
-  // 存储可能是黑线的行
-  const blackLines = [];
-  let currentLineStart = -1;
+  const { r, g, b } = detectBackgroundColor(getCanvasPixels(imageToCanvas(upperImg)));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(upperImg, Math.floor((canvas.width - upperImg.width) / 2), 0);
+  ctx.drawImage(lowerImg, Math.floor((canvas.width - lowerImg.width) / 2), upperImg.height);
   
-  // 遍历每一行像素
-  for (let y = 0; y < height; y++) {
-    // 计算这一行中黑色像素的数量
-    let blackPixelCount = 0;
-    
-    for (let x = 0; x < width; x++) {
-      const index = (y * width + x) * 4;
-      const r = data[index];
-      const g = data[index + 1];
-      const b = data[index + 2];
-      
-      // 计算亮度 (简化版RGB平均值)
-      const brightness = (r + g + b) / 3;
-      
-      // 如果像素足够黑
-      if (brightness < threshold) {
-        blackPixelCount++;
-      }
+  return {
+    ...upper,
+    dataUrl: canvas.toDataURL('image/png'),
+    width: Math.max(upper.width, lower.width),
+    height: upper.height + lower.height
+  };
+};
+
+/**
+ * 创建取消操作时抛出的错误
+ * @returns {DOMException}
+ */
+const createAbortError = () => new DOMException('操作已取消', 'AbortError');
+
+// Worker脚本加载失败后（例如离线且脚本没有缓存）不再尝试，之后都在主线程中处理
+let imageWorkerFailed = false;
+
+/**
+ * 当前环境能否在Web Worker中处理图像（需要OffscreenCanvas）
+ * @returns {boolean}
+ */
+const canUseImageWorker = () => {
+  return !imageWorkerFailed && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+};
+
+// 是否为Worker脚本加载失败的错误，此时应退回主线程处理
+const isWorkerLoadError = (error) => error && error.name === 'WorkerLoadError';
+
+/**
+ * 在Web Worker中运行图像处理任务，每个任务使用独立的Worker，完成或取消后立即终止
+ * @param {string} type - 任务类型 ('detect', 'slice', 'enhance', 'output')
+ * @param {string|Array<Object>} input - 图像的数据URL，'output' 任务为切片数组
+ * @param {Object} options - 任务选项
+ * @param {Function} onProgress - 进度回调，参数为 { stage, current, total }
+ * @param {AbortSignal} signal - 用于取消任务
+ * @returns {Promise<*>} - 任务结果
+ * @throws {Error} - Worker脚本无法加载时，name 为 'WorkerLoadError'
+ */
+const runImageWorker = (type, input, options, onProgress, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
     }
     
-    // 检查这一行黑色像素的百分比是否超过阈值
-    const blackPixelPercent = (blackPixelCount / width) * 100;
+    const worker = new Worker(new URL('./imageWorker.js', import.meta.url));
+    // Worker开始运行后总会先发出进度或结果消息，在此之前的错误事件说明脚本没有加载
+    let started = false;
+    
+    const handleAbort = () => {
+      worker.terminate();
+      reject(createAbortError());
+    };
+    
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
     
-    // 如果一行中的黑色像素超过设定的百分比，可能是黑线的一部分
-    const isBlackLine = blackPixelPercent > minLinePercent;
+    if (signal) signal.addEventListener('abort', handleAbort);
     
-    // 检测黑线的开始
-    if (isBlackLine && currentLineStart === -1) {
-      currentLineStart = y;
-    } 
-    // 检测黑线的结束
-    else if (!isBlackLine && currentLineStart !== -1) {
-      const lineHeight = y - currentLineStart;
-      // 如果黑线宽度足够
-      if (lineHeight >= minLineWidth) {
-        // 添加黑线的中点作为切割点
-        blackLines.push(Math.floor(currentLineStart + lineHeight / 2));
+    worker.onmessage = ({ data }) => {
+      started = true;
+      if (data.type === 'progress') {
+        onProgress(data);
+      } else if (data.type === 'done') {
+        finish();
+        resolve(data.result);
+      } else {
+        finish();
+        const error = new Error(data.message);
+        error.name = data.name || 'Error';
+        reject(error);
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      if (!started && !event.message) {
+        imageWorkerFailed = true;
+        const error = new Error('图像处理Worker无法加载');
+        error.name = 'WorkerLoadError';
+        reject(error);
+        return;
       }
-      currentLineStart = -1;
+      reject(new Error(event.message || '图像处理失败'));
+    };
+    
+    worker.postMessage({ type, input, options });
+  });
+};
+
+/**
+ * 检测图像的分割点和要去除的状态栏等区域，供预览中显示和手动调整
+ * @param {string} dataUrl - 图像的数据URL
+ * @param {Object} options - 切割选项，与 sliceImage 相同
+ * @param {Function} options.onProgress - 进度回调，参数为 { stage, current, total }
+ * @param {AbortSignal} options.signal - 用于取消检测
+ * @returns {Promise<{splitPoints: Array<number>, bands: Array<{kind: string, startY: number, endY: number}>, lines: Object|null}>}
+ *   - 分割点的Y坐标数组、要去除的区域，以及黑线检测的每行轮廓和候选分割线（都是原图坐标，见 detectLayout）
+ */
+export const detectImageSplits = async (dataUrl, {
+  autoDetectSplits = 'both',
+  splitSensitivity = 50,
+  minLineWidth = 2,
+  minLinePercent = 60,
+  minSplitGap = 50,
+  pageAspect = Math.SQRT2,
+  stripStatusBar = false,
+  stripHeader = false,
+  stripFooter = false,
+  onProgress = () => {},
+  signal
+} = {}) => {
+  const options = {
+    autoDetectSplits,
+    splitSensitivity,
+    minLineWidth,
+    minLinePercent,
+    minSplitGap,
+    pageAspect,
+    stripStatusBar,
+    stripHeader,
+    stripFooter
+  };
+  if (canUseImageWorker()) {
+    try {
+      return await runImageWorker('detect', dataUrl, options, onProgress, signal);
+    } catch (error) {
+      if (!isWorkerLoadError(error)) throw error;
     }
   }
   
-  // 处理图像末尾可能的黑线
-  if (currentLineStart !== -1) {
-    const lineHeight = height - currentLineStart;
-    if (lineHeight >= minLineWidth) {
-      blackLines.push(Math.floor(currentLineStart + lineHeight / 2));
+  const img = await loadImage(dataUrl);
+  return detectLayout(readImagePixels(img), options);
+};
+
+/**
+ * 将图像切割成多个部分用于PDF生成
+ * 支持时在Web Worker中处理，不阻塞页面；否则退回主线程处理。
+ * @param {string} dataUrl - 图像的数据URL
+ * @param {Object} options - 切割选项
+ * @param {Array<number>} options.splitPoints - 手动指定的分割点Y坐标，提供时不再自动检测
+ * @param {string} options.autoDetectSplits - 自动分割方式 ('lines' 黑线, 'whitespace' 空白间隙, 'both' 两者, 'none' 不分割)
+ * @param {number} options.splitSensitivity - 黑线检测灵敏度
+ * @param {number} options.minLineWidth - 最小有效分割线宽度（像素）
+ * @param {number} options.minLinePercent - 分割线像素在一行中的最小百分比
+ * @param {number} options.minSplitGap - 相邻分割线的最小距离（像素）
+ * @param {number} options.pageAspect - 页面内容区域的高宽比，空白分页按此计算目标高度
+ * @param {boolean} options.stripStatusBar - 是否去除顶部的系统状态栏
+ * @param {boolean} options.stripHeader - 是否去除顶部导航栏（包括重复出现的导航栏）
+ * @param {boolean} options.stripFooter - 是否去除底部标签栏（包括重复出现的标签栏）
+ * @param {boolean} options.sharpenImage - 是否应用图像增强
+ * @param {Array<Object>} options.filters - 增强滤镜链，按顺序应用其中启用的滤镜
+ * @param {string} options.trimMode - 裁剪方式 ('each' 逐页裁剪, 'uniform' 统一宽度, 'none' 不裁剪)
+ * @param {number} options.trimTolerance - 裁剪时的颜色容差（0-255）
+ * @param {number} options.trimPadding - 裁剪后保留的边距（像素）
+ * @param {Array<Object>} options.redactions - 打码区域 { x, y, width, height, mode }（原图坐标），切割前应用
+ * @param {Function} options.onProgress - 进度回调，参数为 { stage, current, total }
+ * @param {AbortSignal} options.signal - 用于取消切割
+ * @returns {Promise<Array<{dataUrl: string, width: number, height: number}>>}
+ */
+export const sliceImage = async (dataUrl, { 
+  splitPoints,
+  autoDetectSplits = 'both',
+  splitSensitivity = 50,
+  minLineWidth = 2,
+  minLinePercent = 60,
+  minSplitGap = 50,
+  pageAspect = Math.SQRT2,
+  stripStatusBar = false,
+  stripHeader = false,
+  stripFooter = false,
+  sharpenImage = true,
+  filters = DEFAULT_FILTERS,
+  trimMode = 'each',
+  trimTolerance = 5,
+  trimPadding = 0,
+  redactions = [],
+  onProgress = () => {},
+  signal
+} = {}) => {
+  const options = {
+    splitPoints,
+    autoDetectSplits,
+    splitSensitivity,
+    minLineWidth,
+    minLinePercent,
+    minSplitGap,
+    pageAspect,
+    stripStatusBar,
+    stripHeader,
+    stripFooter,
+    sharpenImage,
+    filters,
+    trimMode,
+    trimTolerance,
+    trimPadding,
+    redactions
+  };
+  if (canUseImageWorker()) {
+    try {
+      return await runImageWorker('slice', dataUrl, options, onProgress, signal);
+    } catch (error) {
+      if (!isWorkerLoadError(error)) throw error;
     }
   }
   
-  // 过滤掉太近的切割点
-  const filteredLines = [];
-  let lastLine = -50; // 初始值设为负数，确保第一个点会被保留
+  // 在浏览器主线程中使用Canvas API读取像素，切割、锐化和裁剪与服务端共用同一套像素运算
+  const img = await loadImage(dataUrl);
+  const { pixels, ranges, columns } = planSlices(readImagePixels(img), options);
   
-  for (const line of blackLines) {
-    if (line - lastLine > 50) { // 确保分割线间至少有50像素的距离
-      filteredLines.push(line);
-      lastLine = line;
+  // 超出画布限制的切片拆分为多段，否则编码结果为空白
+  return splitOversizeRanges(ranges, pixels.width).map(({ startY, endY }) => {
+    const slicePixels = cropPixels(pixels, 0, startY, pixels.width, endY - startY);
+    const canvas = pixelsToCanvas(processSlicePixels(slicePixels, { ...options, columns }));
+    
+    return {
+      dataUrl: canvas.toDataURL('image/png'),
+      width: canvas.width,
+      height: canvas.height
+    };
+  });
+};
+
+/**
+ * 生成图像增强的前后对比：截取原图的一段并打码，分别输出原样和应用滤镜链后的结果
+ * @param {string} dataUrl - 图像的数据URL
+ * @param {Object} options - 对比选项
+ * @param {Array<Object>} options.filters - 增强滤镜链
+ * @param {number} options.top - 截取区域的起始Y坐标
+ * @param {number} options.height - 截取区域的高度
+ * @param {Array<Object>} options.redactions - 打码区域（原图坐标），与生成时一样在对比前遮盖
+ * @param {AbortSignal} options.signal - 用于取消处理
+ * @returns {Promise<{before: string, after: string, top: number, height: number}>}
+ */
+export const previewEnhancement = async (dataUrl, {
+  filters = DEFAULT_FILTERS,
+  top = 0,
+  height = 600,
+  redactions = [],
+  signal
+} = {}) => {
+  const options = { filters, top, height, redactions };
+  if (canUseImageWorker()) {
+    try {
+      return await runImageWorker('enhance', dataUrl, options, () => {}, signal);
+    } catch (error) {
+      if (!isWorkerLoadError(error)) throw error;
     }
   }
   
-  return filteredLines;
+  const img = await loadImage(dataUrl);
+  const regionTop = Math.max(0, Math.min(top, img.height - 1));
+  const regionHeight = Math.min(height, img.height - regionTop);
+  const region = readRedactedRows(
+    (rowTop, rowHeight) => readImagePixels(img, rowTop, rowHeight),
+    img.height,
+    regionTop,
+    regionHeight,
+    redactions
+  );
+  
+  return {
+    before: pixelsToCanvas(region).toDataURL('image/png'),
+    after: pixelsToCanvas(applyFilters(region, filters)).toDataURL('image/png'),
+    top: regionTop,
+    height: regionHeight
+  };
+};
+
+// 常用纸张尺寸（纵向，单位：点）
+export const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A5: [419.53, 595.28],
+  Letter: [612, 792]
 };
 
+// 毫米转点
+const MM_TO_PT = 72 / 25.4;
+
 /**
- * 分析并裁剪图像中的空白区域
- * @param {HTMLCanvasElement} canvas - 包含图像的画布
- * @returns {HTMLCanvasElement} - 裁剪后的画布
+ * 计算页面尺寸
+ * @param {Object} options - 页面选项
+ * @param {string} options.pageSize - 页面大小 ('auto', 'A4', 'A5', 'Letter', 'custom')
+ * @param {string} options.orientation - 页面方向 ('portrait', 'landscape')
+ * @param {number} options.customPageWidth - 自定义页面宽度（毫米）
+ * @param {number} options.customPageHeight - 自定义页面高度（毫米）
+ * @returns {Array<number>|null} - [宽, 高]（点），'auto' 时返回null表示按图片尺寸生成页面
  */
-const trimEmptySpace = (canvas) => {
-  const ctx = canvas.getContext('2d');
-  const { width, height } = canvas;
+export const getPageDimensions = ({
+  pageSize = 'A4',
+  orientation = 'portrait',
+  customPageWidth = 210,
+  customPageHeight = 297
+} = {}) => {
+  let dimensions;
+  if (pageSize === 'custom') {
+    dimensions = [customPageWidth * MM_TO_PT, customPageHeight * MM_TO_PT];
+  } else {
+    dimensions = PAGE_SIZES[pageSize];
+  }
   
-  // 获取图像数据
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
+  if (!dimensions) {
+    return null;
+  }
   
-  // 初始化边界
-  let top = height;
-  let bottom = 0;
-  let left = width;
-  let right = 0;
+  const [short, long] = [Math.min(...dimensions), Math.max(...dimensions)];
+  return orientation === 'landscape' ? [long, short] : [short, long];
+};
+
+/**
+ * 计算页面内容区域（去掉边距和页眉页脚）的高宽比
+ * @param {Object} options - PDF生成选项，与 createPdfFromImages 相同
+ * @returns {number} - 高宽比，按图片尺寸生成页面时使用A系列纸张的比例
+ */
+export const getPageAspect = (options = {}) => {
+  const pageDimensions = getPageDimensions(options);
+  if (!pageDimensions) {
+    return Math.SQRT2;
+  }
   
-  // 检测内容区域边界
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const index = (y * width + x) * 4;
-      // 如果像素不是白色（有内容）
-      if (data[index] < 250 || data[index + 1] < 250 || data[index + 2] < 250 || data[index + 3] > 0) {
-        if (y < top) top = y;
-        if (y > bottom) bottom = y;
-        if (x < left) left = x;
-        if (x > right) right = x;
-      }
-    }
+  const margins = getContentMargins(options);
+  const [pageWidth, pageHeight] = pageDimensions;
+  return (pageHeight - margins.top - margins.bottom) / (pageWidth - margins.left - margins.right);
+};
+
+/**
+ * 将数据URL中的图像嵌入PDF文档
+ * @param {PDFDocument} pdfDoc - PDF文档
+ * @param {string} dataUrl - 图像的数据URL
+ * @returns {Promise<PDFImage>} - 嵌入的图像
+ */
+const embedDataUrl = async (pdfDoc, dataUrl) => {
+  const bytes = Uint8Array.from(atob(dataUrl.split(',')[1]), c => c.charCodeAt(0));
+  if (dataUrl.startsWith('data:image/png')) {
+    return pdfDoc.embedPng(bytes);
   }
+  return pdfDoc.embedJpg(bytes);
+};
+
+/**
+ * 在页面上写入不可见的文字层（OCR识别结果），使PDF可以搜索和复制
+ * @param {PDFPage} page - PDF页面
+ * @param {PDFFont} font - 文字层字体
+ * @param {Array<{text: string, x0: number, y0: number, x1: number, y1: number}>} textLines - 文字行（切片像素坐标）
+ * @param {Object} placement - 切片在页面上的位置
+ * @param {number} placement.x - 图像左下角X坐标（点）
+ * @param {number} placement.y - 图像左下角Y坐标（点）
+ * @param {number} placement.scale - 每像素对应的点数
+ * @param {number} placement.imgHeight - 切片高度（像素）
+ * @param {number} placement.visibleTop - 本页显示的切片起始行
+ * @param {number} placement.visibleBottom - 本页显示的切片结束行
+ */
+const drawTextLayer = (page, font, textLines, { x, y, scale, imgHeight, visibleTop, visibleBottom }) => {
+  const fontKey = page.node.newFontDictionary(font.name, font.ref);
   
-  // 防止没有内容的情况
-  if (top >= bottom || left >= right) {
-    return canvas;
+  for (const line of textLines) {
+    // 一行文字只写在显示它的那一页
+    const centerY = (line.y0 + line.y1) / 2;
+    if (centerY < visibleTop || centerY >= visibleBottom) continue;
+    
+    const fontSize = (line.y1 - line.y0) * scale;
+    const targetWidth = (line.x1 - line.x0) * scale;
+    const textWidth = font.widthOfTextAtSize(line.text, fontSize);
+    if (fontSize <= 0 || textWidth <= 0) continue;
+    
+    page.pushOperators(
+      beginText(),
+      setFontAndSize(fontKey, fontSize),
+      setTextRenderingMode(TextRenderingMode.Invisible),
+      // 水平缩放文字，使选中区域与图像中的文字重合
+      setCharacterSqueeze((targetWidth / textWidth) * 100),
+      setTextMatrix(1, 0, 0, 1, x + line.x0 * scale, y + (imgHeight - line.y1) * scale + fontSize * 0.12),
+      showText(font.encodeText(line.text)),
+      endText()
+    );
+  }
+};
+
+// 页码标签样式对应的PDF编号样式，none 表示只使用前缀
+export const PAGE_LABEL_STYLES = {
+  decimal: 'D',
+  lowerRoman: 'r',
+  upperRoman: 'R',
+  lowerAlpha: 'a',
+  upperAlpha: 'A',
+  none: null
+};
+
+/**
+ * 写入文档信息（标题、作者、主题、关键词）
+ * @param {PDFDocument} pdfDoc - PDF文档
+ * @param {Object} info - 文档信息
+ * @param {string} info.title - 标题
+ * @param {string} info.author - 作者
+ * @param {string} info.subject - 主题
+ * @param {string|Array<string>} info.keywords - 关键词，字符串时按逗号分隔
+ */
+const setDocumentInfo = (pdfDoc, { title, author, subject, keywords }) => {
+  pdfDoc.setCreator('LongShotPDF');
+  if (title) {
+    pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+  }
+  if (author) {
+    pdfDoc.setAuthor(author);
+  }
+  if (subject) {
+    pdfDoc.setSubject(subject);
   }
   
-  // 裁剪内容区域
-  const trimWidth = right - left + 1;
-  const trimHeight = bottom - top + 1;
+  const keywordList = (Array.isArray(keywords) ? keywords : String(keywords || '').split(/[,，]/))
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+  if (keywordList.length > 0) {
+    pdfDoc.setKeywords(keywordList);
+  }
+};
+
+/**
+ * 为每个切片添加一个书签，指向切片的第一页
+ * 文档已有书签（追加到已有PDF时）时，新书签接在原有书签之后。
+ * @param {PDFDocument} pdfDoc - PDF文档
+ * @param {Array<{title: string, pageIndex: number}>} entries - 书签标题和对应的页码（从0开始）
+ */
+const addOutline = (pdfDoc, entries) => {
+  if (entries.length === 0) return;
   
-  const trimmedCanvas = document.createElement('canvas');
-  trimmedCanvas.width = trimWidth;
-  trimmedCanvas.height = trimHeight;
+  const { context, catalog } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const existingRef = catalog.get(PDFName.of('Outlines'));
+  const existing = existingRef instanceof PDFRef ? context.lookup(existingRef) : null;
+  const hasExisting = existing instanceof PDFDict;
+  const outlineRef = hasExisting ? existingRef : context.nextRef();
+  const previousRef = hasExisting ? existing.get(PDFName.of('Last')) : null;
+  const itemRefs = entries.map(() => context.nextRef());
   
-  const trimmedCtx = trimmedCanvas.getContext('2d');
-  trimmedCtx.drawImage(
-    canvas, 
-    left, top, trimWidth, trimHeight,
-    0, 0, trimWidth, trimHeight
-  );
+  entries.forEach(({ title, pageIndex }, index) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: outlineRef,
+      Dest: [pages[pageIndex].ref, 'Fit']
+    });
+    if (index > 0) {
+      item.set(PDFName.of('Prev'), itemRefs[index - 1]);
+    } else if (previousRef instanceof PDFRef) {
+      item.set(PDFName.of('Prev'), previousRef);
+      context.lookup(previousRef, PDFDict).set(PDFName.of('Next'), itemRefs[0]);
+    }
+    if (index < entries.length - 1) {
+      item.set(PDFName.of('Next'), itemRefs[index + 1]);
+    }
+    context.assign(itemRefs[index], item);
+  });
   
-  return trimmedCanvas;
+  if (hasExisting) {
+    if (!(previousRef instanceof PDFRef)) {
+      existing.set(PDFName.of('First'), itemRefs[0]);
+    }
+    const count = existing.lookup(PDFName.of('Count'));
+    existing.set(PDFName.of('Last'), itemRefs[itemRefs.length - 1]);
+    existing.set(PDFName.of('Count'), PDFNumber.of((count instanceof PDFNumber ? Math.max(0, count.asNumber()) : 0) + entries.length));
+  } else {
+    context.assign(outlineRef, context.obj({
+      Type: 'Outlines',
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: entries.length
+    }));
+    catalog.set(PDFName.of('Outlines'), outlineRef);
+  }
+  // 打开文档时显示书签面板
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
 };
 
 /**
- * 将图像切割成多个部分用于PDF生成
- * @param {string} dataUrl - 图像的数据URL
- * @param {Object} options - 切割选项
- * @param {boolean} options.autoDetectSplits - 是否自动检测分割线
- * @param {boolean} options.sharpenImage - 是否应用锐化效果
- * @returns {Promise<Array<{dataUrl: string, width: number, height: number}>>}
+ * 读取文档已有的页码标签范围（包括数字树 Kids 中的范围）
+ * @param {PDFDocument} pdfDoc - PDF文档
+ * @returns {Array<{pageIndex: number, style: PDFName|undefined, prefix: PDFObject|undefined, start: number}>} - 按起始页排序的范围
  */
-export const sliceImage = async (dataUrl, { 
-  autoDetectSplits = true,
-  splitSensitivity = 50,
-  sharpenImage: applySharpen = true
-} = {}) => {
-  // 在浏览器环境中使用Canvas API处理图像
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      const { width, height } = img;
-      const slices = [];
-      
-      // 默认不再考虑最大高度，只基于黑线分割
-      // 如果图像没有可检测到的黑线，则将整个图像作为一个切片返回
-      
-      // 检测黑线分割点
-      const blackThreshold = 120 - splitSensitivity;
-      const splitPoints = detectSplitPoints(img, blackThreshold, 2, 60);
-      
-      // 如果没有找到黑线，返回整张图像
-      if (splitPoints.length === 0) {
-        // 先绘制到canvas上，方便应用锐化和裁剪
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = width;
-        canvas.height = height;
-        ctx.drawImage(img, 0, 0);
-        
-        // 应用锐化效果（如果启用）
-        let processedCanvas = canvas;
-        if (applySharpen) {
-          processedCanvas = sharpenImage(canvas);
-        }
-        
-        // 裁剪空白区域
-        const trimmedCanvas = trimEmptySpace(processedCanvas);
-        
-        slices.push({
-          dataUrl: trimmedCanvas.toDataURL('image/png'),
-          width: trimmedCanvas.width,
-          height: trimmedCanvas.height
+const readPageLabelRanges = (pdfDoc) => {
+  const ranges = [];
+  const visit = (node) => {
+    if (!(node instanceof PDFDict)) return;
+    const nums = node.lookup(PDFName.of('Nums'));
+    if (nums instanceof PDFArray) {
+      for (let i = 0; i + 1 < nums.size(); i += 2) {
+        const pageIndex = nums.lookup(i);
+        const label = nums.lookup(i + 1);
+        if (!(pageIndex instanceof PDFNumber) || !(label instanceof PDFDict)) continue;
+        const style = label.lookup(PDFName.of('S'));
+        const start = label.lookup(PDFName.of('St'));
+        ranges.push({
+          pageIndex: pageIndex.asNumber(),
+          style: style instanceof PDFName ? style : undefined,
+          prefix: label.lookup(PDFName.of('P')),
+          start: start instanceof PDFNumber ? start.asNumber() : 1
         });
-        
-        resolve(slices);
-        return;
       }
-      
-      // 按检测到的黑线分割图像
-      const allSplitPoints = [0, ...splitPoints, height];
-      
-      // 根据分割点创建切片
-      for (let i = 0; i < allSplitPoints.length - 1; i++) {
-        let startY = allSplitPoints[i];
-        let endY = allSplitPoints[i + 1];
-        
-        // 计算切片高度
-        const sliceHeight = endY - startY;
-        
-        // 创建Canvas并绘制切片
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = width;
-        canvas.height = sliceHeight;
-        
-        ctx.drawImage(
-          img, 
-          0, startY, 
-          width, sliceHeight, 
-          0, 0, 
-          width, sliceHeight
-        );
-        
-        // 应用锐化效果（如果启用）
-        let processedCanvas = canvas;
-        if (applySharpen) {
-          processedCanvas = sharpenImage(canvas);
-        }
-        
-        // 裁剪空白区域
-        const trimmedCanvas = trimEmptySpace(processedCanvas);
-        
-        slices.push({
-          dataUrl: trimmedCanvas.toDataURL('image/png'),
-          width: trimmedCanvas.width,
-          height: trimmedCanvas.height
-        });
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        visit(kids.lookup(i));
       }
-      
-      resolve(slices);
-    };
-    
-    img.src = dataUrl;
+    }
+  };
+  visit(pdfDoc.catalog.lookup(PDFName.of('PageLabels')));
+  return ranges.sort((a, b) => a.pageIndex - b.pageIndex);
+};
+
+/**
+ * 设置页码标签（阅读器中显示的页码）
+ * 新页面从 firstPageIndex 开始使用指定的标签；已有PDF原有的页码标签保留，插入位置之后的原有页面接着原来的编号。
+ * @param {PDFDocument} pdfDoc - PDF文档（已加入新页面）
+ * @param {Object|null} pageLabels - 新页面的页码标签，为空时新页面使用阅读器默认的页码
+ * @param {string} pageLabels.style - 编号样式，见 PAGE_LABEL_STYLES
+ * @param {string} pageLabels.prefix - 页码前缀
+ * @param {number} pageLabels.start - 起始编号
+ * @param {Object} position - 新页面在文档中的位置
+ * @param {number} position.firstPageIndex - 第一个新页面的页码（从0开始）
+ * @param {number} position.pageCount - 新页面的数量
+ */
+const setPageLabels = (pdfDoc, pageLabels, { firstPageIndex = 0, pageCount = pdfDoc.getPageCount() } = {}) => {
+  const { style = 'decimal', prefix = '', start = 1 } = pageLabels || {};
+  if (!(style in PAGE_LABEL_STYLES)) {
+    throw new Error(`未知的页码样式: ${style}`);
+  }
+  
+  // 范围中的页码是插入新页面之前的页码
+  const baseRanges = readPageLabelRanges(pdfDoc);
+  if (!pageLabels && baseRanges.length === 0) return;
+  const basePageCount = pdfDoc.getPageCount() - pageCount;
+  
+  // 原有页面的标签，没有页码标签时相当于从1开始的数字页码
+  const baseLabelAt = (pageIndex) => {
+    const range = baseRanges.filter((item) => item.pageIndex <= pageIndex).at(-1);
+    return range
+      ? { style: range.style, prefix: range.prefix, start: range.start + pageIndex - range.pageIndex }
+      : { style: PDFName.of('D'), start: pageIndex + 1 };
+  };
+  
+  const ranges = baseRanges.filter((item) => item.pageIndex < firstPageIndex);
+  if (firstPageIndex > 0 && (ranges.length === 0 || ranges[0].pageIndex > 0)) {
+    ranges.unshift({ pageIndex: 0, ...baseLabelAt(0) });
+  }
+  ranges.push(pageLabels ? {
+    pageIndex: firstPageIndex,
+    style: PAGE_LABEL_STYLES[style] ? PDFName.of(PAGE_LABEL_STYLES[style]) : undefined,
+    prefix: prefix ? PDFHexString.fromText(prefix) : undefined,
+    start: Math.max(1, Math.round(start))
+  } : {
+    pageIndex: firstPageIndex,
+    style: PDFName.of('D'),
+    start: firstPageIndex + 1
+  });
+  if (firstPageIndex < basePageCount) {
+    ranges.push({ pageIndex: firstPageIndex + pageCount, ...baseLabelAt(firstPageIndex) });
+  }
+  baseRanges
+    .filter((item) => item.pageIndex > firstPageIndex)
+    .forEach((item) => ranges.push({ ...item, pageIndex: item.pageIndex + pageCount }));
+  
+  const { context } = pdfDoc;
+  const nums = ranges.flatMap((range) => {
+    const label = context.obj({ St: range.start });
+    if (range.style) {
+      label.set(PDFName.of('S'), range.style);
+    }
+    if (range.prefix) {
+      label.set(PDFName.of('P'), range.prefix);
+    }
+    return [range.pageIndex, label];
   });
+  pdfDoc.catalog.set(PDFName.of('PageLabels'), context.obj({ Nums: nums }));
+};
+
+/**
+ * 读取作为追加目标的已有PDF，返回页数
+ * @param {Uint8Array} pdfBytes - PDF数据
+ * @returns {Promise<number>} - 页数
+ */
+export const getPdfPageCount = async (pdfBytes) => {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBytes);
+  } catch (error) {
+    throw new Error(error.name === 'EncryptedPDFError' ? '不支持加密的PDF文件' : '无法读取PDF文件');
+  }
+  return pdfDoc.getPageCount();
 };
 
 /**
  * 创建包含图像的PDF文档
- * @param {Array<{dataUrl: string, width: number, height: number}>} imageSlices - 图像切片数组
+ * @param {Array<{dataUrl: string, width: number, height: number, textLines?: Array<Object>}>} imageSlices - 图像切片数组，textLines 为OCR识别出的文字行
  * @param {Object} options - PDF生成选项
- * @param {string} options.pageSize - 页面大小 ('A4', 'Letter', 等)
+ * @param {string} options.pageSize - 页面大小 ('auto' 按图片尺寸, 'A4', 'A5', 'Letter', 'custom')
+ * @param {string} options.orientation - 页面方向 ('portrait', 'landscape')
+ * @param {number} options.customPageWidth - 自定义页面宽度（毫米）
+ * @param {number} options.customPageHeight - 自定义页面高度（毫米）
+ * @param {number} options.dpi - 打印分辨率，决定图片的物理尺寸
+ * @param {number} options.imageWidth - 图片的物理宽度（毫米），大于0时代替dpi
  * @param {number} options.margin - 页面边距（点）
+ * @param {Uint8Array} options.textLayerFont - 文字层字体（TTF），切片带有 textLines 或页眉页脚、水印含中文时必须提供
+ * @param {string} options.title - 文档标题
+ * @param {string} options.author - 作者
+ * @param {string} options.subject - 主题
+ * @param {string|Array<string>} options.keywords - 关键词，字符串时按逗号分隔
+ * @param {boolean} options.bookmarks - 是否为每个切片添加书签，书签标题为切片的 title（默认为"切片 N"）
+ * @param {Object} options.pageLabels - 新页面的页码标签 { style, prefix, start }，为空时使用阅读器默认的页码；已有PDF原有的页码标签保留
+ * @param {string} options.header - 页眉模板，可用变量见 TEMPLATE_VARIABLES，页码只计算新生成的页面
+ * @param {string} options.footer - 页脚模板
+ * @param {string} options.headerFooterAlign - 页眉页脚的对齐方式 ('left', 'center', 'right')
+ * @param {number} options.headerFooterSize - 页眉页脚的字号（点）
+ * @param {string} options.fileName - 源文件名，用于模板中的 {file}
+ * @param {Object} options.textWatermark - 文字水印 { text, mode, opacity }，为空时不添加
+ * @param {Object} options.imageWatermark - 图片水印 { dataUrl, opacity, position, width }，dataUrl 为PNG或JPEG，width 为占内容宽度的百分比
+ * @param {Object} options.encryption - 加密选项 { method, userPassword, ownerPassword, permissions }，见 saveEncryptedPdf，为空时不加密
+ * @param {Uint8Array} options.basePdf - 已有的PDF，提供时新页面加入该文档而不是新建文档
+ * @param {number} options.insertAt - 新页面插入到已有PDF的第几页之前（从0开始），为空时追加到末尾
+ * @param {Function} options.onProgress - 进度回调，参数为 { stage, current, total }
+ * @param {AbortSignal} options.signal - 用于取消生成
  * @returns {Promise<Uint8Array>} - PDF文档的二进制数据
  */
-export const createPdfFromImages = async (imageSlices, { pageSize = 'A4', margin = 0 } = {}) => {
+export const createPdfFromImages = async (imageSlices, {
+  pageSize = 'A4',
+  orientation = 'portrait',
+  customPageWidth = 210,
+  customPageHeight = 297,
+  dpi = 150,
+  imageWidth = 0,
+  margin = 0,
+  textLayerFont = null,
+  title = '',
+  author = '',
+  subject = '',
+  keywords = '',
+  bookmarks = false,
+  pageLabels = null,
+  header = '',
+  footer = '',
+  headerFooterAlign = 'center',
+  headerFooterSize = 9,
+  fileName = '',
+  textWatermark = null,
+  imageWatermark = null,
+  encryption = null,
+  basePdf = null,
+  insertAt = null,
+  onProgress = () => {},
+  signal
+} = {}) => {
   const pdfDoc = await PDFDocument.create();
+  const pageDimensions = getPageDimensions({ pageSize, orientation, customPageWidth, customPageHeight });
+  const decorations = { header, footer, headerFooterAlign, headerFooterSize, textWatermark, imageWatermark, title, fileName, margin };
+  // 有页眉页脚时上下边距留出文字的位置
+  const margins = getContentMargins(decorations);
+  
+  // 有OCR结果或页眉页脚、水印含中文时嵌入文字层字体（只嵌入用到的字形）
+  let font = null;
+  const hasTextLayer = imageSlices.some((slice) => slice.textLines && slice.textLines.length > 0);
+  if (hasTextLayer || needsEmbeddedFont(decorations)) {
+    if (!textLayerFont) {
+      throw new Error('缺少文字层字体');
+    }
+    const { default: fontkit } = await import('@pdf-lib/fontkit');
+    pdfDoc.registerFontkit(fontkit);
+    font = await pdfDoc.embedFont(textLayerFont, { subset: true });
+  }
   
-  for (const slice of imageSlices) {
-    // 创建适合图片尺寸的页面而不是固定A4尺寸
+  const outline = [];
+  for (const [index, slice] of imageSlices.entries()) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+    onProgress({ stage: 'pdf', current: index, total: imageSlices.length });
+    outline.push({ title: slice.title || `切片 ${index + 1}`, pageIndex: pdfDoc.getPageCount() });
+    
     const { width: imgWidth, height: imgHeight } = slice;
-    const pageWidth = imgWidth + 2 * margin;
-    const pageHeight = imgHeight + 2 * margin;
+    const image = await embedDataUrl(pdfDoc, slice.dataUrl);
+    const textLines = hasTextLayer ? slice.textLines || [] : [];
+    
+    if (!pageDimensions) {
+      // 创建适合图片尺寸的页面
+      const page = pdfDoc.addPage([imgWidth + margins.left + margins.right, imgHeight + margins.top + margins.bottom]);
+      
+      // 在页面上绘制图像（不进行缩放，保持原始尺寸）
+      page.drawImage(image, {
+        x: margins.left,
+        y: margins.bottom,
+        width: imgWidth,
+        height: imgHeight,
+      });
+      
+      if (textLines.length > 0) {
+        drawTextLayer(page, font, textLines, {
+          x: margins.left,
+          y: margins.bottom,
+          scale: 1,
+          imgHeight,
+          visibleTop: 0,
+          visibleBottom: imgHeight
+        });
+      }
+      continue;
+    }
     
-    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    const [pageWidth, pageHeight] = pageDimensions;
+    const contentWidth = pageWidth - margins.left - margins.right;
+    const contentHeight = pageHeight - margins.top - margins.bottom;
     
-    // 从数据URL加载图像
-    let image;
-    if (slice.dataUrl.startsWith('data:image/png')) {
-      const pngData = slice.dataUrl.split(',')[1];
-      image = await pdfDoc.embedPng(Uint8Array.from(atob(pngData), c => c.charCodeAt(0)));
-    } else {
-      const jpgData = slice.dataUrl.split(',')[1];
-      image = await pdfDoc.embedJpg(Uint8Array.from(atob(jpgData), c => c.charCodeAt(0)));
+    // 按物理宽度或dpi换算缩放比例，超出页面宽度时缩小到页面宽度
+    let scale = imageWidth > 0 ? (imageWidth * MM_TO_PT) / imgWidth : 72 / dpi;
+    scale = Math.min(scale, contentWidth / imgWidth);
+    const drawWidth = imgWidth * scale;
+    const drawHeight = imgHeight * scale;
+    const x = margins.left + (contentWidth - drawWidth) / 2;
+    
+    // 过高的切片延续到后续页面，每页只显示内容区域内的一段
+    const pageCount = Math.max(1, Math.ceil(drawHeight / contentHeight - 0.001));
+    for (let i = 0; i < pageCount; i++) {
+      const page = pdfDoc.addPage([pageWidth, pageHeight]);
+      const top = pageHeight - margins.top;
+      const y = top - drawHeight + i * contentHeight;
+      
+      if (pageCount > 1) {
+        page.pushOperators(
+          pushGraphicsState(),
+          rectangle(margins.left, margins.bottom, contentWidth, contentHeight),
+          clip(),
+          endPath()
+        );
+      }
+      
+      page.drawImage(image, {
+        x,
+        y,
+        width: drawWidth,
+        height: drawHeight,
+      });
+      
+      if (pageCount > 1) {
+        page.pushOperators(popGraphicsState());
+      }
+      
+      if (textLines.length > 0) {
+        drawTextLayer(page, font, textLines, {
+          x,
+          y,
+          scale,
+          imgHeight,
+          visibleTop: (i * contentHeight) / scale,
+          visibleBottom: ((i + 1) * contentHeight) / scale
+        });
+      }
     }
+  }
+  
+  // 页眉页脚和水印画在所有新页面上，页码和总页数只计算新页面
+  if (hasPageDecorations(decorations)) {
+    await drawPageDecorations(pdfDoc, pdfDoc.getPages(), {
+      ...decorations,
+      imageWatermark: imageWatermark && imageWatermark.dataUrl
+        ? { ...imageWatermark, image: await embedDataUrl(pdfDoc, imageWatermark.dataUrl) }
+        : null,
+      font
+    });
+  }
+  
+  // 追加到已有PDF：把新页面复制到已有文档的指定位置
+  let outputDoc = pdfDoc;
+  let firstPageIndex = 0;
+  if (basePdf) {
+    onProgress({ stage: 'merge', current: 0, total: 1 });
+    outputDoc = await PDFDocument.load(basePdf);
+    const basePageCount = outputDoc.getPageCount();
+    firstPageIndex = insertAt === null || insertAt === undefined
+      ? basePageCount
+      : Math.max(0, Math.min(basePageCount, Math.round(insertAt)));
     
-    // 在页面上绘制图像（不进行缩放，保持原始尺寸）
-    page.drawImage(image, {
-      x: margin,
-      y: margin,
-      width: imgWidth,
-      height: imgHeight,
+    // 先写入延迟嵌入的字体，复制的页面才能带上文字层
+    await pdfDoc.flush();
+    const copiedPages = await outputDoc.copyPages(pdfDoc, pdfDoc.getPageIndices());
+    copiedPages.forEach((page, index) => {
+      outputDoc.insertPage(firstPageIndex + index, page);
     });
   }
   
-  return pdfDoc.save();
+  setDocumentInfo(outputDoc, { title, author, subject, keywords });
+  if (bookmarks) {
+    addOutline(outputDoc, outline.map((entry) => ({ ...entry, pageIndex: entry.pageIndex + firstPageIndex })));
+  }
+  setPageLabels(outputDoc, pageLabels, { firstPageIndex, pageCount: pdfDoc.getPageCount() });
+  
+  onProgress({ stage: 'save', current: 0, total: 1 });
+  return encryption ? saveEncryptedPdf(outputDoc, encryption) : outputDoc.save();
 };
 
 /**
- * 从PDF数据创建下载链接
- * @param {Uint8Array} pdfBytes - PDF数据
+ * 按输出选项重新编码切片（格式、JPEG质量、颜色模式、最大宽度）
+ * 切片的 width/height 保持不变，作为PDF中的版面尺寸；缩小宽度只降低图像本身的分辨率。
+ * @param {Array<Object>} imageSlices - 切片数组
+ * @param {Object} outputOptions - 输出选项
+ * @param {string} outputOptions.imageFormat - 输出格式 ('png', 'jpeg')
+ * @param {number} outputOptions.jpegQuality - JPEG质量（0-1）
+ * @param {string} outputOptions.colorMode - 颜色模式 ('color', 'grayscale', 'bw')
+ * @param {number} outputOptions.maxImageWidth - 最大像素宽度，0表示不限制
+ * @param {Object} task - 任务选项
+ * @param {Function} task.onProgress - 进度回调，参数为 { stage, current, total }
+ * @param {AbortSignal} task.signal - 用于取消处理
+ * @returns {Promise<Array<Object>>} - 重新编码后的切片数组
+ */
+export const encodeOutputSlices = async (imageSlices, outputOptions, { onProgress = () => {}, signal } = {}) => {
+  if (isLosslessOutput(outputOptions)) {
+    return imageSlices;
+  }
+  
+  const options = {
+    imageFormat: outputOptions.imageFormat,
+    jpegQuality: outputOptions.jpegQuality,
+    colorMode: outputOptions.colorMode,
+    maxImageWidth: outputOptions.maxImageWidth
+  };
+  if (canUseImageWorker()) {
+    try {
+      return await runImageWorker('output', imageSlices, options, onProgress, signal);
+    } catch (error) {
+      if (!isWorkerLoadError(error)) throw error;
+    }
+  }
+  
+  const format = getOutputFormat(options);
+  const results = [];
+  for (const [index, slice] of imageSlices.entries()) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+    onProgress({ stage: 'compress', current: index, total: imageSlices.length });
+    
+    const img = await loadImage(slice.dataUrl);
+    const pixels = prepareOutputPixels(getCanvasPixels(imageToCanvas(img)), options);
+    results.push({
+      ...slice,
+      dataUrl: pixelsToCanvas(pixels).toDataURL(`image/${format}`, options.jpegQuality)
+    });
+  }
+  return results;
+};
+
+/**
+ * 按输出选项生成PDF；指定目标文件大小时，依次降低JPEG质量、缩小宽度，直到PDF不超过目标大小
+ * @param {Array<Object>} imageSlices - 切片数组
+ * @param {Object} options - PDF生成选项（与 createPdfFromImages 相同）和输出选项（与 encodeOutputSlices 相同）
+ * @param {number} options.targetFileSize - 目标文件大小（字节），0表示不限制
+ * @param {Function} encodeSlices - 切片编码函数，默认为浏览器中的 encodeOutputSlices
+ * @returns {Promise<{pdfBytes: Uint8Array, outputOptions: Object, withinTarget: boolean}>}
+ *   - 生成的PDF、最终使用的输出选项，以及是否满足目标大小（都不满足时返回最小的结果）
+ */
+export const createOutputPdf = async (imageSlices, options = {}, encodeSlices = encodeOutputSlices) => {
+  const {
+    imageFormat = 'png',
+    jpegQuality = 0.85,
+    colorMode = 'color',
+    maxImageWidth = 0,
+    targetFileSize = 0,
+    onProgress,
+    signal
+  } = options;
+  const outputOptions = { imageFormat, jpegQuality, colorMode, maxImageWidth };
+  const imageWidth = Math.max(...imageSlices.map((slice) => slice.width));
+  const attempts = targetFileSize > 0 ? getOutputAttempts(outputOptions, imageWidth) : [outputOptions];
+  
+  let best = null;
+  for (const attempt of attempts) {
+    const encoded = await encodeSlices(imageSlices, attempt, { onProgress, signal });
+    const pdfBytes = await createPdfFromImages(encoded, options);
+    
+    if (!best || pdfBytes.length < best.pdfBytes.length) {
+      best = { pdfBytes, outputOptions: attempt };
+    }
+    if (!(targetFileSize > 0) || pdfBytes.length <= targetFileSize) {
+      return { pdfBytes, outputOptions: attempt, withinTarget: true };
+    }
+  }
+  
+  return { ...best, withinTarget: false };
+};
+
+/**
+ * 从PDF（或导出的压缩包）数据创建下载链接
+ * @param {Uint8Array} pdfBytes - 文件数据
  * @param {string} filename - 文件名
+ * @param {string} mimeType - 文件类型，默认为PDF
  * @returns {string} - 下载链接URL
  */
-export const createDownloadLink = (pdfBytes, filename = 'longshot.pdf') => {
-  const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+export const createDownloadLink = (pdfBytes, filename = 'longshot.pdf', mimeType = 'application/pdf') => {
+  const blob = new Blob([pdfBytes], { type: mimeType });
   return URL.createObjectURL(blob);
 }; 
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * 图像处理Web Worker：在后台线程中解码图像并运行像素运算，避免长截图处理时页面卡死
+ *
+ * 消息格式：
+ * - 收到 { type: 'detect' | 'slice' | 'enhance' | 'output', input, options }，input 为图像数据URL（'output' 为切片数组）
+ * - 发出 { type: 'progress', stage, current, total }、{ type: 'done', result } 或 { type: 'error', name, message }
+ */
+import {
+  createPixels,
+  cropPixels,
+  processSlicePixels,
+  applyFilters,
+  prepareOutputPixels,
+  getOutputFormat,
+  getStripHeight,
+  splitOversizeRanges,
+  createImageDecodeError,
+  readRedactedRows
+} from './pixelOps.js';
+import { detectLayout, planSlices } from './screenBands.js';
+
+const reportProgress = (stage, current = 0, total = 1) => {
+  self.postMessage({ type: 'progress', stage, current, total });
+};
+
+// 解码图像；文件损坏、格式不受支持或尺寸过大时给出明确的错误
+const decodeBitmap = async (dataUrl) => {
+  try {
+    const blob = await (await fetch(dataUrl)).blob();
+    return await createImageBitmap(blob);
+  } catch (error) {
+    throw createImageDecodeError();
+  }
+};
+
+// 按水平条带读取位图的像素，每次只使用一块小的OffscreenCanvas，超长截图也不会超出画布的尺寸限制
+const readBitmapPixels = (bitmap, top = 0, height = bitmap.height) => {
+  const { width } = bitmap;
+  const pixels = createPixels(width, height);
+  const stripHeight = Math.min(getStripHeight(width), height);
+  const canvas = new OffscreenCanvas(width, stripHeight);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  for (let y = 0; y < height; y += stripHeight) {
+    const rows = Math.min(stripHeight, height - y);
+    ctx.clearRect(0, 0, width, stripHeight);
+    ctx.drawImage(bitmap, 0, top + y, width, rows, 0, 0, width, rows);
+    pixels.data.set(ctx.getImageData(0, 0, width, rows).data, y * width * 4);
+  }
+  return pixels;
+};
+
+// 使用ImageBitmap和OffscreenCanvas读取图像像素
+const decodePixels = async (dataUrl) => {
+  const bitmap = await decodeBitmap(dataUrl);
+  try {
+    return readBitmapPixels(bitmap);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// 将像素编码为PNG（或指定格式）数据URL
+const encodePng = async (pixels, type = 'image/png', quality) => {
+  const canvas = new OffscreenCanvas(pixels.width, pixels.height);
+  canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+  const blob = await canvas.convertToBlob({ type, quality });
+  return new FileReaderSync().readAsDataURL(blob);
+};
+
+const detect = async (dataUrl, options) => {
+  reportProgress('decode');
+  const pixels = await decodePixels(dataUrl);
+  reportProgress('detect');
+  return detectLayout(pixels, options);
+};
+
+const slice = async (dataUrl, options) => {
+  reportProgress('decode');
+  const decoded = await decodePixels(dataUrl);
+
+  reportProgress('detect');
+  const { pixels, ranges: plannedRanges, columns } = planSlices(decoded, options);
+  const ranges = splitOversizeRanges(plannedRanges, pixels.width);
+
+  const slices = [];
+  for (let i = 0; i < ranges.length; i++) {
+    const { startY, endY } = ranges[i];
+    const slicePixels = cropPixels(pixels, 0, startY, pixels.width, endY - startY);
+    const processed = processSlicePixels(slicePixels, { ...options, columns }, (stage) => reportProgress(stage, i, ranges.length));
+
+    reportProgress('encode', i, ranges.length);
+    slices.push({
+      dataUrl: await encodePng(processed),
+      width: processed.width,
+      height: processed.height
+    });
+  }
+
+  return slices;
+};
+
+const enhance = async (dataUrl, { filters, top, height, redactions }) => {
+  reportProgress('decode');
+  const bitmap = await decodeBitmap(dataUrl);
+  const regionTop = Math.max(0, Math.min(top, bitmap.height - 1));
+  const regionHeight = Math.min(height, bitmap.height - regionTop);
+  let region;
+  try {
+    // 只读取对比区域（及与之相交的打码区域）的像素
+    region = readRedactedRows(
+      (rowTop, rowHeight) => readBitmapPixels(bitmap, rowTop, rowHeight),
+      bitmap.height,
+      regionTop,
+      regionHeight,
+      redactions
+    );
+  } finally {
+    bitmap.close();
+  }
+
+  reportProgress('sharpen');
+  return {
+    before: await encodePng(region),
+    after: await encodePng(applyFilters(region, filters)),
+    top: regionTop,
+    height: regionHeight
+  };
+};
+
+// 按输出选项重新编码切片，保留切片的版面尺寸和文字层
+const output = async (slices, options) => {
+  const format = getOutputFormat(options);
+  const results = [];
+  for (let i = 0; i < slices.length; i++) {
+    reportProgress('compress', i, slices.length);
+    const pixels = prepareOutputPixels(await decodePixels(slices[i].dataUrl), options);
+    results.push({
+      ...slices[i],
+      dataUrl: await encodePng(pixels, `image/${format}`, options.jpegQuality)
+    });
+  }
+  return results;
+};
+
+const handlers = { detect, slice, enhance, output };
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await handlers[data.type](data.input, data.options);
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', name: error.name, message: error.message });
+  }
+};
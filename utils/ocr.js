@@ -0,0 +1,68 @@
+import { normalizeOcrLanguage, extractTextLines } from './ocrShared.js';
+
+// 本地OCR资源的地址，见 pages/api/ocr-assets
+const ASSET_BASE = '/api/ocr-assets';
+
+/**
+ * 在浏览器中识别切片中的文字，所有资源都从本站加载，不访问外部网络
+ * @param {Array<{dataUrl: string, width: number, height: number}>} imageSlices - 图像切片数组
+ * @param {Object} options - 识别选项
+ * @param {string} options.language - 识别语言，例如 'chi_sim+eng'
+ * @param {Function} options.onProgress - 进度回调，参数为 { stage, current, total }
+ * @param {AbortSignal} options.signal - 用于取消识别
+ * @returns {Promise<Array<Object>>} - 附带 textLines 的切片数组
+ */
+export const recognizeSlices = async (imageSlices, {
+  language = 'chi_sim+eng',
+  onProgress = () => {},
+  signal
+} = {}) => {
+  // 按需加载，未启用OCR时不下载tesseract.js
+  const { createWorker, OEM } = await import('tesseract.js');
+  const base = `${window.location.origin}${ASSET_BASE}`;
+  
+  const worker = await createWorker(normalizeOcrLanguage(language), OEM.LSTM_ONLY, {
+    workerPath: `${base}/worker.min.js`,
+    corePath: `${base}/core`,
+    langPath: `${base}/lang`,
+    workerBlobURL: false
+  });
+  
+  // 取消时立即终止识别中的Worker
+  const handleAbort = () => worker.terminate();
+  if (signal) signal.addEventListener('abort', handleAbort);
+  
+  try {
+    const results = [];
+    for (const [index, slice] of imageSlices.entries()) {
+      if (signal && signal.aborted) {
+        throw new DOMException('操作已取消', 'AbortError');
+      }
+      onProgress({ stage: 'ocr', current: index, total: imageSlices.length });
+      
+      const { data } = await worker.recognize(slice.dataUrl);
+      results.push({ ...slice, textLines: extractTextLines(data) });
+    }
+    return results;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new DOMException('操作已取消', 'AbortError');
+    }
+    throw error;
+  } finally {
+    if (signal) signal.removeEventListener('abort', handleAbort);
+    await worker.terminate();
+  }
+};
+
+/**
+ * 加载隐藏文字层使用的字体
+ * @returns {Promise<Uint8Array>} - 字体文件内容
+ */
+export const loadTextLayerFont = async () => {
+  const response = await fetch(`${ASSET_BASE}/font.ttf`);
+  if (!response.ok) {
+    throw new Error('文字层字体加载失败');
+  }
+  return new Uint8Array(await response.arrayBuffer());
+};
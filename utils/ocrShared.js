@@ -0,0 +1,49 @@
+/**
+ * OCR在浏览器和Node中共用的配置和结果处理
+ */
+
+// 可选的识别语言，对应 @tesseract.js-data 中打包的语言数据
+export const OCR_LANGUAGES = ['chi_sim', 'eng'];
+
+// OCR所需的本地资源（相对于 node_modules），浏览器通过 /api/ocr-assets 获取，Node直接读取
+export const OCR_ASSET_FILES = {
+  'worker.min.js': 'tesseract.js/dist/worker.min.js',
+  'core/tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'core/tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'lang/chi_sim.traineddata.gz': '@tesseract.js-data/chi_sim/4.0.0_best_int/chi_sim.traineddata.gz',
+  'lang/eng.traineddata.gz': '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+  // 隐藏文字层使用的中文字体，生成PDF时只嵌入用到的字形
+  'font.ttf': '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf'
+};
+
+/**
+ * 校验识别语言设置，例如 'chi_sim+eng'
+ * @param {string} language - 识别语言
+ * @returns {string} - 校验后的识别语言
+ */
+export const normalizeOcrLanguage = (language) => {
+  const codes = String(language).split('+').filter((code) => OCR_LANGUAGES.includes(code));
+  if (codes.length === 0) {
+    throw new Error(`不支持的识别语言: ${language}`);
+  }
+  return codes.join('+');
+};
+
+// 中日韩文字及全角标点
+const CJK = '\\u3000-\\u303f\\u3400-\\u9fff\\uff00-\\uffef';
+const CJK_SPACE = new RegExp(`([${CJK}])\\s+(?=[${CJK}])`, 'g');
+
+/**
+ * 从识别结果中提取文字行
+ * 中文按行写入比按词写入更利于搜索整句，中文字符之间多余的空格会被去掉。
+ * @param {Object} data - tesseract.js 的识别结果
+ * @returns {Array<{text: string, x0: number, y0: number, x1: number, y1: number}>} - 文字行及其在切片中的位置（像素）
+ */
+export const extractTextLines = (data) => {
+  return (data.lines || [])
+    .map((line) => ({
+      text: line.text.trim().replace(CJK_SPACE, '$1'),
+      ...line.bbox
+    }))
+    .filter((line) => line.text && line.x1 > line.x0 && line.y1 > line.y0);
+};
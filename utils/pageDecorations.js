@@ -0,0 +1,279 @@
+// 在PDF页面上绘制页眉、页脚、文字水印和图片水印（pdf-lib），浏览器和Node.js中都可以使用
+import { StandardFonts, degrees, rgb } from 'pdf-lib';
+
+// 页眉页脚模板中可用的变量
+export const TEMPLATE_VARIABLES = {
+  title: '文档标题',
+  page: '页码',
+  pages: '总页数',
+  date: '生成日期',
+  file: '源文件名'
+};
+
+// 文字水印的排列方式
+export const WATERMARK_MODES = {
+  diagonal: '居中斜向',
+  tiled: '平铺'
+};
+
+// 图片水印的位置
+export const WATERMARK_POSITIONS = {
+  center: '居中',
+  topLeft: '左上',
+  topRight: '右上',
+  bottomLeft: '左下',
+  bottomRight: '右下'
+};
+
+// 页眉页脚的颜色
+const HEADER_FOOTER_COLOR = rgb(0.4, 0.4, 0.4);
+
+// 文字水印的颜色
+const WATERMARK_COLOR = rgb(0.5, 0.5, 0.5);
+
+// 文字基线到视觉中心的距离（相对字号），用于垂直居中
+const BASELINE_OFFSET = 0.35;
+
+// 标准字体（Helvetica）只能编码WinAnsi字符，其余字符（中文等）需要嵌入字体
+const isStandardFontText = (text) => /^[\x20-\x7e\u00a0-\u00ff]*$/.test(text);
+
+/**
+ * 格式化日期为 YYYY-MM-DD（本地时间）
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+const formatDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * 填充页眉页脚模板，未知的变量保持原样
+ * @param {string} template - 模板，例如 "{title} - {page}/{pages}"
+ * @param {Object} values - 变量值，键见 TEMPLATE_VARIABLES
+ * @returns {string}
+ */
+export const fillTemplate = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    name in TEMPLATE_VARIABLES && values[name] !== undefined ? String(values[name]) : match
+  ));
+};
+
+/**
+ * 列出页面装饰中会绘制的文字（页码和日期用示例值代替）
+ * @param {Object} options - createPdfFromImages 的页眉页脚、水印和标题选项
+ * @returns {Array<string>}
+ */
+const getDecorationTexts = ({ header, footer, textWatermark, title = '', fileName = '' }) => {
+  const sample = { title, file: fileName, page: 1, pages: 1, date: '2000-01-01' };
+  return [
+    header ? fillTemplate(header, sample) : '',
+    footer ? fillTemplate(footer, sample) : '',
+    textWatermark ? textWatermark.text : ''
+  ].filter((text) => text.trim());
+};
+
+/**
+ * 是否需要绘制页面装饰
+ * @param {Object} options - createPdfFromImages 的页眉页脚、水印和标题选项，图片水印为 { dataUrl, ... }
+ * @returns {boolean}
+ */
+export const hasPageDecorations = (options) => {
+  return getDecorationTexts(options).length > 0 || Boolean(options.imageWatermark && options.imageWatermark.dataUrl);
+};
+
+/**
+ * 页面装饰的文字是否需要嵌入字体（标准字体不能显示中文等字符），需要时调用方应提供 textLayerFont
+ * @param {Object} options - createPdfFromImages 的页眉页脚、水印和标题选项
+ * @returns {boolean}
+ */
+export const needsEmbeddedFont = (options) => {
+  return getDecorationTexts(options).some((text) => !isStandardFontText(text));
+};
+
+/**
+ * 页眉或页脚所占的高度（点）：至少为一行文字的两倍，页面边距更大时为整个边距
+ * @param {number} size - 字号（点）
+ * @param {number} margin - 页面边距（点）
+ * @returns {number}
+ */
+const getBandHeight = (size, margin) => Math.max(margin, size * 2);
+
+/**
+ * 计算放置图像的内容区域的边距：有页眉页脚时上下边距至少留出一行文字的位置，文字不会盖住图像
+ * @param {Object} options - createPdfFromImages 的页眉页脚和边距选项 { header, footer, headerFooterSize, margin }
+ * @returns {{top: number, bottom: number, left: number, right: number}} - 各边的边距（点）
+ */
+export const getContentMargins = ({ header = '', footer = '', headerFooterSize = 9, margin = 0 } = {}) => {
+  const band = getBandHeight(headerFooterSize, margin);
+  return {
+    top: header.trim() ? band : margin,
+    bottom: footer.trim() ? band : margin,
+    left: margin,
+    right: margin
+  };
+};
+
+/**
+ * 在页边距中绘制一行页眉或页脚
+ * @param {PDFPage} page - PDF页面
+ * @param {PDFFont} font - 字体
+ * @param {string} text - 文字
+ * @param {Object} placement - 位置
+ * @param {boolean} placement.top - true为页眉，false为页脚
+ * @param {string} placement.align - 对齐方式 ('left', 'center', 'right')
+ * @param {number} placement.size - 字号（点）
+ * @param {number} placement.margin - 页面边距（点）
+ */
+const drawMarginText = (page, font, text, { top, align, size, margin }) => {
+  const { width, height } = page.getSize();
+  const textWidth = font.widthOfTextAtSize(text, size);
+  // 与 getContentMargins 留出的位置一致
+  const band = getBandHeight(size, margin);
+  const inset = Math.max(margin, size);
+
+  let x = (width - textWidth) / 2;
+  if (align === 'left') {
+    x = inset;
+  } else if (align === 'right') {
+    x = width - inset - textWidth;
+  }
+  const center = top ? height - band / 2 : band / 2;
+
+  page.drawText(text, { x, y: center - size * BASELINE_OFFSET, size, font, color: HEADER_FOOTER_COLOR });
+};
+
+/**
+ * 以(cx, cy)为中心绘制旋转的文字
+ * @param {PDFPage} page - PDF页面
+ * @param {PDFFont} font - 字体
+ * @param {string} text - 文字
+ * @param {Object} style - 样式
+ */
+const drawCenteredText = (page, font, text, { cx, cy, size, angle, opacity }) => {
+  // pdf-lib 绕文字起点旋转，把起点从中心沿文字方向反推回去
+  const halfWidth = font.widthOfTextAtSize(text, size) / 2;
+  const rise = size * BASELINE_OFFSET;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  page.drawText(text, {
+    x: cx - halfWidth * cos + rise * sin,
+    y: cy - halfWidth * sin - rise * cos,
+    size,
+    font,
+    color: WATERMARK_COLOR,
+    opacity,
+    rotate: degrees((angle * 180) / Math.PI)
+  });
+};
+
+/**
+ * 绘制文字水印：居中斜向时沿页面对角线放一行大字，平铺时按30度斜排铺满页面
+ * @param {PDFPage} page - PDF页面
+ * @param {PDFFont} font - 字体
+ * @param {Object} watermark - 水印 { text, mode, opacity }
+ */
+const drawTextWatermark = (page, font, { text, mode = 'diagonal', opacity = 0.15 }) => {
+  const { width, height } = page.getSize();
+  const unitWidth = font.widthOfTextAtSize(text, 1);
+
+  if (mode === 'tiled') {
+    const size = Math.max(12, Math.min(width, height) / 16);
+    const angle = Math.PI / 6;
+    const stepX = unitWidth * size + size * 4;
+    const stepY = size * 6;
+    // 旋转后的文字会伸出所在格子，多画一圈保证边缘也被覆盖
+    for (let row = -1, cy = 0; cy <= height + stepY; row++, cy += stepY) {
+      const offset = row % 2 === 0 ? 0 : stepX / 2;
+      for (let cx = -offset; cx <= width + stepX; cx += stepX) {
+        drawCenteredText(page, font, text, { cx, cy, size, angle, opacity });
+      }
+    }
+    return;
+  }
+
+  const angle = Math.atan2(height, width);
+  const diagonal = Math.hypot(width, height);
+  const size = Math.min((diagonal * 0.6) / unitWidth, height / 5);
+  drawCenteredText(page, font, text, { cx: width / 2, cy: height / 2, size, angle, opacity });
+};
+
+/**
+ * 在内容区域（页边距和页眉页脚以内）绘制图片水印
+ * @param {PDFPage} page - PDF页面
+ * @param {PDFImage} image - 嵌入的图片
+ * @param {Object} watermark - 水印 { opacity, position, width }，width 为占内容宽度的百分比
+ * @param {Object} margins - 内容区域的边距，见 getContentMargins
+ */
+const drawImageWatermark = (page, image, { opacity = 0.15, position = 'center', width: widthPercent = 40 }, margins) => {
+  const { width, height } = page.getSize();
+  const contentWidth = width - margins.left - margins.right;
+  const contentHeight = height - margins.top - margins.bottom;
+  const scale = Math.min(
+    (contentWidth * widthPercent) / 100 / image.width,
+    contentHeight / image.height
+  );
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+
+  let x = margins.left + (contentWidth - drawWidth) / 2;
+  let y = margins.bottom + (contentHeight - drawHeight) / 2;
+  if (position.endsWith('Left')) x = margins.left;
+  if (position.endsWith('Right')) x = width - margins.right - drawWidth;
+  if (position.startsWith('top')) y = height - margins.top - drawHeight;
+  if (position.startsWith('bottom')) y = margins.bottom;
+
+  page.drawImage(image, { x, y, width: drawWidth, height: drawHeight, opacity });
+};
+
+/**
+ * 在页面上绘制页眉、页脚和水印，页码按传入的页面顺序从1开始
+ * @param {PDFDocument} pdfDoc - PDF文档
+ * @param {Array<PDFPage>} pages - 要绘制的页面
+ * @param {Object} options - 装饰选项
+ * @param {string} options.header - 页眉模板，变量见 TEMPLATE_VARIABLES
+ * @param {string} options.footer - 页脚模板
+ * @param {string} options.headerFooterAlign - 页眉页脚的对齐方式 ('left', 'center', 'right')
+ * @param {number} options.headerFooterSize - 页眉页脚的字号（点）
+ * @param {Object} options.textWatermark - 文字水印 { text, mode, opacity }，mode 见 WATERMARK_MODES
+ * @param {Object} options.imageWatermark - 图片水印 { image, opacity, position, width }，image 为已嵌入的 PDFImage
+ * @param {string} options.title - 文档标题，用于 {title}
+ * @param {string} options.fileName - 源文件名，用于 {file}
+ * @param {number} options.margin - 页面边距（点），页眉页脚画在边距中（边距不够时由 getContentMargins 留出位置）
+ * @param {PDFFont} options.font - 嵌入的字体，为空时使用标准字体（只能显示拉丁字符）
+ */
+export const drawPageDecorations = async (pdfDoc, pages, {
+  header = '',
+  footer = '',
+  headerFooterAlign = 'center',
+  headerFooterSize = 9,
+  textWatermark = null,
+  imageWatermark = null,
+  title = '',
+  fileName = '',
+  margin = 0,
+  font = null
+}) => {
+  const textFont = font || await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const values = { title, file: fileName, pages: pages.length, date: formatDate(new Date()) };
+  const watermarkText = textWatermark && textWatermark.text.trim() ? textWatermark.text.trim() : '';
+  const margins = getContentMargins({ header, footer, headerFooterSize, margin });
+
+  pages.forEach((page, index) => {
+    // 水印盖在切片图像上，页眉页脚最后绘制，不会被水印遮住
+    if (imageWatermark && imageWatermark.image) {
+      drawImageWatermark(page, imageWatermark.image, imageWatermark, margins);
+    }
+    if (watermarkText) {
+      drawTextWatermark(page, textFont, { ...textWatermark, text: watermarkText });
+    }
+
+    const pageValues = { ...values, page: index + 1 };
+    [[header, true], [footer, false]].forEach(([template, top]) => {
+      const text = template ? fillTemplate(template, pageValues).trim() : '';
+      if (text) {
+        drawMarginText(page, textFont, text, { top, align: headerFooterAlign, size: headerFooterSize, margin });
+      }
+    });
+  });
+};
@@ -0,0 +1,456 @@
+// PDF标准安全处理器（Standard Security Handler）：用户密码、所有者密码和权限，AES-128（R4）或AES-256（R6）加密
+// 浏览器和Node.js中都可以使用；AES和SHA-2使用WebCrypto，R4密钥计算需要的MD5和RC4在这里实现
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFString,
+  PDFHexString,
+  PDFStream,
+  PDFRawStream
+} from 'pdf-lib';
+
+// 加密方式：显示名称
+export const ENCRYPTION_METHODS = {
+  aes128: 'AES-128',
+  aes256: 'AES-256'
+};
+
+// 权限对应的P值位（从第1位开始计数），未列出的保留位按规范置1
+const PERMISSION_BITS = {
+  printing: [3, 12],       // 打印、高质量打印
+  modifying: [4, 6, 9, 11], // 修改内容、添加注释、填写表单、组装页面
+  copying: [5]             // 复制文字和图像
+};
+
+// 第7、8位和13-32位必须为1；第10位（为辅助功能提取内容）总是允许
+const RESERVED_PERMISSIONS = 0xfffff0c0 | (1 << 9);
+
+// R4中把密码补足到32字节使用的填充串
+const PASSWORD_PADDING = new Uint8Array([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+// MD5每轮的位移量
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// MD5每轮的常量
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+/**
+ * 计算MD5摘要
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Uint8Array} - 16字节摘要
+ */
+const md5 = (bytes) => {
+  const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bytes.length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(offset + g * 4, true)) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  [a0, b0, c0, d0].forEach((value, i) => digestView.setUint32(i * 4, value, true));
+  return digest;
+};
+
+/**
+ * RC4加密（加密和解密相同）
+ * @param {Uint8Array} key - 密钥
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Uint8Array}
+ */
+const rc4 = (key, bytes) => {
+  const state = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) state[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const result = new Uint8Array(bytes.length);
+  for (let n = 0, i = 0, j = 0; n < bytes.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    result[n] = bytes[n] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return result;
+};
+
+// 连接多个字节数组
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+// 字节数组转换为十六进制字符串
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * 创建加密失败的错误（name 为 'PdfEncryptionError'，便于界面显示具体原因）
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+const createEncryptionError = (message) => {
+  const error = new Error(message);
+  error.name = 'PdfEncryptionError';
+  return error;
+};
+
+// 加密使用的WebCrypto，由 loadWebCrypto 在开始加密时设置
+let webCrypto = null;
+
+/**
+ * 加载WebCrypto：浏览器只在安全连接（HTTPS或localhost）中提供；
+ * Node.js 18 没有全局的 crypto，从 node:crypto 读取
+ * @returns {Promise<Crypto>}
+ */
+const loadWebCrypto = async () => {
+  if (webCrypto) return webCrypto;
+  if (globalThis.crypto && globalThis.crypto.subtle) {
+    webCrypto = globalThis.crypto;
+  } else if (typeof window === 'undefined') {
+    webCrypto = (await import(/* webpackIgnore: true */ 'node:crypto')).webcrypto;
+  } else {
+    throw createEncryptionError('浏览器只在HTTPS或localhost页面中提供加密功能，请通过HTTPS访问，或使用服务端接口、命令行加密');
+  }
+  return webCrypto;
+};
+
+// 生成随机字节
+const randomBytes = (length) => webCrypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * AES-CBC加密，按PKCS#7填充
+ * @param {Uint8Array} key - 16或32字节密钥
+ * @param {Uint8Array} iv - 16字节初始向量
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Promise<Uint8Array>}
+ */
+const aesCbc = async (key, iv, bytes) => {
+  const { subtle } = webCrypto;
+  const cryptoKey = await subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+  return new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, bytes));
+};
+
+/**
+ * 不填充的AES-CBC加密，数据长度必须是16的倍数
+ * WebCrypto总是填充，去掉最后多出的填充块即为不填充的结果
+ */
+const aesCbcNoPadding = async (key, iv, bytes) => (await aesCbc(key, iv, bytes)).subarray(0, bytes.length);
+
+// SHA-2摘要
+const sha = async (algorithm, bytes) => new Uint8Array(await webCrypto.subtle.digest(algorithm, bytes));
+
+/**
+ * 计算权限对应的P值（有符号32位整数）
+ * @param {Object} permissions - { printing, copying, modifying }，未提供的项视为允许
+ * @returns {number}
+ */
+const getPermissionValue = (permissions = {}) => {
+  let value = RESERVED_PERMISSIONS;
+  for (const [name, bits] of Object.entries(PERMISSION_BITS)) {
+    if (permissions[name] !== false) {
+      bits.forEach((bit) => {
+        value |= 1 << (bit - 1);
+      });
+    }
+  }
+  return value | 0;
+};
+
+/**
+ * 把R4的密码转换为字节：只能使用Latin-1字符，补足或截断到32字节
+ * @param {string} password - 密码
+ * @returns {Uint8Array}
+ */
+const padPasswordR4 = (password) => {
+  if (/[^\u0000-\u00ff]/.test(password)) {
+    throw createEncryptionError('AES-128加密的密码只能包含英文字母、数字和符号，中文等字符请改用AES-256');
+  }
+  const bytes = Uint8Array.from(password.slice(0, 32), (char) => char.charCodeAt(0));
+  return concatBytes(bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length));
+};
+
+/**
+ * 生成R4（AES-128）的加密字典数据和文件密钥（ISO 32000-1 算法2、3、5）
+ * @param {string} userPassword - 用户密码
+ * @param {string} ownerPassword - 所有者密码
+ * @param {number} permissions - P值
+ * @param {Uint8Array} fileId - 文件标识的第一部分
+ * @returns {{key: Uint8Array, entries: Object}}
+ */
+const createR4Security = (userPassword, ownerPassword, permissions, fileId) => {
+  const userBytes = padPasswordR4(userPassword);
+
+  // O：所有者密码的摘要作为RC4密钥，加密用户密码
+  let ownerKey = md5(padPasswordR4(ownerPassword));
+  for (let i = 0; i < 50; i++) ownerKey = md5(ownerKey);
+  let owner = rc4(ownerKey, userBytes);
+  for (let i = 1; i <= 19; i++) owner = rc4(ownerKey.map((byte) => byte ^ i), owner);
+
+  // 文件密钥
+  const permissionBytes = new Uint8Array(4);
+  new DataView(permissionBytes.buffer).setInt32(0, permissions, true);
+  let key = md5(concatBytes(userBytes, owner, permissionBytes, fileId));
+  for (let i = 0; i < 50; i++) key = md5(key);
+
+  // U：填充串和文件标识的摘要，用文件密钥加密，后16字节任意
+  let user = rc4(key, md5(concatBytes(PASSWORD_PADDING, fileId)));
+  for (let i = 1; i <= 19; i++) user = rc4(key.map((byte) => byte ^ i), user);
+
+  return {
+    key,
+    entries: {
+      V: 4,
+      R: 4,
+      Length: 128,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV2', Length: 16 } },
+      O: owner,
+      U: concatBytes(user, randomBytes(16))
+    }
+  };
+};
+
+/**
+ * R6的密码散列（ISO 32000-2 算法2.B）
+ * @param {Uint8Array} password - UTF-8密码
+ * @param {Uint8Array} salt - 8字节盐
+ * @param {Uint8Array} userKey - 计算所有者密码时为48字节的U，否则为空
+ * @returns {Promise<Uint8Array>} - 32字节散列
+ */
+const hashR6 = async (password, salt, userKey) => {
+  let k = await sha('SHA-256', concatBytes(password, salt, userKey));
+  let e = new Uint8Array(0);
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const block = concatBytes(password, k, userKey);
+    const repeated = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) repeated.set(block, i * block.length);
+
+    e = await aesCbcNoPadding(k.subarray(0, 16), k.subarray(16, 32), repeated);
+    const remainder = e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    k = await sha(['SHA-256', 'SHA-384', 'SHA-512'][remainder], e);
+  }
+  return k.subarray(0, 32);
+};
+
+/**
+ * R6的密码转换为UTF-8字节（规范要求SASLprep，这里用NFKC规范化近似），最多127字节
+ * @param {string} password - 密码
+ * @returns {Uint8Array}
+ */
+const encodePasswordR6 = (password) => new TextEncoder().encode(password.normalize('NFKC')).subarray(0, 127);
+
+/**
+ * 生成R6（AES-256）的加密字典数据和文件密钥
+ * @param {string} userPassword - 用户密码
+ * @param {string} ownerPassword - 所有者密码
+ * @param {number} permissions - P值
+ * @returns {Promise<{key: Uint8Array, entries: Object}>}
+ */
+const createR6Security = async (userPassword, ownerPassword, permissions) => {
+  const key = randomBytes(32);
+  const zeroIv = new Uint8Array(16);
+
+  const userBytes = encodePasswordR6(userPassword);
+  const [userValidationSalt, userKeySalt] = [randomBytes(8), randomBytes(8)];
+  const user = concatBytes(await hashR6(userBytes, userValidationSalt, new Uint8Array(0)), userValidationSalt, userKeySalt);
+  const userEncrypted = await aesCbcNoPadding(await hashR6(userBytes, userKeySalt, new Uint8Array(0)), zeroIv, key);
+
+  const ownerBytes = encodePasswordR6(ownerPassword);
+  const [ownerValidationSalt, ownerKeySalt] = [randomBytes(8), randomBytes(8)];
+  const owner = concatBytes(await hashR6(ownerBytes, ownerValidationSalt, user), ownerValidationSalt, ownerKeySalt);
+  const ownerEncrypted = await aesCbcNoPadding(await hashR6(ownerBytes, ownerKeySalt, user), zeroIv, key);
+
+  // Perms：P值、加密元数据标志和"adb"，用文件密钥以ECB方式加密（单个块的CBC、零向量与ECB相同）
+  const perms = new Uint8Array(16);
+  new DataView(perms.buffer).setInt32(0, permissions, true);
+  perms.set([0xff, 0xff, 0xff, 0xff, 0x54, 0x61, 0x64, 0x62], 4);
+  perms.set(randomBytes(4), 12);
+
+  return {
+    key,
+    entries: {
+      V: 5,
+      R: 6,
+      Length: 256,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+      O: owner,
+      U: user,
+      OE: ownerEncrypted,
+      UE: userEncrypted,
+      Perms: await aesCbcNoPadding(key, zeroIv, perms)
+    }
+  };
+};
+
+/**
+ * 按对象加密字符串和流：AES-CBC，随机初始向量放在密文前面
+ * @param {Uint8Array} bytes - 明文
+ * @param {Uint8Array} objectKey - 对象密钥
+ * @returns {Promise<Uint8Array>}
+ */
+const encryptBytes = async (bytes, objectKey) => {
+  const iv = randomBytes(16);
+  return concatBytes(iv, await aesCbc(objectKey, iv, bytes));
+};
+
+/**
+ * 递归加密对象中的字符串和流内容，返回加密后的对象（字典和数组原地修改）
+ * @param {PDFObject} object - PDF对象
+ * @param {Uint8Array} objectKey - 对象密钥
+ * @returns {Promise<PDFObject>}
+ */
+const encryptObject = async (object, objectKey) => {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(toHex(await encryptBytes(object.asBytes(), objectKey)));
+  }
+  if (object instanceof PDFDict) {
+    for (const [name, value] of object.entries()) {
+      const encrypted = await encryptObject(value, objectKey);
+      if (encrypted !== value) object.set(name, encrypted);
+    }
+    return object;
+  }
+  if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      const value = object.get(i);
+      const encrypted = await encryptObject(value, objectKey);
+      if (encrypted !== value) object.set(i, encrypted);
+    }
+    return object;
+  }
+  if (object instanceof PDFStream) {
+    // 先取出编码后的内容（页面内容流等在这里才压缩），再换成原样输出的流
+    const contents = object.getContents();
+    await encryptObject(object.dict, objectKey);
+    return PDFRawStream.of(object.dict, await encryptBytes(contents, objectKey));
+  }
+  return object;
+};
+
+/**
+ * 加密PDF文档中的所有字符串和流，并写入加密字典；之后应以 saveEncryptedPdf 保存
+ * @param {PDFDocument} pdfDoc - PDF文档（未加密）
+ * @param {Object} options - 加密选项
+ * @param {string} options.method - 加密方式，见 ENCRYPTION_METHODS
+ * @param {string} options.userPassword - 用户密码（打开文件需要），为空时打开不需要密码
+ * @param {string} options.ownerPassword - 所有者密码（解除权限限制需要），为空且限制了权限时使用随机密码
+ * @param {Object} options.permissions - 权限 { printing, copying, modifying }，为false时禁止
+ */
+const encryptPdfDocument = async (pdfDoc, { method = 'aes256', userPassword = '', ownerPassword = '', permissions = {} }) => {
+  if (!ENCRYPTION_METHODS[method]) {
+    throw createEncryptionError(`未知的加密方式: ${method}`);
+  }
+
+  await loadWebCrypto();
+  // 先写入延迟嵌入的字体和图像，之后不能再有未加密的对象加入
+  await pdfDoc.flush();
+  const { context } = pdfDoc;
+  const permissionValue = getPermissionValue(permissions);
+  const restricted = Object.keys(PERMISSION_BITS).some((name) => permissions[name] === false);
+  const owner = ownerPassword || (restricted ? toHex(randomBytes(16)) : userPassword);
+
+  // 文件标识：沿用已有的，没有时随机生成
+  const existingId = context.trailerInfo.ID instanceof PDFArray ? context.trailerInfo.ID.get(0) : null;
+  const fileId = existingId instanceof PDFString || existingId instanceof PDFHexString ? existingId.asBytes() : randomBytes(16);
+  context.trailerInfo.ID = context.obj([PDFHexString.of(toHex(fileId)), PDFHexString.of(toHex(fileId))]);
+
+  const security = method === 'aes128'
+    ? createR4Security(userPassword, owner, permissionValue, fileId)
+    : await createR6Security(userPassword, owner, permissionValue);
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    // R4每个对象使用由对象编号派生的密钥，R6直接使用文件密钥
+    const objectKey = method === 'aes128'
+      ? md5(concatBytes(
+        security.key,
+        [ref.objectNumber, ref.objectNumber >> 8, ref.objectNumber >> 16, ref.generationNumber, ref.generationNumber >> 8].map((byte) => byte & 0xff),
+        [0x73, 0x41, 0x6c, 0x54]
+      ))
+      : security.key;
+    const encrypted = await encryptObject(object, objectKey);
+    if (encrypted !== object) context.assign(ref, encrypted);
+  }
+
+  if (method === 'aes256') {
+    // AES-256属于PDF 2.0，按Adobe扩展级别8声明，1.7的阅读器同样可以识别
+    pdfDoc.catalog.set(PDFName.of('Extensions'), context.obj({ ADBE: { BaseVersion: '1.7', ExtensionLevel: 8 } }));
+  }
+
+  const { entries } = security;
+  const byteEntries = ['O', 'U', 'OE', 'UE', 'Perms'].filter((name) => entries[name]);
+  context.trailerInfo.Encrypt = context.register(context.obj({
+    Filter: 'Standard',
+    ...entries,
+    ...Object.fromEntries(byteEntries.map((name) => [name, PDFHexString.of(toHex(entries[name]))])),
+    P: permissionValue,
+    StmF: 'StdCF',
+    StrF: 'StdCF'
+  }));
+};
+
+/**
+ * 加密并保存PDF文档
+ * 对象流中的内容无法单独加密，保存时不使用对象流；表单外观也不再重新生成，以免加入未加密的对象。
+ * @param {PDFDocument} pdfDoc - PDF文档（未加密）
+ * @param {Object} options - 加密选项，见 encryptPdfDocument
+ * @returns {Promise<Uint8Array>} - 加密后的PDF数据
+ * @throws {Error} - 加密方式未知、AES-128的密码含非Latin-1字符或没有WebCrypto时，name 为 'PdfEncryptionError'
+ */
+export const saveEncryptedPdf = async (pdfDoc, options) => {
+  await encryptPdfDocument(pdfDoc, options);
+  return pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
+};
@@ -0,0 +1,39 @@
+/**
+ * 在浏览器中把PDF的每一页渲染为缩略图
+ * @param {Uint8Array} pdfBytes - PDF数据
+ * @param {Object} options - 渲染选项
+ * @param {number} options.width - 缩略图宽度（像素）
+ * @param {AbortSignal} options.signal - 用于取消渲染
+ * @returns {Promise<Array<{dataUrl: string, width: number, height: number}>>} - 每页的缩略图
+ */
+export const renderPdfThumbnails = async (pdfBytes, { width = 120, signal } = {}) => {
+  // 按需加载，未使用追加功能时不下载pdf.js
+  const pdfjs = await import('pdfjs-dist/build/pdf.js');
+  pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+  // pdf.js会转移传入的缓冲区，传入副本以免原数据失效
+  const pdf = await pdfjs.getDocument({ data: pdfBytes.slice() }).promise;
+  try {
+    const thumbnails = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      if (signal && signal.aborted) {
+        throw new DOMException('操作已取消', 'AbortError');
+      }
+
+      const page = await pdf.getPage(pageNumber);
+      const baseViewport = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: width / baseViewport.width });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+      thumbnails.push({ dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height });
+      page.cleanup();
+    }
+    return thumbnails;
+  } finally {
+    pdf.destroy();
+  }
+};
@@ -0,0 +1,1284 @@
+/**
+ * 纯像素运算，不依赖DOM，浏览器（Canvas ImageData）和Node（sharp raw 输出）共用。
+ * 像素对象的结构与 ImageData 相同: { data: Uint8ClampedArray(RGBA), width, height }
+ */
+
+/**
+ * 创建空白像素对象
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export const createPixels = (width, height) => ({
+  data: new Uint8ClampedArray(width * height * 4),
+  width,
+  height
+});
+
+// 浏览器能可靠创建的最大画布：Safari约1600万像素，Chrome高度不超过32767像素，超出时绘制结果为空白
+const MAX_CANVAS_PIXELS = 16 * 1024 * 1024;
+const MAX_CANVAS_HEIGHT = 32767;
+
+// 读取图像像素时每个水平条带的最大像素数，长截图分条带读取
+const MAX_STRIP_PIXELS = 4 * 1024 * 1024;
+
+/**
+ * 计算按条带读取图像像素时每个条带的高度
+ * @param {number} width - 图像宽度
+ * @returns {number}
+ */
+export const getStripHeight = (width) => Math.max(1, Math.min(4096, Math.floor(MAX_STRIP_PIXELS / width)));
+
+/**
+ * 判断该尺寸的画布能否在浏览器中可靠创建
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {boolean}
+ */
+export const fitsCanvas = (width, height) => height <= MAX_CANVAS_HEIGHT && width * height <= MAX_CANVAS_PIXELS;
+
+/**
+ * 将超出画布限制的切片范围拆分为多段，使每个切片都能在浏览器中编码为图片
+ * （不分割或没有检测到分割线时，整张长截图是一个切片）
+ * @param {Array<{startY: number, endY: number}>} ranges - 切片范围
+ * @param {number} width - 图像宽度
+ * @returns {Array<{startY: number, endY: number}>}
+ */
+export const splitOversizeRanges = (ranges, width) => {
+  const maxHeight = Math.max(1, Math.min(MAX_CANVAS_HEIGHT, Math.floor(MAX_CANVAS_PIXELS / width)));
+  const result = [];
+  for (const { startY, endY } of ranges) {
+    for (let y = startY; y < endY; y += maxHeight) {
+      result.push({ startY: y, endY: Math.min(y + maxHeight, endY) });
+    }
+  }
+  return result;
+};
+
+/**
+ * 创建图像无法解码的错误（name 为 'ImageDecodeError'，便于界面显示具体原因）
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+export const createImageDecodeError = (message = '图片无法解码：文件可能已损坏、格式不受支持，或尺寸超出了浏览器的处理能力') => {
+  const error = new Error(message);
+  error.name = 'ImageDecodeError';
+  return error;
+};
+
+/**
+ * 裁剪像素区域
+ * @param {Object} pixels - 像素对象
+ * @param {number} left - 左边界
+ * @param {number} top - 上边界
+ * @param {number} width - 裁剪宽度
+ * @param {number} height - 裁剪高度
+ * @returns {Object} - 裁剪后的像素对象
+ */
+export const cropPixels = (pixels, left, top, width, height) => {
+  const result = createPixels(width, height);
+  for (let y = 0; y < height; y++) {
+    const start = ((top + y) * pixels.width + left) * 4;
+    result.data.set(pixels.data.subarray(start, start + width * 4), y * width * 4);
+  }
+  return result;
+};
+
+/**
+ * 高斯模糊（可分离卷积，边缘像素取最近值）
+ * @param {Object} pixels - 像素对象
+ * @param {number} sigma - 标准差（像素）
+ * @returns {Object} - 模糊后的像素对象
+ */
+export const gaussianBlur = (pixels, sigma = 2) => {
+  const { width, height, data } = pixels;
+  const radius = Math.ceil(sigma * 2);
+
+  // 预先计算卷积核
+  const kernel = new Float32Array(radius * 2 + 1);
+  let kernelSum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernelSum += kernel[i + radius];
+  }
+  for (let i = 0; i < kernel.length; i++) {
+    kernel[i] /= kernelSum;
+  }
+
+  // 水平方向
+  const temp = new Float32Array(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        const index = (y * width + sx) * 4;
+        const weight = kernel[k + radius];
+        r += data[index] * weight;
+        g += data[index + 1] * weight;
+        b += data[index + 2] * weight;
+      }
+      const index = (y * width + x) * 4;
+      temp[index] = r;
+      temp[index + 1] = g;
+      temp[index + 2] = b;
+    }
+  }
+
+  // 垂直方向
+  const result = createPixels(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        const index = (sy * width + x) * 4;
+        const weight = kernel[k + radius];
+        r += temp[index] * weight;
+        g += temp[index + 1] * weight;
+        b += temp[index + 2] * weight;
+      }
+      const index = (y * width + x) * 4;
+      result.data[index] = r;
+      result.data[index + 1] = g;
+      result.data[index + 2] = b;
+      result.data[index + 3] = data[index + 3];
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 复制像素对象
+ * @param {Object} pixels - 像素对象
+ * @returns {Object} - 新的像素对象
+ */
+const clonePixels = (pixels) => {
+  const result = createPixels(pixels.width, pixels.height);
+  result.data.set(pixels.data);
+  return result;
+};
+
+/**
+ * 对RGB三个通道应用查找表
+ * @param {Object} pixels - 像素对象
+ * @param {Uint8ClampedArray} table - 256项的查找表
+ * @returns {Object} - 处理后的像素对象
+ */
+const applyLookupTable = (pixels, table) => {
+  const result = clonePixels(pixels);
+  const data = result.data;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = table[data[i]];
+    data[i + 1] = table[data[i + 1]];
+    data[i + 2] = table[data[i + 2]];
+  }
+  return result;
+};
+
+/**
+ * 计算每个像素的亮度（ITU-R BT.601 加权）
+ * @param {Object} pixels - 像素对象
+ * @returns {Uint8ClampedArray} - 亮度数组
+ */
+const getLuminance = (pixels) => {
+  const { data, width, height } = pixels;
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    luminance[p] = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+  }
+  return luminance;
+};
+
+/**
+ * 对比度增强：以平均亮度为中心拉伸
+ * @param {Object} pixels - 像素对象
+ * @param {Object} params - 参数
+ * @param {number} params.amount - 对比度因子，1表示不变
+ * @returns {Object} - 处理后的像素对象
+ */
+const contrastFilter = (pixels, { amount }) => {
+  const { data, width, height } = pixels;
+
+  // 计算平均亮度
+  let totalBrightness = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    totalBrightness += (data[i] + data[i + 1] + data[i + 2]) / 3;
+  }
+  const avgBrightness = totalBrightness / (width * height);
+
+  // 对比度公式: (val - avgBrightness) * amount + avgBrightness
+  const table = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    table[v] = Math.round((v - avgBrightness) * amount + avgBrightness);
+  }
+  return applyLookupTable(pixels, table);
+};
+
+/**
+ * USM锐化: 原图 + 强度 * (原图 - 模糊图)，差异不超过阈值的像素保持不变
+ * @param {Object} pixels - 像素对象
+ * @param {Object} params - 参数
+ * @param {number} params.amount - 锐化强度
+ * @param {number} params.radius - 模糊半径（高斯标准差）
+ * @param {number} params.threshold - 最小差异阈值
+ * @returns {Object} - 处理后的像素对象
+ */
+const unsharpFilter = (pixels, { amount, radius, threshold }) => {
+  const result = clonePixels(pixels);
+  const data = result.data;
+  const blurred = gaussianBlur(pixels, radius).data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const diff = data[i + c] - blurred[i + c];
+      if (Math.abs(diff) > threshold) {
+        data[i + c] = data[i + c] + amount * diff;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 暗色文字加深：三个通道都低于阈值的像素按比例压暗（针对文档图像）
+ * @param {Object} pixels - 像素对象
+ * @param {Object} params - 参数
+ * @param {number} params.threshold - 判定为暗色的亮度上限
+ * @param {number} params.factor - 压暗系数，越小越黑
+ * @returns {Object} - 处理后的像素对象
+ */
+const darkBoostFilter = (pixels, { threshold, factor }) => {
+  const result = clonePixels(pixels);
+  const data = result.data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] < threshold && data[i + 1] < threshold && data[i + 2] < threshold) {
+      data[i] = Math.floor(data[i] * factor);
+      data[i + 1] = Math.floor(data[i + 1] * factor);
+      data[i + 2] = Math.floor(data[i + 2] * factor);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 灰度化
+ * @param {Object} pixels - 像素对象
+ * @returns {Object} - 处理后的像素对象
+ */
+const grayscaleFilter = (pixels) => {
+  const result = clonePixels(pixels);
+  const data = result.data;
+  const luminance = getLuminance(pixels);
+
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    data[i] = data[i + 1] = data[i + 2] = luminance[p];
+  }
+
+  return result;
+};
+
+/**
+ * 自适应二值化：像素亮度低于周围窗口平均亮度减去偏移量时变为黑色，否则为白色。
+ * 与全局阈值相比，对光照不均和彩色背景上的文字更稳定。
+ * 使用列累加和滑动窗口计算局部平均值，内存占用只与图像宽度有关。
+ * @param {Object} pixels - 像素对象
+ * @param {Object} params - 参数
+ * @param {number} params.blockSize - 窗口边长（像素，奇数）
+ * @param {number} params.offset - 偏移量，越大保留的黑色越少
+ * @returns {Object} - 处理后的像素对象
+ */
+const binarizeFilter = (pixels, { blockSize, offset }) => {
+  const { width, height } = pixels;
+  const result = clonePixels(pixels);
+  const data = result.data;
+  const luminance = getLuminance(pixels);
+  const radius = Math.floor(blockSize / 2);
+  const columnSums = new Float64Array(width);
+
+  // 初始化第0行对应窗口的列累加和
+  for (let y = 0; y <= Math.min(radius, height - 1); y++) {
+    for (let x = 0; x < width; x++) {
+      columnSums[x] += luminance[y * width + x];
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - radius);
+    const bottom = Math.min(height - 1, y + radius);
+    const rows = bottom - top + 1;
+
+    // 在列累加和上水平滑动窗口
+    let windowSum = 0;
+    for (let x = 0; x <= Math.min(radius, width - 1); x++) {
+      windowSum += columnSums[x];
+    }
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - radius);
+      const right = Math.min(width - 1, x + radius);
+      const mean = windowSum / ((right - left + 1) * rows);
+      const value = luminance[y * width + x] < mean - offset ? 0 : 255;
+      const index = (y * width + x) * 4;
+      data[index] = data[index + 1] = data[index + 2] = value;
+
+      if (x + radius + 1 < width) windowSum += columnSums[x + radius + 1];
+      if (x - radius >= 0) windowSum -= columnSums[x - radius];
+    }
+
+    // 窗口下移一行
+    if (y + radius + 1 < height) {
+      for (let x = 0; x < width; x++) columnSums[x] += luminance[(y + radius + 1) * width + x];
+    }
+    if (y - radius >= 0) {
+      for (let x = 0; x < width; x++) columnSums[x] -= luminance[(y - radius) * width + x];
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 降噪：对每个通道做中值滤波，去除压缩噪点和孤立杂点，同时保留文字边缘
+ * @param {Object} pixels - 像素对象
+ * @param {Object} params - 参数
+ * @param {number} params.radius - 滤波半径（像素）
+ * @returns {Object} - 处理后的像素对象
+ */
+const denoiseFilter = (pixels, { radius }) => {
+  const { data, width, height } = pixels;
+  const result = clonePixels(pixels);
+  const window = new Uint8Array((radius * 2 + 1) ** 2);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        // 插入排序收集窗口内的值，窗口很小时比通用排序快得多
+        let count = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+          const sy = Math.min(height - 1, Math.max(0, y + dy));
+          for (let dx = -radius; dx <= radius; dx++) {
+            const sx = Math.min(width - 1, Math.max(0, x + dx));
+            const value = data[(sy * width + sx) * 4 + c];
+            let j = count++;
+            while (j > 0 && window[j - 1] > value) {
+              window[j] = window[j - 1];
+              j--;
+            }
+            window[j] = value;
+          }
+        }
+        result.data[index + c] = window[count >> 1];
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 伽马校正
+ * @param {Object} pixels - 像素对象
+ * @param {Object} params - 参数
+ * @param {number} params.gamma - 伽马值，大于1提亮，小于1压暗
+ * @returns {Object} - 处理后的像素对象
+ */
+const gammaFilter = (pixels, { gamma }) => {
+  const table = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    table[v] = Math.round(255 * Math.pow(v / 255, 1 / gamma));
+  }
+  return applyLookupTable(pixels, table);
+};
+
+// 各增强滤镜的实现
+const FILTER_FUNCTIONS = {
+  contrast: contrastFilter,
+  unsharp: unsharpFilter,
+  darkBoost: darkBoostFilter,
+  grayscale: grayscaleFilter,
+  binarize: binarizeFilter,
+  denoise: denoiseFilter,
+  gamma: gammaFilter
+};
+
+/**
+ * 增强滤镜的名称和参数定义，供设置界面生成表单和校验参数
+ */
+export const FILTER_DEFINITIONS = {
+  denoise: {
+    label: '降噪',
+    description: '中值滤波，去除压缩噪点',
+    params: {
+      radius: { label: '半径', min: 1, max: 3, step: 1, default: 1 }
+    }
+  },
+  contrast: {
+    label: '对比度',
+    description: '以平均亮度为中心拉伸，1为不变',
+    params: {
+      amount: { label: '强度', min: 0.5, max: 3, step: 0.1, default: 1.2 }
+    }
+  },
+  gamma: {
+    label: '伽马校正',
+    description: '大于1提亮暗部，小于1压暗',
+    params: {
+      gamma: { label: '伽马值', min: 0.2, max: 3, step: 0.1, default: 1 }
+    }
+  },
+  unsharp: {
+    label: 'USM锐化',
+    description: '增强文字和线条边缘',
+    params: {
+      amount: { label: '强度', min: 0, max: 5, step: 0.1, default: 2.5 },
+      radius: { label: '半径', min: 0.5, max: 5, step: 0.5, default: 2 },
+      threshold: { label: '阈值', min: 0, max: 50, step: 1, default: 5 }
+    }
+  },
+  darkBoost: {
+    label: '暗色文字加深',
+    description: '让深色文字更黑',
+    params: {
+      threshold: { label: '暗色上限', min: 0, max: 255, step: 1, default: 150 },
+      factor: { label: '压暗系数', min: 0, max: 1, step: 0.05, default: 0.8 }
+    }
+  },
+  grayscale: {
+    label: '灰度',
+    description: '转为黑白灰度图像',
+    params: {}
+  },
+  binarize: {
+    label: '自适应二值化',
+    description: '按局部亮度转为纯黑白，适合纯文字截图',
+    params: {
+      blockSize: { label: '窗口大小', min: 3, max: 201, step: 2, default: 31 },
+      offset: { label: '偏移量', min: 0, max: 50, step: 1, default: 10 }
+    }
+  }
+};
+
+/**
+ * 获取滤镜的默认参数
+ * @param {string} type - 滤镜类型
+ * @returns {Object} - 参数对象
+ */
+const getDefaultFilterParams = (type) => {
+  const params = {};
+  for (const [name, definition] of Object.entries(FILTER_DEFINITIONS[type].params)) {
+    params[name] = definition.default;
+  }
+  return params;
+};
+
+/**
+ * 默认的增强滤镜链：与原先固定的锐化效果相同（对比度、USM锐化、暗色文字加深），其余滤镜默认关闭
+ */
+export const DEFAULT_FILTERS = ['denoise', 'contrast', 'gamma', 'unsharp', 'darkBoost', 'grayscale', 'binarize'].map((type) => ({
+  type,
+  enabled: ['contrast', 'unsharp', 'darkBoost'].includes(type),
+  params: getDefaultFilterParams(type)
+}));
+
+/**
+ * 校验滤镜链，补全缺少的参数并将参数限制在允许范围内
+ * @param {Array<{type: string, enabled: boolean, params: Object}>} filters - 滤镜链
+ * @returns {Array<{type: string, enabled: boolean, params: Object}>} - 校验后的滤镜链
+ */
+export const normalizeFilters = (filters) => {
+  if (!Array.isArray(filters)) {
+    throw new Error('增强滤镜必须是数组');
+  }
+
+  return filters.map((filter) => {
+    const definition = FILTER_DEFINITIONS[filter && filter.type];
+    if (!definition) {
+      throw new Error(`未知的增强滤镜: ${filter && filter.type}`);
+    }
+
+    const params = {};
+    for (const [name, { min, max, default: defaultValue }] of Object.entries(definition.params)) {
+      const value = Number(filter.params && filter.params[name]);
+      params[name] = Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : defaultValue;
+    }
+
+    return { type: filter.type, enabled: filter.enabled !== false, params };
+  });
+};
+
+/**
+ * 按顺序应用滤镜链中启用的滤镜
+ * @param {Object} pixels - 像素对象
+ * @param {Array<{type: string, enabled: boolean, params: Object}>} filters - 滤镜链
+ * @returns {Object} - 处理后的像素对象
+ */
+export const applyFilters = (pixels, filters = DEFAULT_FILTERS) => {
+  let result = pixels;
+  for (const filter of normalizeFilters(filters)) {
+    if (filter.enabled) {
+      result = FILTER_FUNCTIONS[filter.type](result, filter.params);
+    }
+  }
+  return result;
+};
+
+// 打码方式：纯色填充、模糊、马赛克
+export const REDACTION_MODES = {
+  fill: '填充',
+  blur: '模糊',
+  pixelate: '马赛克'
+};
+
+/**
+ * 校验打码区域，坐标取整；宽高不大于0的区域被去掉
+ * @param {Array<{x: number, y: number, width: number, height: number, mode: string}>} redactions - 打码区域（原图坐标）
+ * @returns {Array<{x: number, y: number, width: number, height: number, mode: string}>} - 校验后的打码区域
+ */
+export const normalizeRedactions = (redactions) => {
+  if (!Array.isArray(redactions)) {
+    throw new Error('打码区域必须是数组');
+  }
+
+  return redactions.map((redaction) => {
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map((name) => Number(redaction && redaction[name]));
+    if (![x, y, width, height].every(Number.isFinite)) {
+      throw new Error('打码区域需要数字类型的 x、y、width、height');
+    }
+    const mode = redaction.mode || 'fill';
+    if (!REDACTION_MODES[mode]) {
+      throw new Error(`未知的打码方式: ${mode}`);
+    }
+    return { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height), mode };
+  }).filter((redaction) => redaction.width > 0 && redaction.height > 0);
+};
+
+/**
+ * 把区域内的像素按块取平均（马赛克），直接修改传入的像素
+ * @param {Object} pixels - 像素对象
+ * @param {number} blockSize - 块大小（像素）
+ */
+const pixelateInPlace = (pixels, blockSize) => {
+  const { width, height, data } = pixels;
+  for (let top = 0; top < height; top += blockSize) {
+    for (let left = 0; left < width; left += blockSize) {
+      const bottom = Math.min(height, top + blockSize);
+      const right = Math.min(width, left + blockSize);
+      const sum = [0, 0, 0, 0];
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const index = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += data[index + c];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const index = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) data[index + c] = sum[c] / count;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 对图像中的区域打码，结果不含区域内的原始像素，之后的切割、增强和输出都基于打码后的像素
+ * 模糊前先按块取平均，避免文字通过反卷积被恢复。
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Array<{x: number, y: number, width: number, height: number, mode: string}>} redactions - 打码区域（原图坐标），mode 见 REDACTION_MODES
+ * @returns {Object} - 打码后的新像素对象，没有区域时原样返回
+ */
+export const applyRedactions = (pixels, redactions = []) => {
+  const regions = normalizeRedactions(redactions)
+    .map((redaction) => {
+      // 限制在图像范围内
+      const left = Math.max(0, redaction.x);
+      const top = Math.max(0, redaction.y);
+      const right = Math.min(pixels.width, redaction.x + redaction.width);
+      const bottom = Math.min(pixels.height, redaction.y + redaction.height);
+      return { left, top, width: right - left, height: bottom - top, mode: redaction.mode };
+    })
+    .filter((region) => region.width > 0 && region.height > 0);
+  if (regions.length === 0) {
+    return pixels;
+  }
+
+  const result = clonePixels(pixels);
+  for (const { left, top, width, height, mode } of regions) {
+    const shortSide = Math.min(width, height);
+    let region = cropPixels(result, left, top, width, height);
+
+    if (mode === 'fill') {
+      for (let i = 0; i < region.data.length; i += 4) {
+        region.data[i] = 0;
+        region.data[i + 1] = 0;
+        region.data[i + 2] = 0;
+        region.data[i + 3] = 255;
+      }
+    } else if (mode === 'pixelate') {
+      pixelateInPlace(region, Math.max(8, Math.round(shortSide / 4)));
+    } else {
+      pixelateInPlace(region, Math.max(4, Math.round(shortSide / 8)));
+      region = gaussianBlur(region, Math.max(6, Math.min(40, shortSide / 4)));
+    }
+
+    for (let y = 0; y < height; y++) {
+      result.data.set(region.data.subarray(y * width * 4, (y + 1) * width * 4), ((top + y) * result.width + left) * 4);
+    }
+  }
+  return result;
+};
+
+/**
+ * 读取图像中的一段并打码，结果与对整张图像打码后再截取这一段相同
+ * 模糊和马赛克的效果取决于整个打码区域，因此与这一段相交的区域会整块读取。
+ * @param {Function} readRows - 读取像素的函数，参数为 (top, height)，返回该范围的像素对象
+ * @param {number} imageHeight - 图像高度
+ * @param {number} top - 这一段的起始Y坐标
+ * @param {number} height - 这一段的高度
+ * @param {Array<Object>} redactions - 打码区域（原图坐标），见 applyRedactions
+ * @returns {Object} - 这一段打码后的像素对象
+ */
+export const readRedactedRows = (readRows, imageHeight, top, height, redactions = []) => {
+  const bottom = top + height;
+  const touching = normalizeRedactions(redactions).filter((redaction) => (
+    redaction.y < bottom && redaction.y + redaction.height > top
+  ));
+  const readTop = Math.max(0, Math.min(top, ...touching.map((redaction) => redaction.y)));
+  const readBottom = Math.min(imageHeight, Math.max(bottom, ...touching.map((redaction) => redaction.y + redaction.height)));
+
+  const pixels = applyRedactions(
+    readRows(readTop, readBottom - readTop),
+    touching.map((redaction) => ({ ...redaction, y: redaction.y - readTop }))
+  );
+  return readTop === top && readBottom === bottom ? pixels : cropPixels(pixels, 0, top - readTop, pixels.width, height);
+};
+
+/**
+ * 检测图像的主要背景色（出现最多的颜色）
+ * 各通道量化到16级后统计，取出现最多的区间中像素的平均颜色；大图按间隔采样。
+ * @param {Object} pixels - 像素对象
+ * @returns {{r: number, g: number, b: number}} - 背景色
+ */
+export const detectBackgroundColor = (pixels) => {
+  const { data, width, height } = pixels;
+  const total = width * height;
+  const step = Math.max(1, Math.floor(total / 500000));
+  const counts = new Uint32Array(4096);
+  const sums = new Float64Array(4096 * 3);
+
+  for (let p = 0; p < total; p += step) {
+    const index = p * 4;
+    const bin = ((data[index] >> 4) << 8) | ((data[index + 1] >> 4) << 4) | (data[index + 2] >> 4);
+    counts[bin]++;
+    sums[bin * 3] += data[index];
+    sums[bin * 3 + 1] += data[index + 1];
+    sums[bin * 3 + 2] += data[index + 2];
+  }
+
+  let best = 0;
+  for (let bin = 1; bin < counts.length; bin++) {
+    if (counts[bin] > counts[best]) best = bin;
+  }
+  if (counts[best] === 0) {
+    return { r: 255, g: 255, b: 255 };
+  }
+
+  return {
+    r: Math.round(sums[best * 3] / counts[best]),
+    g: Math.round(sums[best * 3 + 1] / counts[best]),
+    b: Math.round(sums[best * 3 + 2] / counts[best])
+  };
+};
+
+// 候选分割线被拒绝的原因
+export const LINE_REJECT_REASONS = {
+  tooThin: '线宽小于最小线宽',
+  tooThick: '过粗，可能是导航栏或横幅',
+  tooClose: '与上一条分割线距离过近'
+};
+
+/**
+ * 逐行统计与背景对比明显的像素占比，找出候选分割线并判断是否采用
+ * 浅色背景上的黑线、深色模式下的浅色线以及彩色分隔线都能识别。
+ * 对比度取RGB各通道与背景色差值的最大值，阈值沿用原先的亮度阈值：白色背景上亮度低于 threshold 的灰色像素算作分割线。
+ * 分割线必须是细线：高度超过宽度5%（至少30像素）的色块是导航栏、横幅等内容，不作为分割线。
+ * @param {Object} pixels - 像素对象
+ * @param {Object} options - 检测选项
+ * @param {number} options.threshold - 分割线亮度阈值（0-255，越低要求与背景的对比越强）
+ * @param {number} options.minLineWidth - 最小有效分割线宽度（像素）
+ * @param {number} options.minLinePercent - 一行中分割线像素所占百分比的最小值，判定为分割线
+ * @param {number} options.minGap - 相邻分割线的最小距离（像素）
+ * @param {{r: number, g: number, b: number}} options.background - 背景色，默认自动检测
+ * @returns {{profile: Float32Array, candidates: Array<{y: number, startY: number, endY: number, accepted: boolean, reason: string|null}>, splitPoints: Array<number>}}
+ *   - 每行的分割线像素百分比、候选分割线（reason 为 LINE_REJECT_REASONS 中的键），以及采用的分割点
+ */
+export const analyzeSplitLines = (pixels, {
+  threshold = 50,
+  minLineWidth = 2,
+  minLinePercent = 70,
+  minGap = 50,
+  background = detectBackgroundColor(pixels)
+} = {}) => {
+  const { data, width, height } = pixels;
+
+  // 灰色像素与白色的差值为 255 - 亮度，按此换算出对比度阈值
+  const minContrast = 255 - threshold;
+  const maxLineWidth = Math.max(30, Math.round(width * 0.05));
+
+  const profile = new Float32Array(height);
+  const candidates = [];
+  const splitPoints = [];
+  let lastLine = -minGap; // 初始值设为负数，确保第一条线会被保留
+  let currentLineStart = -1;
+
+  // 判断一段连续的分割线像素行是否为有效分割线，取中点作为切割点
+  const addCandidate = (startY, endY) => {
+    const lineHeight = endY - startY;
+    const y = Math.floor(startY + lineHeight / 2);
+    let reason = null;
+    if (lineHeight < minLineWidth) {
+      reason = 'tooThin';
+    } else if (lineHeight > maxLineWidth) {
+      reason = 'tooThick';
+    } else if (y - lastLine <= minGap) {
+      reason = 'tooClose';
+    } else {
+      splitPoints.push(y);
+      lastLine = y;
+    }
+    candidates.push({ y, startY, endY, accepted: reason === null, reason });
+  };
+
+  // 遍历每一行像素
+  for (let y = 0; y < height; y++) {
+    // 计算这一行中与背景对比明显的像素数量
+    let blackPixelCount = 0;
+
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      const contrast = Math.max(
+        Math.abs(data[index] - background.r),
+        Math.abs(data[index + 1] - background.g),
+        Math.abs(data[index + 2] - background.b)
+      );
+
+      if (contrast > minContrast) {
+        blackPixelCount++;
+      }
+    }
+
+    // 如果一行中的分割线像素超过设定的百分比，可能是分割线的一部分
+    profile[y] = (blackPixelCount / width) * 100;
+    const isBlackLine = profile[y] > minLinePercent;
+
+    // 检测分割线的开始和结束
+    if (isBlackLine && currentLineStart === -1) {
+      currentLineStart = y;
+    } else if (!isBlackLine && currentLineStart !== -1) {
+      addCandidate(currentLineStart, y);
+      currentLineStart = -1;
+    }
+  }
+
+  // 处理图像末尾可能的分割线
+  if (currentLineStart !== -1) {
+    addCandidate(currentLineStart, height);
+  }
+
+  return { profile, candidates, splitPoints };
+};
+
+/**
+ * 检测图像中与背景色对比明显的水平线作为分割点
+ * @param {Object} pixels - 像素对象
+ * @param {number} threshold - 分割线亮度阈值（0-255，越低要求与背景的对比越强）
+ * @param {number} minLineWidth - 最小有效分割线宽度（像素）
+ * @param {number} minLinePercent - 一行中分割线像素所占百分比的最小值，判定为分割线
+ * @param {{r: number, g: number, b: number}} background - 背景色，默认自动检测
+ * @param {number} minGap - 相邻分割线的最小距离（像素）
+ * @returns {Array<number>} - 分割线的Y坐标数组
+ */
+export const findSplitLines = (pixels, threshold = 50, minLineWidth = 2, minLinePercent = 70, background = detectBackgroundColor(pixels), minGap = 50) => {
+  return analyzeSplitLines(pixels, { threshold, minLineWidth, minLinePercent, minGap, background }).splitPoints;
+};
+
+/**
+ * 查找图像中内容区域的边界
+ * 与背景色在任一通道上相差超过容差的不透明像素视为内容，完全透明的像素视为空白。
+ * @param {Object} pixels - 像素对象
+ * @param {Object} options - 检测选项
+ * @param {{r: number, g: number, b: number}} options.background - 背景色，默认自动检测
+ * @param {number} options.tolerance - 颜色容差（0-255）
+ * @returns {{left: number, top: number, right: number, bottom: number}|null} - 内容边界（包含边界行列），没有内容时返回null
+ */
+export const findContentBounds = (pixels, { background = detectBackgroundColor(pixels), tolerance = 5 } = {}) => {
+  const { data, width, height } = pixels;
+
+  // 初始化边界
+  let top = height;
+  let bottom = -1;
+  let left = width;
+  let right = -1;
+
+  // 检测内容区域边界
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      // 如果像素不透明且不是背景色（有内容）
+      if (
+        data[index + 3] > 0 && (
+          Math.abs(data[index] - background.r) > tolerance ||
+          Math.abs(data[index + 1] - background.g) > tolerance ||
+          Math.abs(data[index + 2] - background.b) > tolerance
+        )
+      ) {
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+      }
+    }
+  }
+
+  return bottom === -1 ? null : { left, top, right, bottom };
+};
+
+/**
+ * 计算整张图像内容区域的左右边界（统一宽度模式下所有切片使用相同的左右边界）
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 裁剪选项
+ * @param {number} options.tolerance - 颜色容差
+ * @param {number} options.padding - 内容四周保留的边距（像素）
+ * @returns {{left: number, right: number}|null} - 左右边界（包含边界列），没有内容时返回null
+ */
+export const findContentColumns = (pixels, { tolerance = 5, padding = 0 } = {}) => {
+  const bounds = findContentBounds(pixels, { tolerance });
+  if (!bounds) {
+    return null;
+  }
+  return {
+    left: Math.max(0, bounds.left - padding),
+    right: Math.min(pixels.width - 1, bounds.right + padding)
+  };
+};
+
+/**
+ * 分析并裁剪图像中的空白区域（与背景色相同的边缘）
+ * @param {Object} pixels - 像素对象
+ * @param {Object} options - 裁剪选项
+ * @param {{r: number, g: number, b: number}} options.background - 背景色，默认自动检测
+ * @param {number} options.tolerance - 颜色容差
+ * @param {number} options.padding - 内容四周保留的边距（像素）
+ * @param {{left: number, right: number}} options.columns - 固定的左右边界，提供时只在垂直方向裁剪
+ * @returns {Object} - 裁剪后的像素对象
+ */
+export const trimPixels = (pixels, { background, tolerance = 5, padding = 0, columns = null } = {}) => {
+  const { width, height } = pixels;
+  const bounds = findContentBounds(pixels, { background, tolerance });
+
+  let top = 0;
+  let bottom = height - 1;
+  if (bounds) {
+    top = Math.max(0, bounds.top - padding);
+    bottom = Math.min(height - 1, bounds.bottom + padding);
+  }
+
+  let left = 0;
+  let right = width - 1;
+  if (columns) {
+    left = columns.left;
+    right = columns.right;
+  } else if (bounds) {
+    left = Math.max(0, bounds.left - padding);
+    right = Math.min(width - 1, bounds.right + padding);
+  }
+
+  // 没有需要裁剪的部分
+  if (left === 0 && top === 0 && right === width - 1 && bottom === height - 1) {
+    return pixels;
+  }
+
+  // 裁剪内容区域
+  return cropPixels(pixels, left, top, right - left + 1, bottom - top + 1);
+};
+
+/**
+ * 计算每一行中内容像素所占的百分比
+ * 以每行出现最多的亮度作为该行的背景，与背景亮度差异明显的像素视为内容，
+ * 这样聊天气泡、卡片等非白色背景上的空白行同样会被识别为空白。
+ * @param {Object} pixels - 像素对象
+ * @returns {Float32Array} - 每一行的内容像素百分比
+ */
+export const getRowContentPercents = (pixels) => {
+  const { data, width, height } = pixels;
+  const percents = new Float32Array(height);
+  const histogram = new Uint32Array(32);
+  const brightness = new Uint8Array(width);
+
+  for (let y = 0; y < height; y++) {
+    histogram.fill(0);
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      brightness[x] = (data[index] + data[index + 1] + data[index + 2]) / 3;
+      histogram[brightness[x] >> 3]++;
+    }
+
+    // 出现最多的亮度区间作为背景
+    let background = 0;
+    for (let i = 1; i < histogram.length; i++) {
+      if (histogram[i] > histogram[background]) background = i;
+    }
+
+    // 与背景区间相邻的像素仍算作背景，容忍渐变和压缩噪点
+    let contentCount = 0;
+    for (let x = 0; x < width; x++) {
+      if (Math.abs((brightness[x] >> 3) - background) > 1) {
+        contentCount++;
+      }
+    }
+    percents[y] = (contentCount / width) * 100;
+  }
+
+  return percents;
+};
+
+/**
+ * 查找图像中的空白间隙（连续的几乎没有内容的行）
+ * @param {Object} pixels - 像素对象
+ * @param {number} maxContentPercent - 空白行中内容像素百分比的最大值
+ * @param {number} minGapHeight - 最小有效间隙高度（像素）
+ * @returns {Array<{start: number, end: number}>} - 间隙的起止行（不含end）
+ */
+export const findWhitespaceGaps = (pixels, maxContentPercent = 0.5, minGapHeight = 4) => {
+  const percents = getRowContentPercents(pixels);
+  const gaps = [];
+  let gapStart = -1;
+
+  for (let y = 0; y <= percents.length; y++) {
+    const isBlank = y < percents.length && percents[y] <= maxContentPercent;
+    if (isBlank && gapStart === -1) {
+      gapStart = y;
+    } else if (!isBlank && gapStart !== -1) {
+      if (y - gapStart >= minGapHeight) {
+        gaps.push({ start: gapStart, end: y });
+      }
+      gapStart = -1;
+    }
+  }
+
+  return gaps;
+};
+
+/**
+ * 在空白间隙中选择分页位置，使每页尽量接近目标高度
+ * 分页位置只会落在空白间隙的中间，绝不会切断一行文字；
+ * 目标高度内找不到间隙时，使用之后最近的间隙（该页会超出目标高度）。
+ * @param {Array<{start: number, end: number}>} gaps - 空白间隙
+ * @param {number} startY - 区间起始行
+ * @param {number} endY - 区间结束行
+ * @param {number} targetHeight - 目标页面高度（像素）
+ * @returns {Array<number>} - 分页位置的Y坐标数组
+ */
+export const chooseWhitespaceBreaks = (gaps, startY, endY, targetHeight) => {
+  const breaks = [];
+  let lastBreak = startY;
+
+  while (endY - lastBreak > targetHeight) {
+    // 每页至少占目标高度的一半，避免出现过短的页面
+    const minY = lastBreak + targetHeight / 2;
+    const maxY = lastBreak + targetHeight;
+    // 接近目标高度的范围内，优先选择更大的间隙（段落之间而不是行之间）
+    const preferY = maxY - targetHeight * 0.1;
+    let best = -1;
+    let bestSize = 0;
+
+    for (const gap of gaps) {
+      const y = Math.floor((gap.start + gap.end) / 2);
+      const size = gap.end - gap.start;
+      if (y <= minY || y >= endY) continue;
+      if (y <= maxY) {
+        // 间隙按顺序排列，靠后的更接近目标高度
+        if (y < preferY || best < preferY || size >= bestSize) {
+          best = y;
+          bestSize = size;
+        }
+      } else {
+        if (best === -1) best = y;
+        break;
+      }
+    }
+
+    if (best === -1) break;
+    breaks.push(best);
+    lastBreak = best;
+  }
+
+  return breaks;
+};
+
+/**
+ * 根据切割选项检测分割点，同时返回黑线检测的详细结果
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 切割选项
+ * @param {string} options.autoDetectSplits - 自动分割方式 ('lines' 黑线, 'whitespace' 空白间隙, 'both' 两者, 'none' 不分割)
+ * @param {number} options.splitSensitivity - 黑线检测灵敏度
+ * @param {number} options.minLineWidth - 最小有效分割线宽度（像素）
+ * @param {number} options.minLinePercent - 分割线像素在一行中的最小百分比
+ * @param {number} options.minSplitGap - 相邻分割线的最小距离（像素）
+ * @param {number} options.pageAspect - 页面内容区域的高宽比，用于计算空白分页的目标高度
+ * @returns {{splitPoints: Array<number>, lines: Object|null}}
+ *   - 分割点的Y坐标数组（升序），以及 analyzeSplitLines 的结果（不检测黑线时为null）
+ */
+export const analyzeSplitPoints = (pixels, {
+  autoDetectSplits = 'both',
+  splitSensitivity = 50,
+  minLineWidth = 2,
+  minLinePercent = 60,
+  minSplitGap = 50,
+  pageAspect = Math.SQRT2
+} = {}) => {
+  // 兼容旧的布尔值设置
+  let mode = autoDetectSplits;
+  if (mode === true) mode = 'lines';
+  if (mode === false) mode = 'none';
+
+  // 检测黑线分割点，黑线处总是分页
+  let splitPoints = [];
+  let lines = null;
+  if (mode === 'lines' || mode === 'both') {
+    lines = analyzeSplitLines(pixels, {
+      threshold: 120 - splitSensitivity,
+      minLineWidth,
+      minLinePercent,
+      minGap: minSplitGap
+    });
+    splitPoints = lines.splitPoints;
+  }
+
+  // 在过高的区间内按空白间隙分页
+  if (mode === 'whitespace' || mode === 'both') {
+    const gaps = findWhitespaceGaps(pixels);
+    const targetHeight = Math.round(pixels.width * pageAspect);
+    const bounds = [0, ...splitPoints, pixels.height];
+    const breaks = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      breaks.push(...chooseWhitespaceBreaks(gaps, bounds[i], bounds[i + 1], targetHeight));
+    }
+    splitPoints = [...splitPoints, ...breaks].sort((a, b) => a - b);
+  }
+
+  return { splitPoints, lines };
+};
+
+/**
+ * 根据切割选项检测分割点
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 切割选项，与 analyzeSplitPoints 相同
+ * @returns {Array<number>} - 分割点的Y坐标数组（升序）
+ */
+export const getSplitPoints = (pixels, options = {}) => analyzeSplitPoints(pixels, options).splitPoints;
+
+/**
+ * 计算每个切片的起止行
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 切割选项，与 getSplitPoints 相同
+ * @param {Array<number>} options.splitPoints - 手动指定的分割点，提供时不再自动检测
+ * @returns {Array<{startY: number, endY: number}>} - 切片范围数组
+ */
+export const getSliceRanges = (pixels, { splitPoints, ...options } = {}) => {
+  const points = Array.isArray(splitPoints)
+    ? splitPoints.filter((y) => y > 0 && y < pixels.height).sort((a, b) => a - b)
+    : getSplitPoints(pixels, options);
+
+  const allSplitPoints = [0, ...new Set(points), pixels.height];
+  const ranges = [];
+  for (let i = 0; i < allSplitPoints.length - 1; i++) {
+    ranges.push({ startY: allSplitPoints[i], endY: allSplitPoints[i + 1] });
+  }
+  return ranges;
+};
+
+/**
+ * 对单个切片应用图像增强和空白裁剪
+ * @param {Object} pixels - 切片的像素对象
+ * @param {Object} options - 处理选项
+ * @param {boolean} options.sharpenImage - 是否应用图像增强
+ * @param {Array<Object>} options.filters - 增强滤镜链
+ * @param {string} options.trimMode - 裁剪方式 ('each' 逐页裁剪, 'uniform' 统一宽度, 'none' 不裁剪)
+ * @param {number} options.trimTolerance - 裁剪时的颜色容差
+ * @param {number} options.trimPadding - 裁剪后保留的边距（像素）
+ * @param {{left: number, right: number}} options.columns - 统一宽度模式下所有切片共用的左右边界
+ * @param {Function} onStage - 进入每个处理阶段时的回调，参数为阶段名称 ('sharpen', 'trim')
+ * @returns {Object} - 处理后的像素对象
+ */
+export const processSlicePixels = (pixels, {
+  sharpenImage = true,
+  filters = DEFAULT_FILTERS,
+  trimMode = 'each',
+  trimTolerance = 5,
+  trimPadding = 0,
+  columns = null
+} = {}, onStage = () => {}) => {
+  // 应用图像增强（如果启用）
+  let processed = pixels;
+  if (sharpenImage) {
+    onStage('sharpen');
+    processed = applyFilters(pixels, filters);
+  }
+
+  if (trimMode === 'none') {
+    return processed;
+  }
+
+  // 裁剪空白区域
+  onStage('trim');
+  return trimPixels(processed, {
+    tolerance: trimTolerance,
+    padding: trimPadding,
+    columns: trimMode === 'uniform' ? columns : null
+  });
+};
+
+/**
+ * 按区域平均缩小图像到指定宽度（高度等比缩放），宽度不大于目标时原样返回
+ * @param {Object} pixels - 像素对象
+ * @param {number} targetWidth - 目标宽度
+ * @returns {Object} - 缩小后的像素对象
+ */
+export const resizePixels = (pixels, targetWidth) => {
+  const { data, width, height } = pixels;
+  if (targetWidth <= 0 || targetWidth >= width) {
+    return pixels;
+  }
+
+  const ratio = width / targetWidth;
+  const targetHeight = Math.max(1, Math.round(height / ratio));
+  const result = createPixels(targetWidth, targetHeight);
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor(ty * ratio);
+    const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((ty + 1) * ratio)));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor(tx * ratio);
+      const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((tx + 1) * ratio)));
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const index = (y * width + x) * 4;
+          r += data[index];
+          g += data[index + 1];
+          b += data[index + 2];
+          a += data[index + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const index = (ty * targetWidth + tx) * 4;
+      result.data[index] = r / count;
+      result.data[index + 1] = g / count;
+      result.data[index + 2] = b / count;
+      result.data[index + 3] = a / count;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 将半透明像素合成到白色背景上（JPEG不支持透明度，否则透明区域会变黑）
+ * @param {Object} pixels - 像素对象
+ * @returns {Object} - 不透明的像素对象
+ */
+export const flattenAlpha = (pixels) => {
+  const result = clonePixels(pixels);
+  const data = result.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    data[i] = data[i] * alpha + 255 * (1 - alpha);
+    data[i + 1] = data[i + 1] * alpha + 255 * (1 - alpha);
+    data[i + 2] = data[i + 2] * alpha + 255 * (1 - alpha);
+    data[i + 3] = 255;
+  }
+  return result;
+};
+
+/**
+ * 按输出选项准备要写入PDF的像素：限制最大宽度、转换颜色模式
+ * @param {Object} pixels - 像素对象
+ * @param {Object} options - 输出选项
+ * @param {string} options.imageFormat - 输出格式 ('png', 'jpeg')
+ * @param {string} options.colorMode - 颜色模式 ('color' 彩色, 'grayscale' 灰度, 'bw' 黑白1位)
+ * @param {number} options.maxImageWidth - 最大像素宽度，0表示不限制
+ * @returns {Object} - 处理后的像素对象
+ */
+export const prepareOutputPixels = (pixels, { imageFormat = 'png', colorMode = 'color', maxImageWidth = 0 } = {}) => {
+  let result = resizePixels(pixels, maxImageWidth);
+
+  if (imageFormat === 'jpeg' || colorMode === 'bw') {
+    result = flattenAlpha(result);
+  }
+  if (colorMode === 'grayscale') {
+    result = grayscaleFilter(result);
+  } else if (colorMode === 'bw') {
+    result = binarizeFilter(result, getDefaultFilterParams('binarize'));
+  }
+
+  return result;
+};
+
+/**
+ * 获取实际使用的输出格式：黑白图像总是使用PNG，JPEG压缩纯黑白文字会产生噪点且体积更大
+ * @param {Object} options - 输出选项
+ * @returns {string} - 'png' 或 'jpeg'
+ */
+export const getOutputFormat = ({ imageFormat = 'png', colorMode = 'color' } = {}) => {
+  return colorMode === 'bw' ? 'png' : imageFormat;
+};
+
+/**
+ * 输出选项是否与切片本身相同（PNG、彩色、不缩小），此时无需重新编码
+ * @param {Object} options - 输出选项
+ * @returns {boolean}
+ */
+export const isLosslessOutput = ({ imageFormat = 'png', colorMode = 'color', maxImageWidth = 0 } = {}) => {
+  return imageFormat === 'png' && colorMode === 'color' && !(maxImageWidth > 0);
+};
+
+/**
+ * 生成“目标文件大小”模式依次尝试的输出选项，从接近原设置到压缩最强
+ * 先逐步降低JPEG质量，再逐步缩小宽度
+ * @param {Object} options - 输出选项
+ * @param {number} options.jpegQuality - JPEG质量（0-1）
+ * @param {number} options.maxImageWidth - 最大像素宽度，0表示不限制
+ * @param {number} imageWidth - 切片的最大像素宽度
+ * @returns {Array<Object>} - 输出选项列表
+ */
+export const getOutputAttempts = (options, imageWidth) => {
+  const { jpegQuality = 0.85, maxImageWidth = 0, colorMode = 'color' } = options;
+  const baseWidth = maxImageWidth > 0 ? Math.min(maxImageWidth, imageWidth) : imageWidth;
+  const attempts = [options];
+
+  // 黑白图像只能通过缩小宽度压缩
+  const qualities = colorMode === 'bw'
+    ? [jpegQuality]
+    : [jpegQuality, 0.7, 0.55, 0.4, 0.3].filter((quality) => quality <= jpegQuality);
+
+  for (const scale of [1, 0.75, 0.5, 0.35]) {
+    for (const quality of qualities) {
+      if (scale === 1 && quality === jpegQuality && options.imageFormat === 'jpeg') continue;
+      attempts.push({
+        ...options,
+        imageFormat: 'jpeg',
+        jpegQuality: quality,
+        maxImageWidth: Math.round(baseWidth * scale)
+      });
+    }
+  }
+
+  return attempts;
+};
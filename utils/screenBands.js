@@ -0,0 +1,476 @@
+/**
+ * 检测并去除长截图中的系统状态栏、吸顶导航栏和底部标签栏。
+ * 与 pixelOps 一样是纯像素运算，浏览器、Web Worker 和 Node 共用。
+ * 区域（band）的坐标都是原图中的行号: { kind, startY, endY }（不含endY），
+ * kind 为 'statusBar'（状态栏）、'header'（顶部导航栏）或 'footer'（底部标签栏）。
+ */
+import { createPixels, analyzeSplitPoints, getSliceRanges, findContentColumns, applyRedactions } from './pixelOps.js';
+
+// 两种颜色在RGB各通道上的差异不超过该值时视为同一种背景色
+const COLOR_TOLERANCE = 24;
+
+// 每行亮度轮廓的列块数量，用于比较两行是否相同
+const PROFILE_BUCKETS = 16;
+
+/**
+ * 分析每一行的背景色和内容占比
+ * 背景色取该行出现最多的颜色（各通道量化到16级后统计），与背景色差异明显的像素视为内容。
+ * @param {Object} pixels - 像素对象
+ * @returns {{colors: Uint8Array, percents: Float32Array}} - 每行背景色（RGB连续存放）和内容像素百分比
+ */
+const analyzeRows = (pixels) => {
+  const { data, width, height } = pixels;
+  const colors = new Uint8Array(height * 3);
+  const percents = new Float32Array(height);
+  const counts = new Uint32Array(4096);
+  const touched = [];
+
+  for (let y = 0; y < height; y++) {
+    touched.length = 0;
+    let best = 0;
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      const bin = ((data[index] >> 4) << 8) | ((data[index + 1] >> 4) << 4) | (data[index + 2] >> 4);
+      if (counts[bin] === 0) touched.push(bin);
+      counts[bin]++;
+      if (counts[bin] > counts[best]) best = bin;
+    }
+
+    // 取出现最多的颜色区间的中心作为背景色
+    const r = ((best >> 8) << 4) + 8;
+    const g = (((best >> 4) & 15) << 4) + 8;
+    const b = ((best & 15) << 4) + 8;
+    colors[y * 3] = r;
+    colors[y * 3 + 1] = g;
+    colors[y * 3 + 2] = b;
+
+    let contentCount = 0;
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      if (
+        Math.abs(data[index] - r) > COLOR_TOLERANCE ||
+        Math.abs(data[index + 1] - g) > COLOR_TOLERANCE ||
+        Math.abs(data[index + 2] - b) > COLOR_TOLERANCE
+      ) {
+        contentCount++;
+      }
+    }
+    percents[y] = (contentCount / width) * 100;
+
+    for (const bin of touched) counts[bin] = 0;
+  }
+
+  return { colors, percents };
+};
+
+/**
+ * 判断两行的背景色是否相同
+ * @param {Uint8Array} colors - 每行背景色
+ * @param {number} a - 第一行
+ * @param {number} b - 第二行
+ * @returns {boolean}
+ */
+const sameBackground = (colors, a, b) => {
+  for (let c = 0; c < 3; c++) {
+    if (Math.abs(colors[a * 3 + c] - colors[b * 3 + c]) > COLOR_TOLERANCE) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * 找出整张图像中最常见的行背景色所在的一行，作为页面主体背景的代表
+ * @param {Uint8Array} colors - 每行背景色
+ * @param {number} height - 行数
+ * @returns {number} - 代表行的行号
+ */
+const findPageBackgroundRow = (colors, height) => {
+  const counts = new Map();
+  let bestKey = -1;
+  let bestRow = 0;
+  for (let y = 0; y < height; y++) {
+    const key = (colors[y * 3] << 16) | (colors[y * 3 + 1] << 8) | colors[y * 3 + 2];
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    if (bestKey === -1 || count > counts.get(bestKey)) {
+      bestKey = key;
+      bestRow = y;
+    }
+  }
+  return bestRow;
+};
+
+/**
+ * 检测顶部的系统状态栏
+ * 状态栏位于图像最上方，高度约为宽度的3%～13%，背景色一致，
+ * 时间和电量等图标稀疏地排成一行并在状态栏内垂直居中。
+ * @param {{colors: Uint8Array, percents: Float32Array}} rows - 每行的分析结果
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @returns {number} - 状态栏的结束行，未检测到时返回0
+ */
+const detectStatusBar = ({ colors, percents }, width, height) => {
+  const minHeight = Math.round(width * 0.03);
+  const maxHeight = Math.min(Math.round(width * 0.13), Math.floor(height / 4));
+
+  // 图标行之前的行必须是同一背景色的空白行
+  let iconTop = 0;
+  while (iconTop < maxHeight && percents[iconTop] <= 0.3) {
+    if (!sameBackground(colors, iconTop, 0)) return 0;
+    iconTop++;
+  }
+  if (iconTop === 0 || iconTop >= maxHeight * 0.6) return 0;
+
+  // 图标行：稀疏的内容，背景色不变
+  let iconBottom = iconTop;
+  while (iconBottom < maxHeight && percents[iconBottom] > 0.3) {
+    if (percents[iconBottom] > 40 || !sameBackground(colors, iconBottom, 0)) return 0;
+    iconBottom++;
+  }
+  if (iconBottom >= maxHeight) return 0;
+
+  // 图标垂直居中，图标下方的空白与上方大致相同；背景色提前变化时以变化处为界
+  const expectedEnd = Math.min(maxHeight, iconBottom + iconTop);
+  let end = iconBottom;
+  while (end < expectedEnd && percents[end] <= 0.3 && sameBackground(colors, end, 0)) {
+    end++;
+  }
+
+  if (end < iconBottom + iconTop * 0.5 || end < minHeight) return 0;
+  return end;
+};
+
+/**
+ * 从指定行开始向下（或向上）查找导航栏的边界
+ * 导航栏以背景色变化或一条横跨整行的细分隔线（1～3行）结束。
+ * 为了避免把页面内容当作导航栏，导航栏的背景色必须与页面主体不同，或者以分隔线结束。
+ * @param {{colors: Uint8Array, percents: Float32Array}} rows - 每行的分析结果
+ * @param {number} startY - 导航栏的起始行（从下往上查找时为结束行的下一行）
+ * @param {number} direction - 1 向下查找，-1 向上查找
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {number} pageRow - 页面主体背景的代表行
+ * @returns {number} - 导航栏另一侧的边界行，未检测到时返回-1
+ */
+const findBarBoundary = ({ colors, percents }, startY, direction, width, height, pageRow) => {
+  const minHeight = Math.round(width * 0.06);
+  const maxHeight = Math.round(width * 0.22);
+  const first = direction === 1 ? startY : startY - 1;
+  if (first < 0 || first >= height || height < maxHeight * 3) return -1;
+
+  const inImage = (y) => y >= 0 && y < height;
+  let hasContent = false;
+  for (let d = 0; d < maxHeight; d++) {
+    const y = first + d * direction;
+    if (!inImage(y)) return -1;
+
+    if (!sameBackground(colors, y, first)) {
+      // 细分隔线：1～3行颜色不同的行，之后背景色再次变化
+      let lineEnd = y;
+      while (Math.abs(lineEnd - y) < 3 && inImage(lineEnd + direction) && sameBackground(colors, lineEnd + direction, y)) {
+        lineEnd += direction;
+      }
+      const isDivider = Math.abs(lineEnd - y) < 3 && inImage(lineEnd + direction) &&
+        !sameBackground(colors, lineEnd + direction, y);
+      if (isDivider) {
+        if (d < minHeight || !hasContent) return -1;
+        return direction === 1 ? lineEnd + 1 : lineEnd;
+      }
+
+      // 背景色变化并保持下去
+      const isBar = d >= minHeight && hasContent && !sameBackground(colors, first, pageRow);
+      if (!isBar) return -1;
+      return direction === 1 ? y : y + 1;
+    }
+
+    if (percents[y] > 0.3) hasContent = true;
+  }
+
+  return -1;
+};
+
+/**
+ * 计算每一行的亮度轮廓（将一行分成若干列块，取每块的平均亮度）
+ * @param {Object} pixels - 像素对象
+ * @returns {Float32Array} - 所有行的亮度轮廓，每行 PROFILE_BUCKETS 个值
+ */
+const computeRowProfiles = (pixels) => {
+  const { data, width, height } = pixels;
+  const profiles = new Float32Array(height * PROFILE_BUCKETS);
+  const bucketWidth = width / PROFILE_BUCKETS;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      const bucket = Math.min(PROFILE_BUCKETS - 1, Math.floor(x / bucketWidth));
+      profiles[y * PROFILE_BUCKETS + bucket] += (data[index] + data[index + 1] + data[index + 2]) / 3 / bucketWidth;
+    }
+  }
+
+  return profiles;
+};
+
+/**
+ * 判断两行的亮度轮廓是否一致
+ * @param {Float32Array} profiles - 所有行的亮度轮廓
+ * @param {number} a - 第一行
+ * @param {number} b - 第二行
+ * @returns {boolean}
+ */
+const profilesMatch = (profiles, a, b) => {
+  for (let i = 0; i < PROFILE_BUCKETS; i++) {
+    if (Math.abs(profiles[a * PROFILE_BUCKETS + i] - profiles[b * PROFILE_BUCKETS + i]) > 6) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * 查找与指定区域完全相同的其他区域（例如拼接长截图时重复出现的吸顶导航栏）
+ * @param {Float32Array} profiles - 所有行的亮度轮廓
+ * @param {{startY: number, endY: number}} band - 已检测到的区域
+ * @param {number} height - 图像高度
+ * @returns {Array<{startY: number, endY: number}>} - 重复出现的区域
+ */
+const findRepeatedBands = (profiles, band, height) => {
+  const bandHeight = band.endY - band.startY;
+
+  // 以区域中亮度变化最大的一行作为锚点，先比较锚点可以快速排除大部分位置
+  let anchor = band.startY;
+  let anchorRange = -1;
+  for (let y = band.startY; y < band.endY; y++) {
+    let min = 255;
+    let max = 0;
+    for (let i = 0; i < PROFILE_BUCKETS; i++) {
+      min = Math.min(min, profiles[y * PROFILE_BUCKETS + i]);
+      max = Math.max(max, profiles[y * PROFILE_BUCKETS + i]);
+    }
+    if (max - min > anchorRange) {
+      anchorRange = max - min;
+      anchor = y;
+    }
+  }
+  // 纯色区域与任何纯色区域都能匹配，不能作为依据
+  if (anchorRange < 8) return [];
+
+  const offset = anchor - band.startY;
+  const repeats = [];
+  for (let start = 0; start + bandHeight <= height; start++) {
+    if (start + bandHeight > band.startY && start < band.endY) continue;
+    if (!profilesMatch(profiles, anchor, start + offset)) continue;
+
+    let matched = true;
+    for (let r = 0; r < bandHeight && matched; r++) {
+      matched = profilesMatch(profiles, band.startY + r, start + r);
+    }
+    if (matched) {
+      repeats.push({ startY: start, endY: start + bandHeight });
+      start += bandHeight - 1;
+    }
+  }
+
+  return repeats;
+};
+
+/**
+ * 检测状态栏、顶部导航栏和底部标签栏
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 检测选项
+ * @param {boolean} options.stripStatusBar - 是否检测状态栏
+ * @param {boolean} options.stripHeader - 是否检测顶部导航栏（包括重复出现的导航栏）
+ * @param {boolean} options.stripFooter - 是否检测底部标签栏（包括重复出现的标签栏）
+ * @returns {Array<{kind: string, startY: number, endY: number}>} - 检测到的区域，按位置排序且互不重叠
+ */
+export const detectScreenBands = (pixels, { stripStatusBar = false, stripHeader = false, stripFooter = false } = {}) => {
+  if (!stripStatusBar && !stripHeader && !stripFooter) {
+    return [];
+  }
+
+  const { width, height } = pixels;
+  const rows = analyzeRows(pixels);
+  const pageRow = findPageBackgroundRow(rows.colors, height);
+  const bands = [];
+
+  let profiles = null;
+  const addBandWithRepeats = (kind, band) => {
+    bands.push({ kind, ...band });
+    profiles = profiles || computeRowProfiles(pixels);
+    for (const repeat of findRepeatedBands(profiles, band, height)) {
+      bands.push({ kind, ...repeat });
+    }
+  };
+
+  // 导航栏位于状态栏下方，因此即使不去除状态栏也要先找到它
+  const statusBarEnd = detectStatusBar(rows, width, height);
+  if (stripStatusBar && statusBarEnd > 0) {
+    addBandWithRepeats('statusBar', { startY: 0, endY: statusBarEnd });
+  }
+
+  if (stripHeader) {
+    const headerEnd = findBarBoundary(rows, statusBarEnd, 1, width, height, pageRow);
+    if (headerEnd !== -1) {
+      addBandWithRepeats('header', { startY: statusBarEnd, endY: headerEnd });
+    }
+  }
+
+  if (stripFooter) {
+    const footerStart = findBarBoundary(rows, height, -1, width, height, pageRow);
+    if (footerStart !== -1) {
+      addBandWithRepeats('footer', { startY: footerStart, endY: height });
+    }
+  }
+
+  // 按位置排序，去掉与前面区域重叠的区域
+  bands.sort((a, b) => a.startY - b.startY);
+  return bands.filter((band, index) => index === 0 || band.startY >= bands[index - 1].endY);
+};
+
+/**
+ * 去除指定区域，将剩余的行拼接为新图像
+ * @param {Object} pixels - 像素对象
+ * @param {Array<{startY: number, endY: number}>} bands - 要去除的区域（按位置排序且互不重叠）
+ * @returns {Object} - 新的像素对象
+ */
+export const removeBands = (pixels, bands) => {
+  if (bands.length === 0) {
+    return pixels;
+  }
+
+  const { data, width, height } = pixels;
+  const removed = bands.reduce((sum, band) => sum + band.endY - band.startY, 0);
+  const result = createPixels(width, Math.max(1, height - removed));
+  const rowSize = width * 4;
+
+  let targetY = 0;
+  let sourceY = 0;
+  for (const band of [...bands, { startY: height, endY: height }]) {
+    const rows = band.startY - sourceY;
+    if (rows > 0) {
+      result.data.set(data.subarray(sourceY * rowSize, band.startY * rowSize), targetY * rowSize);
+      targetY += rows;
+    }
+    sourceY = band.endY;
+  }
+
+  return result;
+};
+
+/**
+ * 将原图中的Y坐标换算为去除区域后图像中的Y坐标（落在区域内的坐标移到区域的起始处）
+ * @param {number} y - 原图中的Y坐标
+ * @param {Array<{startY: number, endY: number}>} bands - 已去除的区域
+ * @returns {number}
+ */
+export const toStrippedY = (y, bands) => {
+  let removed = 0;
+  for (const band of bands) {
+    if (y >= band.endY) {
+      removed += band.endY - band.startY;
+    } else if (y > band.startY) {
+      return band.startY - removed;
+    }
+  }
+  return y - removed;
+};
+
+/**
+ * 将去除区域后图像中的Y坐标换算回原图中的Y坐标
+ * @param {number} y - 去除区域后图像中的Y坐标
+ * @param {Array<{startY: number, endY: number}>} bands - 已去除的区域
+ * @returns {number}
+ */
+export const toOriginalY = (y, bands) => {
+  let result = y;
+  for (const band of bands) {
+    if (band.startY < result) {
+      result += band.endY - band.startY;
+    }
+  }
+  return result;
+};
+
+/**
+ * 将黑线检测结果换算回原图坐标，被去除区域的行在轮廓中为NaN
+ * @param {Object} lines - analyzeSplitLines 的结果（去除区域后图像中的坐标）
+ * @param {Array<{startY: number, endY: number}>} bands - 已去除的区域
+ * @param {number} height - 原图高度
+ * @returns {Object} - 与 analyzeSplitLines 的结果相同，坐标为原图坐标
+ */
+const toOriginalLines = (lines, bands, height) => {
+  if (bands.length === 0) {
+    return lines;
+  }
+
+  const profile = new Float32Array(height).fill(NaN);
+  let sourceY = 0;
+  let strippedY = 0;
+  for (const band of [...bands, { startY: height, endY: height }]) {
+    const rows = band.startY - sourceY;
+    if (rows > 0) {
+      profile.set(lines.profile.subarray(strippedY, strippedY + rows), sourceY);
+      strippedY += rows;
+    }
+    sourceY = band.endY;
+  }
+
+  // 行号换算：去除区域后紧接在区域之后的行，对应原图中区域结束处的行
+  const toOriginalRow = (y) => bands.reduce((row, band) => (band.startY <= row ? row + band.endY - band.startY : row), y);
+
+  return {
+    profile,
+    candidates: lines.candidates.map((candidate) => ({
+      ...candidate,
+      y: toOriginalY(candidate.y, bands),
+      startY: toOriginalRow(candidate.startY),
+      endY: toOriginalRow(candidate.endY - 1) + 1
+    })),
+    splitPoints: lines.splitPoints.map((y) => toOriginalY(y, bands))
+  };
+};
+
+/**
+ * 去除状态栏等区域后检测分割点，分割点换算回原图坐标
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 切割选项，与 analyzeSplitPoints 和 detectScreenBands 相同
+ * @returns {{splitPoints: Array<number>, bands: Array<{kind: string, startY: number, endY: number}>, lines: Object|null}}
+ *   - 分割点、去除的区域，以及黑线检测的每行轮廓和候选分割线（不检测黑线时为null）
+ */
+export const detectLayout = (pixels, options = {}) => {
+  const bands = detectScreenBands(pixels, options);
+  const { splitPoints, lines } = analyzeSplitPoints(removeBands(pixels, bands), options);
+  return {
+    splitPoints: splitPoints.map((y) => toOriginalY(y, bands)),
+    bands,
+    lines: lines && toOriginalLines(lines, bands, pixels.height)
+  };
+};
+
+/**
+ * 去除状态栏等区域，并计算每个切片在去除后图像中的范围
+ * 区域检测、分割和裁剪边界都按原图计算，与预览中的检测结果一致；返回的像素已经打码。
+ * @param {Object} pixels - 整张图像的像素对象
+ * @param {Object} options - 切割选项，与 getSliceRanges 和 detectScreenBands 相同
+ * @param {Array<number>} options.splitPoints - 手动指定的分割点（原图坐标）
+ * @param {Array<Object>} options.bands - 已检测到的区域，提供时不再重新检测
+ * @param {Array<Object>} options.redactions - 打码区域（原图坐标），见 applyRedactions
+ * @param {string} options.trimMode - 裁剪方式，为 'uniform' 时计算所有切片共用的左右边界
+ * @returns {{pixels: Object, ranges: Array<{startY: number, endY: number}>, bands: Array<Object>, columns: Object|null}}
+ *   - 去除区域后的像素对象、其中的切片范围、去除的区域，以及统一宽度模式下的左右边界
+ */
+export const planSlices = (pixels, { splitPoints, bands, redactions = [], ...options } = {}) => {
+  const removedBands = bands || detectScreenBands(pixels, options);
+  const stripped = removeBands(pixels, removedBands);
+  const ranges = getSliceRanges(stripped, {
+    ...options,
+    splitPoints: Array.isArray(splitPoints) ? splitPoints.map((y) => toStrippedY(y, removedBands)) : undefined
+  });
+  const columns = options.trimMode === 'uniform'
+    ? findContentColumns(stripped, { tolerance: options.trimTolerance, padding: options.trimPadding })
+    : null;
+
+  // 打码在去除区域之前按原图坐标进行，分割点怎样变化都遮住同一块内容
+  const output = redactions.length > 0 ? removeBands(applyRedactions(pixels, redactions), removedBands) : stripped;
+  return { pixels: output, ranges, bands: removedBands, columns };
+};
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWorker, OEM } from 'tesseract.js';
+import { OCR_ASSET_FILES, OCR_LANGUAGES, normalizeOcrLanguage, extractTextLines } from './ocrShared.js';
+
+// 默认从当前工作目录的 node_modules 读取OCR资源
+const getDefaultModulesDir = () => path.join(process.cwd(), 'node_modules');
+
+/**
+ * 获取OCR资源文件的本地路径
+ * @param {string} name - 资源名称，见 OCR_ASSET_FILES
+ * @param {string} modulesDir - node_modules 目录
+ * @returns {string} - 文件路径
+ */
+export const resolveOcrAsset = (name, modulesDir = getDefaultModulesDir()) => {
+  return path.join(modulesDir, OCR_ASSET_FILES[name]);
+};
+
+/**
+ * 准备语言数据目录
+ * 各语言数据分布在不同的包中，而tesseract.js只接受一个语言目录，
+ * 因此复制到临时目录中集中存放（只在第一次使用时复制）。
+ * @param {string} modulesDir - node_modules 目录
+ * @returns {string} - 语言数据目录
+ */
+const prepareLangPath = (modulesDir) => {
+  const langPath = path.join(os.tmpdir(), 'longshot-pdf-ocr');
+  fs.mkdirSync(langPath, { recursive: true });
+
+  for (const lang of OCR_LANGUAGES) {
+    const target = path.join(langPath, `${lang}.traineddata.gz`);
+    if (!fs.existsSync(target)) {
+      fs.copyFileSync(resolveOcrAsset(`lang/${lang}.traineddata.gz`, modulesDir), target);
+    }
+  }
+
+  return langPath;
+};
+
+/**
+ * 在Node中识别切片中的文字，结果与浏览器中的 recognizeSlices 相同
+ * @param {Array<{dataUrl: string, width: number, height: number}>} imageSlices - 图像切片数组
+ * @param {Object} options - 识别选项
+ * @param {string} options.language - 识别语言，例如 'chi_sim+eng'
+ * @param {string} options.modulesDir - node_modules 目录
+ * @returns {Promise<Array<Object>>} - 附带 textLines 的切片数组
+ */
+export const recognizeSlices = async (imageSlices, {
+  language = 'chi_sim+eng',
+  modulesDir = getDefaultModulesDir()
+} = {}) => {
+  const worker = await createWorker(normalizeOcrLanguage(language), OEM.LSTM_ONLY, {
+    langPath: prepareLangPath(modulesDir),
+    cacheMethod: 'none'
+  });
+
+  try {
+    const results = [];
+    for (const slice of imageSlices) {
+      const { data } = await worker.recognize(slice.dataUrl);
+      results.push({ ...slice, textLines: extractTextLines(data) });
+    }
+    return results;
+  } finally {
+    await worker.terminate();
+  }
+};
+
+/**
+ * 读取隐藏文字层使用的字体
+ * @param {string} modulesDir - node_modules 目录
+ * @returns {Promise<Uint8Array>} - 字体文件内容
+ */
+export const loadTextLayerFont = async (modulesDir = getDefaultModulesDir()) => {
+  return new Uint8Array(await fs.promises.readFile(resolveOcrAsset('font.ttf', modulesDir)));
+};
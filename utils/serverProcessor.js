@@ -0,0 +1,257 @@
+import sharp from 'sharp';
+import {
+  cropPixels,
+  processSlicePixels,
+  prepareOutputPixels,
+  getOutputFormat,
+  isLosslessOutput,
+  createImageDecodeError
+} from './pixelOps.js';
+import { createOutputPdf, getPageAspect } from './imageProcessor.js';
+import { needsEmbeddedFont } from './pageDecorations.js';
+import { detectLayout, planSlices } from './screenBands.js';
+import { recognizeSlices, loadTextLayerFont } from './serverOcr.js';
+
+/**
+ * 使用sharp将图像文件解码为RGBA像素
+ * @param {Buffer} buffer - 图像文件内容
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>} - 像素对象
+ * @throws {Error} - 文件损坏、格式不受支持或像素数超出sharp的限制时，name 为 'ImageDecodeError'
+ */
+export const decodeImage = async (buffer) => {
+  let decoded;
+  try {
+    decoded = await sharp(buffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw createImageDecodeError(`图片无法解码：${error.message}`);
+  }
+  const { data, info } = decoded;
+
+  return {
+    data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+    width: info.width,
+    height: info.height
+  };
+};
+
+/**
+ * 将RGBA像素编码为PNG
+ * @param {Object} pixels - 像素对象
+ * @returns {Promise<Buffer>} - PNG文件内容
+ */
+export const encodePng = (pixels) => {
+  const { data, width, height } = pixels;
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+    raw: { width, height, channels: 4 }
+  }).png().toBuffer();
+};
+
+/**
+ * 将RGBA像素编码为JPEG
+ * @param {Object} pixels - 像素对象
+ * @param {number} quality - JPEG质量（0-1）
+ * @param {boolean} grayscale - 是否输出单通道灰度JPEG
+ * @returns {Promise<Buffer>} - JPEG文件内容
+ */
+export const encodeJpeg = (pixels, quality = 0.85, grayscale = false) => {
+  const { data, width, height } = pixels;
+  let image = sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+    raw: { width, height, channels: 4 }
+  }).removeAlpha();
+  if (grayscale) {
+    image = image.toColourspace('b-w');
+  }
+  return image.jpeg({ quality: Math.round(quality * 100) }).toBuffer();
+};
+
+/**
+ * 在服务端按输出选项重新编码切片，与浏览器中的 encodeOutputSlices 相同
+ * @param {Array<Object>} slices - 切片数组
+ * @param {Object} outputOptions - 输出选项
+ * @returns {Promise<Array<Object>>} - 重新编码后的切片数组
+ */
+export const encodeOutputSlicesBuffer = async (slices, outputOptions) => {
+  if (isLosslessOutput(outputOptions)) {
+    return slices;
+  }
+
+  const format = getOutputFormat(outputOptions);
+  const results = [];
+  for (const slice of slices) {
+    const pixels = prepareOutputPixels(await decodeImage(Buffer.from(slice.dataUrl.split(',')[1], 'base64')), outputOptions);
+    const encoded = format === 'jpeg'
+      ? await encodeJpeg(pixels, outputOptions.jpegQuality, outputOptions.colorMode === 'grayscale')
+      : await encodePng(pixels);
+    results.push({
+      ...slice,
+      dataUrl: `data:image/${format};base64,${encoded.toString('base64')}`
+    });
+  }
+  return results;
+};
+
+/**
+ * 在服务端检测分割点和要去除的状态栏等区域，结果与浏览器中的 detectImageSplits 相同
+ * @param {Object} pixels - 解码后的像素对象，见 decodeImage
+ * @param {Object} options - 切割选项和PDF页面选项，与 sliceImageBuffer 相同
+ * @returns {{splitPoints: Array<number>, bands: Array<{kind: string, startY: number, endY: number}>, lines: Object|null}}
+ */
+export const detectPixelsLayout = (pixels, options = {}) => {
+  const {
+    autoDetectSplits = 'both',
+    splitSensitivity = 50,
+    minLineWidth = 2,
+    minLinePercent = 60,
+    minSplitGap = 50,
+    stripStatusBar = false,
+    stripHeader = false,
+    stripFooter = false
+  } = options;
+  return detectLayout(pixels, {
+    autoDetectSplits,
+    splitSensitivity,
+    minLineWidth,
+    minLinePercent,
+    minSplitGap,
+    pageAspect: getPageAspect(options),
+    stripStatusBar,
+    stripHeader,
+    stripFooter
+  });
+};
+
+/**
+ * 在服务端切割图像，结果与浏览器中的 sliceImage 相同
+ * @param {Buffer|Object} buffer - 图像文件内容，或已经解码的像素对象
+ * @param {Object} options - 切割选项，与 sliceImage 相同；空白分页的目标高度按其中的PDF页面选项计算
+ * @param {Array<number>} options.splitPoints - 手动指定的分割点Y坐标，提供时不再自动检测
+ * @param {Array<Object>} options.bands - 已检测到的状态栏等区域，提供时不再重新检测
+ * @param {string} options.autoDetectSplits - 自动分割方式
+ * @param {number} options.splitSensitivity - 黑线检测灵敏度
+ * @param {number} options.minLineWidth - 最小有效分割线宽度（像素）
+ * @param {number} options.minLinePercent - 分割线像素在一行中的最小百分比
+ * @param {number} options.minSplitGap - 相邻分割线的最小距离（像素）
+ * @param {boolean} options.stripStatusBar - 是否去除顶部的系统状态栏
+ * @param {boolean} options.stripHeader - 是否去除顶部导航栏
+ * @param {boolean} options.stripFooter - 是否去除底部标签栏
+ * @param {boolean} options.sharpenImage - 是否应用图像增强
+ * @param {Array<Object>} options.filters - 增强滤镜链
+ * @param {string} options.trimMode - 裁剪方式 ('each', 'uniform', 'none')
+ * @param {number} options.trimTolerance - 裁剪时的颜色容差
+ * @param {number} options.trimPadding - 裁剪后保留的边距（像素）
+ * @param {Array<Object>} options.redactions - 打码区域 { x, y, width, height, mode }（原图坐标），切割前应用
+ * @returns {Promise<Array<{dataUrl: string, width: number, height: number}>>}
+ */
+export const sliceImageBuffer = async (buffer, options = {}) => {
+  const {
+    splitPoints,
+    bands,
+    autoDetectSplits = 'both',
+    splitSensitivity = 50,
+    minLineWidth = 2,
+    minLinePercent = 60,
+    minSplitGap = 50,
+    stripStatusBar = false,
+    stripHeader = false,
+    stripFooter = false,
+    sharpenImage = true,
+    filters,
+    trimMode = 'each',
+    trimTolerance = 5,
+    trimPadding = 0,
+    redactions = []
+  } = options;
+  const pageAspect = getPageAspect(options);
+  const decoded = Buffer.isBuffer(buffer) ? await decodeImage(buffer) : buffer;
+  const { pixels, ranges, columns } = planSlices(decoded, {
+    splitPoints,
+    bands,
+    autoDetectSplits,
+    splitSensitivity,
+    minLineWidth,
+    minLinePercent,
+    minSplitGap,
+    pageAspect,
+    stripStatusBar,
+    stripHeader,
+    stripFooter,
+    trimMode,
+    trimTolerance,
+    trimPadding,
+    redactions
+  });
+  const slices = [];
+
+  for (const { startY, endY } of ranges) {
+    const slicePixels = cropPixels(pixels, 0, startY, pixels.width, endY - startY);
+    const processed = processSlicePixels(slicePixels, {
+      sharpenImage,
+      filters,
+      trimMode,
+      trimTolerance,
+      trimPadding,
+      columns
+    });
+    const png = await encodePng(processed);
+
+    slices.push({
+      dataUrl: `data:image/png;base64,${png.toString('base64')}`,
+      width: processed.width,
+      height: processed.height
+    });
+  }
+
+  return slices;
+};
+
+/**
+ * 在服务端将切片生成PDF，启用OCR时先识别文字
+ * @param {Array<Object>} slices - 切片数组，见 sliceImageBuffer
+ * @param {Object} options - PDF生成选项和输出选项
+ * @param {string} options.ocrLanguage - OCR识别语言，为空时不生成文字层
+ * @returns {Promise<{pdfBytes: Uint8Array, outputOptions: Object, withinTarget: boolean}>} - 与 createOutputPdf 相同
+ */
+export const createPdfFromSlicesBuffer = async (slices, options = {}) => {
+  // 页眉页脚或水印含中文时同样需要嵌入字体
+  const textLayerFont = options.ocrLanguage || needsEmbeddedFont(options) ? await loadTextLayerFont() : null;
+  if (!options.ocrLanguage) {
+    return createOutputPdf(slices, { ...options, textLayerFont }, encodeOutputSlicesBuffer);
+  }
+
+  const recognized = await recognizeSlices(slices, { language: options.ocrLanguage });
+  return createOutputPdf(recognized, { ...options, textLayerFont }, encodeOutputSlicesBuffer);
+};
+
+/**
+ * 把图片水印文件转换为PDF可以嵌入的PNG数据URL
+ * @param {Buffer} buffer - 图片文件内容（sharp支持的任意格式）
+ * @returns {Promise<string>}
+ */
+export const imageBufferToDataUrl = async (buffer) => {
+  let png;
+  try {
+    png = await sharp(buffer).png().toBuffer();
+  } catch (error) {
+    throw createImageDecodeError(`水印图片无法解码：${error.message}`);
+  }
+  return `data:image/png;base64,${png.toString('base64')}`;
+};
+
+/**
+ * 在服务端将图像转换为PDF
+ * @param {Buffer} buffer - 图像文件内容
+ * @param {Object} options - 切割选项和PDF生成选项
+ * @param {string} options.ocrLanguage - OCR识别语言，为空时不生成文字层
+ * @param {Array<string>} options.bookmarkTitles - 各切片的书签标题，缺少的使用默认标题
+ * @returns {Promise<{pdfBytes: Uint8Array, outputOptions: Object, withinTarget: boolean}>} - 与 createOutputPdf 相同
+ */
+export const convertImageBuffer = async (buffer, options = {}) => {
+  const { bookmarkTitles = [] } = options;
+  const slices = (await sliceImageBuffer(buffer, options)).map((slice, index) => (
+    bookmarkTitles[index] ? { ...slice, title: bookmarkTitles[index] } : slice
+  ));
+  return createPdfFromSlicesBuffer(slices, options);
+};
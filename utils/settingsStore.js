@@ -0,0 +1,56 @@
+import { normalizeFilters } from './pixelOps.js';
+
+// localStorage中保存设置的键
+const SETTINGS_KEY = 'longshot-settings';
+
+// 只对当前图片有意义、可能超出localStorage容量（图片水印的数据URL）或不应保存（加密方式和密码）的设置
+// 加密方式和密码一起不保存，重新打开页面后不会在密码为空的情况下加密
+const TRANSIENT_SETTINGS = ['title', 'watermarkImage', 'encryption', 'userPassword', 'ownerPassword'];
+
+/**
+ * 读取保存的设置，与默认设置合并；没有保存过或内容无效时返回默认设置
+ * @param {Object} defaultSettings - 默认设置
+ * @returns {Object} - 设置
+ */
+export const loadSettings = (defaultSettings) => {
+  let saved;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+  } catch (error) {
+    console.error('读取设置出错:', error);
+    return defaultSettings;
+  }
+  if (!saved || typeof saved !== 'object') {
+    return defaultSettings;
+  }
+
+  // 只接受默认设置中存在且类型相同的项，旧版本保存的无效项被忽略
+  const settings = { ...defaultSettings };
+  for (const [name, defaultValue] of Object.entries(defaultSettings)) {
+    if (TRANSIENT_SETTINGS.includes(name) || !(name in saved)) continue;
+    if (name === 'filters') {
+      try {
+        settings.filters = normalizeFilters(saved.filters);
+      } catch (error) {
+        settings.filters = defaultValue;
+      }
+    } else if (typeof saved[name] === typeof defaultValue) {
+      settings[name] = saved[name];
+    }
+  }
+  return settings;
+};
+
+/**
+ * 保存设置到localStorage
+ * @param {Object} settings - 设置
+ */
+export const saveSettings = (settings) => {
+  const saved = { ...settings };
+  TRANSIENT_SETTINGS.forEach((name) => delete saved[name]);
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.error('保存设置出错:', error);
+  }
+};
@@ -0,0 +1,49 @@
+// 接收系统分享的截图（Web Share Target）：public/sw.js 将分享的文件暂存在缓存中，然后打开 /?share=文件数
+
+// 与 public/sw.js 中的缓存名称一致
+const SHARE_CACHE = 'longshot-share';
+
+/**
+ * 注册Service Worker，使应用可以安装、离线使用并接收分享
+ * 开发模式下不注册，以免缓存影响热更新
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.error('注册Service Worker出错:', error);
+  });
+};
+
+/**
+ * 当前页面是否由分享打开
+ * @returns {boolean}
+ */
+export const isShareLaunch = () => new URLSearchParams(window.location.search).has('share');
+
+/**
+ * 取出分享的图片文件，取出后从缓存中删除，并去掉地址中的分享参数
+ * @returns {Promise<Array<File>>} - 按分享顺序排列的文件
+ */
+export const takeSharedFiles = async () => {
+  window.history.replaceState(null, '', window.location.pathname);
+  if (!('caches' in window)) {
+    return [];
+  }
+
+  const cache = await caches.open(SHARE_CACHE);
+  const requests = await cache.keys();
+  const entries = [];
+  for (const request of requests) {
+    const response = await cache.match(request);
+    const blob = await response.blob();
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || '') || 'shared-image';
+    entries.push({
+      index: Number(new URL(request.url).pathname.split('/').pop()),
+      file: new File([blob], name, { type: blob.type })
+    });
+    await cache.delete(request);
+  }
+  return entries.sort((a, b) => a.index - b.index).map((entry) => entry.file);
+};